@@ -3,15 +3,10 @@
  */
 
 // --- CONFIGURATION & GLOBAL STATE ---
-const REQUIRED_FILES = {
-    training: 'train.csv', 
-    testing: 'test.csv',
-    validation: 'validation.csv'
-};
 const fileMappings = [
-    { id: 'trainingFile', expectedName: REQUIRED_FILES.training, statusId: 'trainingStatus' },
-    { id: 'testingFile', expectedName: REQUIRED_FILES.testing, statusId: 'testingStatus' },
-    { id: 'validationFile', expectedName: REQUIRED_FILES.validation, statusId: 'validationStatus' }
+    { id: 'trainingFile', key: 'training', statusId: 'trainingStatus', awaitingMessage: 'Awaiting a training file (required)...' },
+    { id: 'testingFile', key: 'testing', statusId: 'testingStatus', awaitingMessage: 'Optional: leave empty to split a test set from the training data.' },
+    { id: 'validationFile', key: 'validation', statusId: 'validationStatus', awaitingMessage: 'Optional: leave empty to split a validation set from the training data.' }
 ];
 
 // Note: I renamed 'processedData' to 'normalizedData' in the JS to better reflect its function, 
@@ -20,12 +15,20 @@ const loadedFiles = { training: null, testing: null, validation: null };
 const rawParsedData = { training: null, testing: null, validation: null }; 
 const normalizedData = { training: null, testing: null, validation: null }; 
 
-const MAX_SEQUENCE_LENGTH = 50; // Fixed sequence length for padding
-const EMBEDDING_DIM = 16;       // Fixed size for the embedding vector
+// Sequence length is chosen in Step 4 and embedding size in Step 5 (or restored from a saved detector bundle).
+let MAX_SEQUENCE_LENGTH = 50; // Sequence length for padding/truncation
+let EMBEDDING_DIM = 16;       // Size of the embedding vector
+let trainingWindowStride = null; // Stride used to split training texts into windows, or null when texts were truncated
+let stylometricConfig = null; // { features, scaler } when the model has a stylometric feature input, else null
+let sourceClasses = null; // { names, human } in source-attribution mode (one output per source), else null for binary
+let embeddedSplits = null; // Tensor shapes per split once the pipeline worker holds the Step 4 tensors, else null
 
 let model = null;
+let tokenizer = null; // Active tokenizer ({ settings, tokenize }), created in preprocessData() or from a bundle
 let wordIndex = {}; // Vocabulary map: word -> index
 let VOCAB_SIZE = 0; // Calculated size of vocabulary
+let detectorMetrics = { training: null, evaluation: null }; // Saved alongside the model in detector bundles
+let decisionRule = DEFAULT_DECISION_RULE; // Step 7 threshold and uncertain band used by Step 8, saved in detector bundles
 
 // --- UTILITY FUNCTIONS ---
 
@@ -62,21 +65,10 @@ function updateGeneralStatus(message, bgColor = 'bg-gray-100', textColor = 'text
     }
     
     if (processBtn) {
-        // Only disable the button if not all files are loaded, unless a data parsing error occurred (bg-yellow-100 is for processing)
-        const allFilesReady = Object.values(loadedFiles).every(f => f !== null);
+        // Only the training file is required; missing validation/test sets are split from it in Step 2
+        const trainingReady = loadedFiles.training !== null;
         // Only enable if files are ready AND no active processing is happening (bg-yellow)
-        processBtn.disabled = !allFilesReady || (bgColor === 'bg-yellow-100') || !enableProcess;
-    }
-}
-
-/** Shows a step section by ID and hides others. */
-function showStep(stepId) {
-    for (let i = 1; i <= 8; i++) {
-        const step = document.getElementById(`step-${i}`);
-        if (step) {
-            // Use block to ensure the card is still visible, but content is hidden/shown
-            step.style.display = (step.id === stepId) ? 'block' : 'none';
-        }
+        processBtn.disabled = !trainingReady || (bgColor === 'bg-yellow-100') || !enableProcess;
     }
 }
 
@@ -92,177 +84,713 @@ function displayOutput(id, message, append = false) {
     }
 }
 
-/** Simple tokenizer: converts text to lowercase and splits by non-word characters. */
-function simpleTokenizer(text) {
-    if (!text || typeof text !== 'string') return [];
-    return String(text).toLowerCase()
-               .replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g,"")
-               .split(/\s+/).filter(word => word.length > 0);
+/** Builds a simple HTML table (same styling as the Step 2 preview) from headers and row arrays. */
+function buildHtmlTable(headers, rows) {
+    let tableHtml = `<div class="overflow-x-auto"><table class="min-w-full divide-y divide-gray-200"><thead><tr>`;
+    headers.forEach(h => tableHtml += `<th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase">${h}</th>`);
+    tableHtml += `</tr></thead><tbody class="divide-y divide-gray-200">`;
+    rows.forEach(row => {
+        tableHtml += `<tr>`;
+        row.forEach(cell => tableHtml += `<td class="px-3 py-2 whitespace-nowrap text-sm text-gray-900">${cell}</td>`);
+        tableHtml += `</tr>`;
+    });
+    tableHtml += `</tbody></table></div>`;
+    return tableHtml;
+}
+
+/** Escapes user-supplied text before it is inserted via innerHTML. */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/** Opens an IndexedDB database holding one object store of records keyed by 'id', creating the store on first use. */
+function openObjectStoreDb(dbName, storeName) {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser.'));
+            return;
+        }
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/** Runs requests against an object store in one transaction and resolves with the last request's result once it commits. */
+async function withObjectStore(dbName, storeName, mode, makeRequests) {
+    const db = await openObjectStoreDb(dbName, storeName);
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequests(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error(`The ${dbName} transaction was aborted.`));
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/** Triggers a browser download of in-memory content. */
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0); // Revoking synchronously cancels the download in Firefox and Safari
+}
+
+// --- PIPELINE CLIENT ---
+
+// Tokenizer, tensor and model stages run in pipeline-worker.js; the page only sends requests and renders results.
+// Pages opened from file:// (or browsers without workers) run the same session in-page instead.
+const PIPELINE_WORKER_URL = 'pipeline-worker.js';
+
+/**
+ * Creates the client for the pipeline API. run(type, payload, onProgress) resolves with the stage result
+ * (see createPipelineSession in pipeline.js); control('pause' | 'resume' | 'cancel') steers the running stage.
+ * onWorkerLost() is called when a worker that already holds results stops and the empty in-page session takes over.
+ */
+function createPipelineClient({ onWorkerLost = () => {} } = {}) {
+    const pending = new Map();
+    let nextRequestId = 1;
+    let worker = null;
+    let localSession = null;
+    let workerHasState = false;
+
+    const useLocalSession = () => {
+        if (worker) worker.terminate();
+        worker = null;
+        localSession = localSession || createPipelineSession();
+    };
+
+    try {
+        worker = typeof Worker !== 'undefined' ? new Worker(PIPELINE_WORKER_URL) : null;
+    } catch (error) {
+        worker = null;
+    }
+    if (!worker) {
+        useLocalSession();
+    } else {
+        worker.onmessage = (event) => {
+            const { id, type } = event.data;
+            const request = pending.get(id);
+            if (!request) return;
+            if (type === 'progress') {
+                request.onProgress(event.data.progress);
+                return;
+            }
+            pending.delete(id);
+            if (type === 'result') {
+                workerHasState = true;
+                request.resolve(event.data.result);
+            } else {
+                request.reject(new Error(event.data.message));
+            }
+        };
+        // A worker script that fails to load (e.g. a blocked importScripts) leaves the in-page session as the fallback.
+        // A worker that stops later takes its rows, vocabulary, tensors and model with it.
+        worker.onerror = (event) => {
+            event.preventDefault();
+            useLocalSession();
+            const message = workerHasState
+                ? 'The pipeline worker stopped and its results were lost. Please run the steps again from Step 3.'
+                : 'The pipeline worker stopped. Please run this step again.';
+            pending.forEach(request => request.reject(new Error(message)));
+            pending.clear();
+            if (workerHasState) onWorkerLost();
+        };
+    }
+
+    return {
+        run(type, payload = {}, onProgress = () => {}) {
+            if (localSession) return localSession.run(type, payload, onProgress);
+            return new Promise((resolve, reject) => {
+                const id = nextRequestId++;
+                pending.set(id, { resolve, reject, onProgress });
+                worker.postMessage({ id, type, payload });
+            });
+        },
+        control(command) {
+            if (localSession) localSession.control(command);
+            else worker.postMessage({ type: command });
+        }
+    };
+}
+
+const pipeline = createPipelineClient({ onWorkerLost: handlePipelineWorkerLost });
+
+
+// --- PIPELINE STATE ---
+
+// A step is 'locked' until the step before it is done, then 'ready', and 'done' once it has produced its results.
+// Done steps stay open and can be run again. A step that runs again first invalidates every step built on its
+// results (buildsOn, followed transitively): their state is reset, their tensors and models are disposed and their
+// outputs go back to the initial placeholders. Step 8 only needs the trained model, so evaluating again (also after
+// fine-tuning) keeps its predictions and feedback.
+const PIPELINE_STEPS = [
+    { step: 1, title: 'Load Data', buildsOn: null, runButton: 'processBtn', outputs: [], buttons: [] },
+    {
+        step: 2, title: 'Inspect', buildsOn: 1, runButton: 'inspectBtn',
+        outputs: ['inspectionMessage', 'inspectionOutput', 'dataQualityOutput', 'lengthHistogramAiContainer', 'lengthHistogramHumanContainer',
+            'stylometricSummaryOutput', 'stylometricChartContainer'],
+        buttons: ['dedupeBtn', 'removeLeaksBtn', 'continueToPreprocessBtn'],
+        reset: () => {
+            DATASET_SPLITS.forEach(key => { normalizedData[key] = null; });
+            datasetRebuild = null;
+            sourceClasses = null;
+            labelCorrections.clear();
+            dataQualityReport = null;
+            stylometricReport = null;
+        }
+    },
+    {
+        step: 3, title: 'Preprocess', buildsOn: 2, runButton: 'preprocessBtn',
+        outputs: ['preprocessOutput', 'vocabTopTokensOutput', 'vocabOovOutput', 'vocabCoverageContainer', 'embeddingVectorsOutput'],
+        buttons: ['importEmbeddingsBtn'],
+        reset: async () => {
+            tokenizer = null;
+            wordIndex = {};
+            VOCAB_SIZE = 0;
+            importedEmbeddings = null;
+            updatePretrainedEmbeddingControls();
+            await pipeline.run('reset'); // Releases the session rows, vocabulary, tensors and model
+        }
+    },
+    {
+        step: 4, title: 'Sequences', buildsOn: 3, runButton: 'embeddingBtn',
+        outputs: ['embeddingOutput', 'searchStatus'],
+        buttons: [],
+        reset: () => {
+            embeddedSplits = null;
+            trainingWindowStride = null;
+            stylometricConfig = null;
+            datasetFingerprints = null;
+            Object.assign(searchState, { settings: null, runs: [] }); // Searched on the previous rows or vocabulary
+            renderSearchLeaderboard();
+            updateSearchButtons();
+        }
+    },
+    {
+        step: 5, title: 'Model', buildsOn: 4, runButton: 'createModelBtn',
+        outputs: ['modelSummary'],
+        buttons: [],
+        reset: () => {
+            modelConfig = null;
+        }
+    },
+    {
+        step: 6, title: 'Train', buildsOn: 5, runButton: 'trainModelBtn',
+        outputs: ['trainingOutput', 'trainingVisContainer'],
+        buttons: [],
+        reset: () => {
+            if (model) disposeModel(model);
+            model = null;
+            detectorMetrics = { training: null, evaluation: null };
+            currentExperimentId = null;
+        }
+    },
+    {
+        step: 7, title: 'Evaluate', buildsOn: 6, runButton: 'evaluateBtn',
+        outputs: ['evaluationOutput', 'classificationReport', 'confusionMatrixContainer', 'rocCurveContainer', 'prCurveContainer', 'calibrationContainer',
+            'sourceAttributionReport', 'sourceConfusionMatrixContainer', 'decisionThresholdOutput', 'robustnessStatus', 'robustnessOutput',
+            'robustnessChartContainer', 'baselineStatus', 'baselineComparisonOutput', 'baselineTopNgramsOutput'],
+        buttons: ['applyThresholdBtn', 'runRobustnessBtn', 'trainBaselinesBtn'],
+        reset: () => {
+            // A threshold tuned for the previous weights does not carry over
+            evaluationPredictions = null;
+            decisionRule = DEFAULT_DECISION_RULE;
+            detectorMetrics.evaluation = null;
+            Object.assign(baselineState, { results: [], topNgrams: null });
+            document.getElementById('sourceAttributionSection').classList.add('hidden');
+            renderErrorAnalysis();
+        }
+    },
+    {
+        step: 8, title: 'Predict', buildsOn: 6, runButton: 'predictBtn',
+        outputs: ['predictionOutput', 'fineTuneOutput', 'longDocumentOutput', 'longDocumentTimelineContainer', 'explanationOutput',
+            'batchResultsOutput', 'detectorInfo', 'detectorBundleStatus'],
+        buttons: ['explainBtn', 'saveDetectorBtn', 'downloadDetectorBtn'],
+        reset: () => {
+            // Reviewed predictions are labelled data rather than model output, so they stay for the next model
+            feedbackState.lastPrediction = null;
+            batchState.results = [];
+            renderFeedbackSet();
+            updateBatchControls();
+        }
+    }
+];
+const STEP_STATUS_STYLES = {
+    done: { icon: '✅', classes: 'bg-green-100 text-green-800 hover:bg-green-200' },
+    ready: { icon: '▶️', classes: 'bg-blue-100 text-blue-800 hover:bg-blue-200' },
+    locked: { icon: '🔒', classes: 'bg-gray-100 text-gray-400 cursor-not-allowed' }
+};
+
+const stepStatus = Object.fromEntries(PIPELINE_STEPS.map(({ step }) => [step, step === 1 ? 'ready' : 'locked']));
+const stepPlaceholders = new Map(); // Output id -> its initial HTML, shown again when the step is invalidated
+
+/** Remembers the initial content of every step output (called once the page has loaded). */
+function captureStepPlaceholders() {
+    PIPELINE_STEPS.forEach(({ outputs }) => outputs.forEach(id => stepPlaceholders.set(id, document.getElementById(id).innerHTML)));
+}
+
+/** Shows the open step cards, hides the locked ones and renders the progress bar. */
+function renderPipelineProgress() {
+    const buttons = PIPELINE_STEPS.map(({ step, title }) => {
+        const status = stepStatus[step];
+        document.getElementById(`step-${step}`).style.display = status === 'locked' ? 'none' : 'block';
+        const { icon, classes } = STEP_STATUS_STYLES[status];
+        return `<button data-progress-step="${step}"${status === 'locked' ? ' disabled' : ''} class="px-2 py-2 rounded-lg text-left font-medium ${classes}">${icon} ${step}. ${title}</button>`;
+    });
+    const numDone = PIPELINE_STEPS.filter(({ step }) => stepStatus[step] === 'done').length;
+    displayOutput('pipelineProgressSteps', buttons.join(''));
+    displayOutput('pipelineProgressSummary', `${numDone} of ${PIPELINE_STEPS.length} steps done.`);
+}
+
+/** Scrolls to a step card. */
+function scrollToStep(step) {
+    document.getElementById(`step-${step}`).scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/** Scrolls to the step picked in the progress bar. */
+function handleProgressClick(event) {
+    const button = event.target.closest('button[data-progress-step]');
+    if (button) scrollToStep(Number(button.dataset.progressStep));
+}
+
+/**
+ * Resets every step built on the given one and locks it again, or leaves it ready when the step before it is done.
+ * Steps always build on earlier ones, so one pass in step order finds them all.
+ */
+async function invalidateStepsAfter(step) {
+    const invalidated = new Set([step]);
+    for (const entry of PIPELINE_STEPS) {
+        if (!invalidated.has(entry.buildsOn)) continue;
+        invalidated.add(entry.step);
+        if (entry.reset) await entry.reset();
+        entry.outputs.forEach(id => displayOutput(id, stepPlaceholders.get(id)));
+        entry.buttons.forEach(id => { document.getElementById(id).disabled = true; });
+        stepStatus[entry.step] = stepStatus[entry.step - 1] === 'done' ? 'ready' : 'locked';
+        document.getElementById(entry.runButton).disabled = stepStatus[entry.step] === 'locked';
+    }
+    renderPipelineProgress();
+}
+
+/** Sends every step from Step 3 on back to run again when the pipeline worker stopped; the page keeps the Step 1-2 data. */
+async function handlePipelineWorkerLost() {
+    try {
+        await invalidateStepsAfter(2);
+    } catch (error) {
+        updateGeneralStatus(`❌ ${escapeHtml(error.message)}`, 'bg-red-100', 'text-red-800', true);
+    }
+}
+
+/** Throws while training or a search still uses the session tensors that running a step again would replace. */
+function assertNoLongRunningStage() {
+    if (trainingControl.running || searchControl.running) {
+        throw new Error('Training or a hyperparameter search is still running. Let it finish or cancel it before running a step again.');
+    }
+}
+
+/** Prepares a step to run (again) by invalidating the steps built on it. Returns false, with a message, when it cannot. */
+async function beginStep(step) {
+    try {
+        assertNoLongRunningStage();
+        if (stepStatus[step] === 'done') stepStatus[step] = 'ready';
+        await invalidateStepsAfter(step);
+    } catch (error) {
+        updateGeneralStatus(`❌ ${escapeHtml(error.message)}`, 'bg-red-100', 'text-red-800', true);
+        return false;
+    }
+    return true;
+}
+
+/** Marks a step done, opens the next one and saves the session. */
+function completeStep(step) {
+    stepStatus[step] = 'done';
+    const next = PIPELINE_STEPS.find(entry => entry.step === step + 1);
+    if (next && stepStatus[next.step] === 'locked') stepStatus[next.step] = 'ready';
+    // The step's own button runs it again
+    [PIPELINE_STEPS[step - 1], next].forEach(entry => {
+        if (entry) document.getElementById(entry.runButton).disabled = false;
+    });
+    renderPipelineProgress();
+    saveSession();
 }
 
+
 // --- STEP 1: DATA LOADING AND VALIDATION ---
 
-/** Handles file input changes and validates file names. */
+/** Handles file input changes and validates file types. */
 function handleFileChange(event) {
     const input = event.target;
     const file = input.files[0];
 
     const mapping = fileMappings.find(m => m.id === input.id);
-    if (!file || !mapping) {
-        // This case should be rare if user just selected a file and then changed their mind
-        return; 
-    } 
+    if (!mapping) return;
 
-    if (file.name === mapping.expectedName) {
+    if (!file) {
+        loadedFiles[mapping.key] = null;
+        updateFileStatus(mapping.statusId, mapping.awaitingMessage, 'info');
+    } else if (getDatasetFileFormat(file.name)) {
         updateFileStatus(mapping.statusId, `✅ Loaded: ${file.name} (${(file.size / 1024).toFixed(2)} KB)`, 'success');
-        loadedFiles[mapping.id.replace('File', '')] = file;
+        loadedFiles[mapping.key] = file;
     } else {
         updateFileStatus(
             mapping.statusId,
-            `❌ Name mismatch. Uploaded: "${file.name}". Expected: "${mapping.expectedName}".`,
+            `❌ Unsupported file type: "${file.name}". Use ${SUPPORTED_DATASET_EXTENSIONS.join(', ')}.`,
             'error'
         );
-        input.value = ''; 
-        loadedFiles[mapping.id.replace('File', '')] = null;
+        input.value = '';
+        loadedFiles[mapping.key] = null;
     }
 
-    const allFilesReady = Object.values(loadedFiles).every(f => f !== null);
+    const trainingReady = loadedFiles.training !== null;
+    const missingSplits = DATASET_SPLITS.filter(key => !loadedFiles[key]);
+    let message = 'Please select at least a training file.';
+    if (trainingReady) {
+        message = missingSplits.length === 0
+            ? 'All files successfully loaded. Ready to parse.'
+            : `Training file loaded. The ${missingSplits.join(' and ')} set(s) will be split from it. Ready to parse.`;
+    }
     updateGeneralStatus(
-        allFilesReady ? "All files successfully loaded. Ready to parse." : "Please ensure all three files are selected and named correctly.",
-        allFilesReady ? 'bg-green-100' : 'bg-gray-100',
-        allFilesReady ? 'text-green-800' : 'text-gray-600',
-        allFilesReady // Enable button if files are ready
+        message,
+        trainingReady ? 'bg-green-100' : 'bg-gray-100',
+        trainingReady ? 'text-green-800' : 'text-gray-600',
+        trainingReady // Enable button once the training file is ready
     );
 }
 
-/** Loads the content of the validated CSV files using PapaParse. */
-function loadData() {
-    updateGeneralStatus("Parsing CSV files...", 'bg-yellow-100', 'text-yellow-800', false);
-
-    const keys = Object.keys(loadedFiles);
-    let filesParsed = 0;
-
-    keys.forEach(key => {
-        const file = loadedFiles[key];
-
+/** Parses a CSV (or, with a delimiter, TSV) file with a header row using PapaParse. */
+function parseCsvFile(file, delimiter = '') {
+    return new Promise((resolve, reject) => {
         Papa.parse(file, {
             header: true,
-            dynamicTyping: true, // Let PapaParse try to infer types
+            delimiter: delimiter, // '' lets PapaParse detect the delimiter
             skipEmptyLines: true,
-            complete: function(results) {
-                // *** FIX APPLIED HERE: We are storing raw data without validation to allow 
-                // the user to inspect in Step 2, even if it has errors. ***
-                rawParsedData[key] = results.data;
-                filesParsed++;
-                
-                if (filesParsed === keys.length) {
-                    const emptyKeys = keys.filter(key => rawParsedData[key].length === 0);
-
-                    if (emptyKeys.length > 0) {
-                         // Halt and provide actionable error if files were truly empty/malformed
-                        updateGeneralStatus(
-                            `❌ Critical File Read Error. The following dataset(s) still resulted in 0 rows after parsing: **${emptyKeys.join(', ')}**. Please confirm the CSV files are valid and contain data.`, 
-                            'bg-red-100', 
-                            'text-red-800', 
-                            true // Re-enable button to allow retrying
-                        );
-                        showStep('step-1'); 
-                    } else {
-                        // SUCCESS PATH
-                        updateGeneralStatus(`✅ All data successfully parsed. Training: ${rawParsedData.training.length} rows. Ready for inspection.`, 'bg-green-100', 'text-green-800', true);
-                        document.getElementById('inspectBtn').disabled = false;
-                        showStep('step-2');
-                    }
-                }
-            },
-            error: function(error) {
-                updateGeneralStatus(`❌ Error parsing ${file.name}: ${error.message}`, 'bg-red-100', 'text-red-800', true);
-            }
+            complete: results => resolve(results.data),
+            error: error => reject(new Error(`${file.name}: ${error.message}`))
         });
     });
 }
 
+/** Parses a JSON Lines file into an array of row objects, rejecting malformed lines. */
+async function parseJsonlFile(file) {
+    return parseJsonlRows(await file.text(), file.name);
+}
+
+/** Parses a JSON file holding an array of row objects (or an object with such an array under "data"). */
+async function parseJsonFile(file) {
+    return parseJsonRows(await file.text(), file.name);
+}
+
+/** Parses a CSV, TSV, JSON or JSONL file into an array of row objects based on its extension. */
+function parseTabularFile(file) {
+    switch (getDatasetFileFormat(file.name)) {
+        case 'csv': return parseCsvFile(file);
+        case 'tsv': return parseCsvFile(file, '\t');
+        case 'json': return parseJsonFile(file);
+        case 'jsonl': return parseJsonlFile(file);
+        default: return Promise.reject(new Error(`${file.name} is not a supported file type.`));
+    }
+}
+
+/** Loads the content of the selected dataset files. */
+async function loadData() {
+    if (!(await beginStep(1))) return;
+    updateGeneralStatus("Parsing dataset files...", 'bg-yellow-100', 'text-yellow-800', false);
+
+    const keys = DATASET_SPLITS.filter(key => loadedFiles[key]);
+    try {
+        for (const key of DATASET_SPLITS) {
+            // Raw rows are stored without validation so the user can map columns in Step 2,
+            // even if they have errors. Splits without a file are created from the training data there.
+            rawParsedData[key] = loadedFiles[key] ? await parseTabularFile(loadedFiles[key]) : null;
+        }
+    } catch (error) {
+        updateGeneralStatus(`❌ Error parsing dataset files: ${escapeHtml(error.message)}`, 'bg-red-100', 'text-red-800', true);
+        return;
+    }
+
+    const emptyKeys = keys.filter(key => rawParsedData[key].length === 0);
+    if (emptyKeys.length > 0) {
+        // Halt and provide actionable error if files were truly empty/malformed
+        updateGeneralStatus(
+            `❌ Critical File Read Error. The following dataset(s) still resulted in 0 rows after parsing: **${emptyKeys.join(', ')}**. Please confirm the files are valid and contain data.`,
+            'bg-red-100',
+            'text-red-800',
+            true // Re-enable button to allow retrying
+        );
+        return;
+    }
+
+    // SUCCESS PATH
+    datasetMapping = createDatasetMapping();
+    renderColumnMapping();
+    renderLabelMapping();
+    updateGeneralStatus(`✅ All data successfully parsed. Training: ${rawParsedData.training.length} rows. Choose the columns and labels to use.`, 'bg-green-100', 'text-green-800', true);
+    completeStep(1);
+}
+
 
 // --- STEP 2: DATA INSPECTION ---
 
-/** Inspects the loaded data, normalizes columns, and validates labels. */
-function inspectData() {
+const MAX_LABEL_VALUES_SHOWN = 50;
+// Column and label mapping chosen in Step 2:
+// { mode: 'binary' | 'sources', columns: { split: { text, label } }, labelValues: [{ value, count }],
+//   labelMap: { value: 0 | 1 | null }, sourceMap: { value: { name, human } } }
+let datasetMapping = null;
+// How normalizedData was made from the parsed files, so a resumed session can rebuild it instead of storing the rows:
+// { splitSettings, keptRows: { split: indexes of the inspected rows that Step 2 cleanup kept } }
+let datasetRebuild = null;
+
+/** Builds the initial column mapping for every loaded file and the label and source maps for the values found. */
+function createDatasetMapping() {
+    const mapping = { mode: document.getElementById('labelModeSelect').value, columns: {}, labelValues: [], labelMap: {}, sourceMap: {} };
+    DATASET_SPLITS.forEach(key => {
+        if (!rawParsedData[key]) return;
+        const columns = getDatasetColumns(rawParsedData[key]);
+        mapping.columns[key] = { available: columns, ...guessDatasetColumns(columns) };
+    });
+    refreshLabelMap(mapping);
+    return mapping;
+}
+
+/** Recounts the raw label values under the chosen label columns, keeping choices already made. */
+function refreshLabelMap(mapping) {
+    const counts = new Map();
+    Object.entries(mapping.columns).forEach(([key, columns]) => {
+        rawParsedData[key].forEach(row => {
+            const value = normalizeLabelValue(row[columns.label]);
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+    });
+    const labelMap = {};
+    const sourceMap = {};
+    const defaults = defaultSourceNames([...counts.keys()]);
+    counts.forEach((count, value) => {
+        labelMap[value] = Object.prototype.hasOwnProperty.call(mapping.labelMap, value) ? mapping.labelMap[value] : defaultLabelFor(value);
+        sourceMap[value] = mapping.sourceMap[value] || {
+            name: defaults.sourceNameByValue[value],
+            human: defaults.humanSources.includes(value)
+        };
+    });
+    mapping.labelMap = labelMap;
+    mapping.sourceMap = sourceMap;
+    mapping.labelValues = [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/** Renders one text/label column select per loaded file. */
+function renderColumnMapping() {
+    const columnSelect = (key, role) => {
+        const { available } = datasetMapping.columns[key];
+        const options = available
+            .map(c => `<option value="${escapeHtml(c)}"${c === datasetMapping.columns[key][role] ? ' selected' : ''}>${escapeHtml(c)}</option>`)
+            .join('');
+        return `<select data-split="${key}" data-role="${role}" class="p-1 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500">${options}</select>`;
+    };
+    const rows = Object.keys(datasetMapping.columns).map(key => [
+        key,
+        escapeHtml(loadedFiles[key] ? loadedFiles[key].name : ''),
+        rawParsedData[key].length,
+        columnSelect(key, 'text'),
+        columnSelect(key, 'label')
+    ]);
+    displayOutput('columnMappingOutput', buildHtmlTable(['Split', 'File', 'Rows', 'Text Column', 'Label Column'], rows));
+}
+
+/**
+ * Renders the raw label values found with a select mapping each to AI, Human or excluded, or in source-attribution
+ * mode with the source name and human flag of each value.
+ */
+function renderLabelMapping() {
+    const choices = [['0', CLASS_NAMES[0]], ['1', CLASS_NAMES[1]], ['', 'Exclude']];
+    const isSourceMode = datasetMapping.mode === 'sources';
+    const rows = datasetMapping.labelValues.slice(0, MAX_LABEL_VALUES_SHOWN).map(({ value, count }) => {
+        const valueCell = value === '' ? '<span class="italic text-gray-400">(empty)</span>' : escapeHtml(value);
+        if (isSourceMode) {
+            const { name, human } = datasetMapping.sourceMap[value];
+            return [
+                valueCell,
+                count,
+                `<input type="text" data-source-value="${escapeHtml(value)}" value="${escapeHtml(name)}" placeholder="Excluded" class="p-1 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500">`,
+                `<input type="checkbox" data-human-value="${escapeHtml(value)}"${human ? ' checked' : ''} class="h-4 w-4 text-blue-600 border-gray-300 rounded">`
+            ];
+        }
+        const selected = datasetMapping.labelMap[value] === null ? '' : String(datasetMapping.labelMap[value]);
+        const options = choices
+            .map(([optionValue, name]) => `<option value="${optionValue}"${optionValue === selected ? ' selected' : ''}>${name}</option>`)
+            .join('');
+        return [
+            valueCell,
+            count,
+            `<select data-label-value="${escapeHtml(value)}" class="p-1 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500">${options}</select>`
+        ];
+    });
+    let html = buildHtmlTable(isSourceMode ? ['Label Value', 'Rows', 'Source', 'Human'] : ['Label Value', 'Rows', 'Maps To'], rows);
+    const hidden = datasetMapping.labelValues.length - MAX_LABEL_VALUES_SHOWN;
+    if (hidden > 0) {
+        html += `<p class="mt-2 text-yellow-800">⚠️ The label column has ${datasetMapping.labelValues.length} distinct values; the ${hidden} least frequent are not shown and keep their default mapping. Is this really the label column?</p>`;
+    }
+    displayOutput('labelMappingOutput', html);
+}
+
+/** Applies a change made in the column or label mapping selects. */
+function handleDatasetMappingChange(event) {
+    if (!datasetMapping) return;
+    const { split, role, labelValue, sourceValue, humanValue } = event.target.dataset;
+    if (split && role) {
+        datasetMapping.columns[split][role] = event.target.value;
+        if (role === 'label') {
+            refreshLabelMap(datasetMapping);
+            renderLabelMapping();
+        }
+    } else if (labelValue !== undefined) {
+        datasetMapping.labelMap[labelValue] = event.target.value === '' ? null : Number(event.target.value);
+    } else if (sourceValue !== undefined) {
+        datasetMapping.sourceMap[sourceValue].name = event.target.value.trim();
+    } else if (humanValue !== undefined) {
+        datasetMapping.sourceMap[humanValue].human = event.target.checked;
+    }
+}
+
+/** Switches the label mapping between binary labels and source attribution. */
+function handleLabelModeChange() {
+    if (!datasetMapping) return;
+    datasetMapping.mode = document.getElementById('labelModeSelect').value;
+    renderLabelMapping();
+}
+
+/**
+ * Source classes and label map for the source-attribution mapping. A name counts as human when any
+ * label value mapped to it is ticked.
+ */
+function buildSourceClasses(mapping) {
+    const entries = Object.entries(mapping.sourceMap);
+    return createSourceClasses(
+        Object.fromEntries(entries.map(([value, { name }]) => [value, name])),
+        entries.filter(([, { name, human }]) => human && name).map(([, { name }]) => name)
+    );
+}
+
+/** Reads the validation/test fractions and the seed used to split missing sets from the training data. */
+function readSplitSettings() {
+    const readPercent = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return Number.isFinite(value) ? value / 100 : fallback;
+    };
+    const seed = parseInt(document.getElementById('splitSeedInput').value, 10);
+    const settings = {
+        validation: readPercent('validationSplitInput', DEFAULT_SPLIT_SETTINGS.validation),
+        testing: readPercent('testingSplitInput', DEFAULT_SPLIT_SETTINGS.testing),
+        seed: Number.isInteger(seed) ? seed : DEFAULT_SPLIT_SETTINGS.seed
+    };
+    if (settings.validation <= 0 || settings.testing <= 0 || settings.validation + settings.testing >= 1) {
+        throw new Error('Validation and test percentages must be positive and add up to less than 100.');
+    }
+    return settings;
+}
+
+/**
+ * Fills normalizedData from the parsed files with the current column and label mapping, splitting the sets without a
+ * file off the training rows. Returns the split-off set keys and the number of excluded rows; throws when the
+ * mapping does not name every source.
+ */
+function normalizeParsedData(splitSettings) {
+    let labelMap = datasetMapping.labelMap;
+    sourceClasses = null;
+    if (datasetMapping.mode === 'sources') {
+        ({ sources: sourceClasses, labelMap } = buildSourceClasses(datasetMapping));
+    }
+    let totalInvalidRows = 0;
+    DATASET_SPLITS.forEach(key => {
+        if (!rawParsedData[key]) {
+            normalizedData[key] = null;
+            return;
+        }
+        const { rows, invalidRows } = normalizeDatasetRows(rawParsedData[key], datasetMapping.columns[key], labelMap, sourceClasses);
+        normalizedData[key] = rows;
+        totalInvalidRows += invalidRows;
+    });
+
+    const splitKeys = DATASET_SPLITS.filter(key => !normalizedData[key]);
+    if (splitKeys.length > 0) {
+        const fractions = Object.fromEntries(splitKeys.map(key => [key, splitSettings[key]]));
+        Object.assign(normalizedData, stratifiedSplit(normalizedData.training, fractions, splitSettings.seed));
+    }
+    datasetRebuild = {
+        splitSettings,
+        keptRows: Object.fromEntries(DATASET_SPLITS.map(key => [key, normalizedData[key].map((_, index) => index)]))
+    };
+    return { splitKeys, totalInvalidRows };
+}
+
+/** Applies the column and label mapping, splits off missing sets, and previews the training data. */
+async function inspectData() {
     // Start by assuming training data is the one to inspect visually
     const dataKey = 'training';
     const rawData = rawParsedData[dataKey];
 
     if (!rawData || rawData.length === 0) {
-        displayOutput('inspectionMessage', 'Error: Training data is empty or invalid. Please check the columns in your CSV files.', 'error');
+        displayOutput('inspectionMessage', 'Error: Training data is empty or invalid. Please check the columns in your files.');
         displayOutput('inspectionOutput', 'No data to show.', false);
         return;
     }
+    if (!datasetMapping) datasetMapping = createDatasetMapping();
 
-    // 1. Infer and normalize headers
-    const firstRow = rawData[0];
-    const rowKeys = Object.keys(firstRow);
-    
-    // Find text and label keys (case-insensitive and robust to extra spaces/quotes)
-    let textKey = rowKeys.find(k => String(k).toLowerCase().trim().replace(/['"]/g, '') === 'text');
-    let labelKey = rowKeys.find(k => String(k).toLowerCase().trim().replace(/['"]/g, '') === 'label');
-    
-    if (!textKey || !labelKey) {
-        // If not found, fall back to the first two keys found
-        const keys = Object.keys(firstRow).filter(k => String(k).trim().length > 0);
-        textKey = textKey || keys[0];
-        labelKey = labelKey || keys[1];
-        
-        displayOutput('inspectionMessage', `
-            ⚠️ **WARNING**: Could not find standard 'text' and 'label' columns. 
-            Inferring columns as **${textKey}** (input) and **${labelKey}** (output). 
-            Please ensure these are correct!
-            <br>
-            Showing first 5 rows of the Training Set (${rawData.length} total rows). 
-        `);
-    } else {
-        displayOutput('inspectionMessage', `Showing first 5 rows of the Training Set (${rawData.length} total rows). Columns: **${textKey}** (input) and **${labelKey}** (0=AI, 1=Human).`);
+    let splitSettings;
+    try {
+        splitSettings = readSplitSettings();
+    } catch (error) {
+        displayOutput('inspectionMessage', `❌ ${escapeHtml(error.message)}`);
+        return;
     }
+    if (!(await beginStep(2))) return;
 
-    // 2. Normalize and Validate ALL Data
-    const keysToNormalize = Object.keys(rawParsedData);
-    let totalInvalidRows = 0;
+    // 1. Normalize and validate every loaded file with its own column mapping
+    // 2. Create the sets that had no file from the training data
+    let splitKeys;
+    let totalInvalidRows;
+    try {
+        ({ splitKeys, totalInvalidRows } = normalizeParsedData(splitSettings));
+    } catch (error) {
+        displayOutput('inspectionMessage', `❌ ${escapeHtml(error.message)} Name the source of each label value.`);
+        return;
+    }
+    labelCorrections.clear(); // Corrections belong to the rows just replaced
 
-    keysToNormalize.forEach(key => {
-        const dataToNormalize = rawParsedData[key];
-        let invalidRows = 0;
-        
-        normalizedData[key] = dataToNormalize.map(row => {
-            const text = row[textKey];
-            const rawLabel = row[labelKey];
-            let label = null;
-
-            // Robust Label Conversion: Handles numeric 0/1, string '0'/'1', and converts to actual number (0 or 1)
-            // Fix: Ensure we can handle all common representations of 0 and 1
-            if (rawLabel === 0 || rawLabel === 1) {
-                label = rawLabel;
-            } else if (typeof rawLabel === 'string') {
-                const trimmed = rawLabel.trim();
-                if (trimmed === '0') label = 0;
-                else if (trimmed === '1') label = 1;
-            } else if (typeof rawLabel === 'number' && (rawLabel === 0 || rawLabel === 1)) {
-                label = rawLabel;
-            }
-            
-            // Validate: check if text is present and label is a valid 0 or 1
-            if (typeof text !== 'string' || String(text).trim().length === 0 || label === null) {
-                invalidRows++;
-                return null; // Exclude invalid rows
-            }
+    const emptyKeys = DATASET_SPLITS.filter(key => normalizedData[key].length === 0);
+    if (emptyKeys.length > 0) {
+        displayOutput('inspectionMessage', `❌ No usable rows in the **${emptyKeys.join(', ')}** set(s). Check the text/label columns and the label mapping.`);
+        displayOutput('inspectionOutput', 'No data to show.', false);
+        return;
+    }
 
-            return { text: String(text).trim(), label: label };
-        }).filter(row => row !== null);
-        
-        totalInvalidRows += invalidRows;
-    });
+    const { text: textKey, label: labelKey } = datasetMapping.columns[dataKey];
+    const splitSummary = DATASET_SPLITS
+        .map(key => `${key}: ${normalizedData[key].length}${splitKeys.includes(key) ? ' (split from training)' : ''}`)
+        .join(', ');
+    let labelDescription = '(0=AI, 1=Human)';
+    if (sourceClasses) {
+        const sourceCounts = sourceClasses.names.map((name, i) => `${escapeHtml(name)}${sourceClasses.human.includes(i) ? ' (human)' : ''}: ${normalizedData.training.filter(row => row.source === i).length}`);
+        labelDescription = `(${sourceClasses.names.length} sources; training rows per source: ${sourceCounts.join(', ')})`;
+    }
+    displayOutput('inspectionMessage', `Showing first 5 rows of the Training Set. Columns: **${escapeHtml(textKey)}** (input) and **${escapeHtml(labelKey)}** ${labelDescription}. Rows per set: ${splitSummary}.`);
 
     if (totalInvalidRows > 0) {
         // Alert user about rows being excluded
         updateGeneralStatus(
-            `⚠️ Data Cleaning Complete. A total of **${totalInvalidRows}** rows were excluded across all datasets because they were missing text or had an invalid label (not 0 or 1). Proceeding with ${normalizedData.training.length} training rows.`,
+            `⚠️ Data Cleaning Complete. A total of **${totalInvalidRows}** rows were excluded across all datasets because they were missing text or had an excluded label. Proceeding with ${normalizedData.training.length} training rows.`,
             'bg-yellow-100',
             'text-yellow-800',
             false // Proceed to next step
@@ -276,312 +804,3116 @@ function inspectData() {
         );
     }
     
-    // 3. Display data table using the keys found/inferred
+    // 3. Display data table using the mapped columns
     let tableHtml = `<div class="overflow-x-auto"><table class="min-w-full divide-y divide-gray-200"><thead><tr>`;
     const headers = [textKey, labelKey]; 
-    headers.forEach(h => tableHtml += `<th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase">${h}</th>`);
+    headers.forEach(h => tableHtml += `<th class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase">${escapeHtml(h)}</th>`);
     tableHtml += `</tr></thead><tbody class="divide-y divide-gray-200">`;
     
-    // Use the normalized data (with 'text' and 'label' keys) for displaying the content
-    const dataToShow = normalizedData[dataKey].length > 0 ? normalizedData[dataKey] : rawData;
-    dataToShow.slice(0, 5).forEach(row => {
+    normalizedData[dataKey].slice(0, 5).forEach(row => {
         tableHtml += `<tr>`;
-        // Check if the data is normalized (uses .text) or raw (uses [textKey])
-        const textValue = row.text ? row.text : row[textKey] || 'N/A';
-        const labelValue = row.label !== undefined && row.label !== null ? row.label : row[labelKey] || 'N/A';
-
-        tableHtml += `<td class="px-3 py-3 text-sm text-gray-900 w-3/4 max-w-xs overflow-hidden text-ellipsis whitespace-nowrap">${textValue}</td>`;
-        tableHtml += `<td class="px-3 py-3 whitespace-nowrap text-sm font-bold text-gray-900">${labelValue}</td>`;
+        tableHtml += `<td class="px-3 py-3 text-sm text-gray-900 w-3/4 max-w-xs overflow-hidden text-ellipsis whitespace-nowrap">${escapeHtml(row.text)}</td>`;
+        const labelText = sourceClasses ? `${escapeHtml(sourceClasses.names[row.source])} (${row.label})` : row.label;
+        tableHtml += `<td class="px-3 py-3 whitespace-nowrap text-sm font-bold text-gray-900">${labelText}</td>`;
         tableHtml += `</tr>`;
     });
     tableHtml += `</tbody></table></div>`;
     displayOutput('inspectionOutput', tableHtml);
 
-    // Enable next step
-    document.getElementById('preprocessBtn').disabled = false;
-    showStep('step-3');
-}
-
-
-// --- STEP 3: PREPROCESSING (Tokenization & Vocabulary) ---
+    // 4. Check for duplicates, leaks and other problems before preprocessing, and chart the stylometric features
+    runDataQualityReport();
+    renderStylometricReport();
 
-/** Tokenizes text and builds the global word-to-index map. */
-function preprocessData() {
-    document.getElementById('preprocessBtn').disabled = true;
-    displayOutput('preprocessOutput', 'Building vocabulary from training data... <br>', false);
-    
-    // 1. Collect all unique words
-    const uniqueWords = new Set();
-    normalizedData.training.forEach(row => {
-        const tokens = simpleTokenizer(row.text); 
-        tokens.forEach(word => uniqueWords.add(word));
-    });
+    document.getElementById('continueToPreprocessBtn').disabled = false;
+    completeStep(2);
+}
 
-    // 2. Create word-to-index map (index starts at 2, 0 and 1 are reserved)
-    let index = 2; 
-    wordIndex = { '<PAD>': 0, '<OOV>': 1 }; // OOV (Out-Of-Vocabulary) placeholder at index 1
-    uniqueWords.forEach(word => {
-        if (!wordIndex[word]) {
-            wordIndex[word] = index++;
+// --- STEP 2: DATA QUALITY REPORT ---
+
+const NEAR_DUPLICATE_THRESHOLD = 0.8;   // Minimum Jaccard similarity of word 3-gram shingles
+const NEAR_DUPLICATE_NUM_HASHES = 64;   // MinHash signature length...
+const NEAR_DUPLICATE_BANDS = 16;        // ...split into LSH bands of 4 hashes each
+const NEAR_DUPLICATE_MAX_BUCKET = 100;  // Larger LSH buckets (boilerplate) are skipped to bound the pair count
+const QUALITY_EXAMPLE_LIMIT = 10;
+const TEXT_ANOMALY_CHECKS = {
+    replacementChar: { label: 'Replacement characters (�)', test: text => /\uFFFD/.test(text) },
+    mojibake: { label: 'Mojibake (e.g. "Ã©", "â€™")', test: text => /[\u00C3\u00C2][\u0080-\u00BF]|\u00E2\u20AC/.test(text) },
+    controlChars: { label: 'Control characters', test: text => /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/.test(text) },
+    invisibleChars: { label: 'Zero-width / invisible characters', test: text => /[\u200B-\u200D\u2060\uFEFF]/.test(text) },
+    nonLatinScript: {
+        label: 'Mostly non-Latin script (other language?)',
+        test: text => {
+            const letters = text.match(/\p{L}/gu) || [];
+            const latin = text.match(/\p{Script=Latin}/gu) || [];
+            return letters.length >= 20 && latin.length / letters.length < 0.5;
         }
-    });
+    }
+};
 
-    VOCAB_SIZE = index;
+let dataQualityReport = null; // Result of analyzeDataQuality() for the current normalizedData
 
-    displayOutput('preprocessOutput', '✅ Vocabulary built: <br>' +
-        `Total Unique Words Found: **${uniqueWords.size}** <br>` +
-        `Vocabulary Size (including PAD/OOV): **${VOCAB_SIZE}** <br>` +
-        `Max Sequence Length for Padding: **${MAX_SEQUENCE_LENGTH}**`, true);
-    
-    document.getElementById('maxSeqLenDisplay').textContent = MAX_SEQUENCE_LENGTH;
-    
-    // Enable next step
-    document.getElementById('embeddingBtn').disabled = false;
-    showStep('step-4');
+/** Normalizes text for exact-duplicate comparison (case, whitespace). */
+function normalizeForDuplicateCheck(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
 }
 
+/** Mixes a 32-bit hash with a seed (MurmurHash3 finalizer) to derive independent hash functions. */
+function mixHash(hash, seed) {
+    let h = (hash ^ seed) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
 
-// --- STEP 4: TEXT EMBEDDING (Sequencing & Padding) ---
-
-/** Converts raw text data into padded numerical sequences (Tensors). */
-function createEmbeddings() {
-    document.getElementById('embeddingBtn').disabled = true;
-    displayOutput('embeddingOutput', 'Converting text to padded sequences and Tensors... <br>', false);
-    
-    // Global variable to hold the final processed Tensors for training
-    const processedTensors = {};
+/** Returns the set of hashed word 3-gram shingles of a normalized text. */
+function computeShingles(normalizedText) {
+    const words = normalizedText.split(' ');
+    const shingles = new Set();
+    if (words.length < 3) {
+        shingles.add(hashString(normalizedText));
+        return shingles;
+    }
+    for (let i = 0; i + 3 <= words.length; i++) {
+        shingles.add(hashString(words.slice(i, i + 3).join(' ')));
+    }
+    return shingles;
+}
 
-    const processTextToSequence = (text, wordIndexMap, maxLength) => {
-        const tokens = simpleTokenizer(text);
-        // Map tokens to indices, using 1 ('<OOV>') for unknown words
-        let sequence = tokens.map(word => wordIndexMap[word] || 1); 
+/** Jaccard similarity of two sets. */
+function jaccardSimilarity(a, b) {
+    let intersection = 0;
+    a.forEach(value => { if (b.has(value)) intersection++; });
+    return intersection / (a.size + b.size - intersection);
+}
 
-        // Apply truncation (if sequence is longer than max length)
-        if (sequence.length > maxLength) {
-            sequence = sequence.slice(0, maxLength);
+/**
+ * Finds near-duplicate pairs among items ({ shingles }) with MinHash + LSH, verified by exact Jaccard similarity.
+ * Returns [{ a, b, similarity }] with item indices a < b.
+ */
+function findNearDuplicatePairs(items) {
+    const random = createSeededRandom(1);
+    const seeds = Array.from({ length: NEAR_DUPLICATE_NUM_HASHES }, () => Math.floor(random() * 4294967296));
+    const rowsPerBand = NEAR_DUPLICATE_NUM_HASHES / NEAR_DUPLICATE_BANDS;
+    const buckets = new Map();
+
+    const signature = new Uint32Array(NEAR_DUPLICATE_NUM_HASHES);
+    items.forEach((item, index) => {
+        const shingles = Uint32Array.from(item.shingles);
+        for (let h = 0; h < NEAR_DUPLICATE_NUM_HASHES; h++) {
+            let min = 0xFFFFFFFF;
+            for (let s = 0; s < shingles.length; s++) {
+                const value = mixHash(shingles[s], seeds[h]);
+                if (value < min) min = value;
+            }
+            signature[h] = min;
         }
-        // Apply padding (if sequence is shorter than max length)
-        while (sequence.length < maxLength) {
-            sequence.push(0); // 0 is '<PAD>'
+        for (let band = 0; band < NEAR_DUPLICATE_BANDS; band++) {
+            const key = `${band}:${signature.slice(band * rowsPerBand, (band + 1) * rowsPerBand).join(',')}`;
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(index);
         }
-        return sequence;
-    };
-    
-    try {
-        ['training', 'testing', 'validation'].forEach(key => {
-            const data = normalizedData[key];
-
-            const sequences = data.map(row => processTextToSequence(row.text, wordIndex, MAX_SEQUENCE_LENGTH));
-            const labels = data.map(row => row.label);
-
-            const featureTensor = tf.tensor2d(sequences, [data.length, MAX_SEQUENCE_LENGTH], 'int32');
-            const labelTensor = tf.tensor2d(labels, [data.length, 1], 'int32');
+    });
 
-            processedTensors[key] = { features: featureTensor, labels: labelTensor };
+    const checked = new Set();
+    const pairs = [];
+    buckets.forEach(bucket => {
+        if (bucket.length < 2 || bucket.length > NEAR_DUPLICATE_MAX_BUCKET) return;
+        for (let i = 0; i < bucket.length; i++) {
+            for (let j = i + 1; j < bucket.length; j++) {
+                const pairKey = `${bucket[i]},${bucket[j]}`;
+                if (checked.has(pairKey)) continue;
+                checked.add(pairKey);
+                const similarity = jaccardSimilarity(items[bucket[i]].shingles, items[bucket[j]].shingles);
+                if (similarity >= NEAR_DUPLICATE_THRESHOLD) pairs.push({ a: bucket[i], b: bucket[j], similarity });
+            }
+        }
+    });
+    return pairs;
+}
 
-            displayOutput('embeddingOutput', 
-                `**${key.toUpperCase()}** - Samples: ${data.length}, Sequences Shape: ${featureTensor.shape} <br> `, true);
+/**
+ * Finds exact and near duplicates within and across splits. A row is flagged when a matching row comes earlier,
+ * in the same split (a duplicate) or in an earlier split in training → validation → testing order (a leak),
+ * so removing flagged rows keeps the first occurrence and never touches the training set for leaks.
+ */
+function findDuplicateRows(data) {
+    const flags = {};
+    DATASET_SPLITS.forEach(key => flags[key] = { exactDuplicates: new Set(), nearDuplicates: new Set(), exactLeaks: new Set(), nearLeaks: new Set() });
+    const examples = [];
+    const addExample = (kind, first, second, similarity) => {
+        if (examples.length < QUALITY_EXAMPLE_LIMIT) examples.push({ kind, first, second, similarity });
+    };
 
+    // 1. Exact duplicates: first occurrence of each normalized text, plus label conflicts
+    const firstSeen = new Map();
+    const labelsByText = new Map();
+    const uniqueItems = [];
+    DATASET_SPLITS.forEach(key => {
+        data[key].forEach((row, index) => {
+            const normalized = normalizeForDuplicateCheck(row.text);
+            if (!labelsByText.has(normalized)) labelsByText.set(normalized, new Set());
+            labelsByText.get(normalized).add(row.label);
+
+            const current = { split: key, index };
+            const first = firstSeen.get(normalized);
+            if (!first) {
+                firstSeen.set(normalized, current);
+                uniqueItems.push({ ...current, shingles: computeShingles(normalized) });
+            } else {
+                flags[key][first.split === key ? 'exactDuplicates' : 'exactLeaks'].add(index);
+                addExample(first.split === key ? 'Exact duplicate' : 'Exact leak', first, current, 1);
+            }
         });
-            
-        // Overwrite the global normalizedData with the tensors
-        Object.assign(normalizedData, processedTensors);
-
-        displayOutput('embeddingOutput', '✅ All datasets successfully converted to numerical sequences.', true);
+    });
 
-        // Enable next step
-        document.getElementById('createModelBtn').disabled = false;
-        showStep('step-5');
+    // 2. Near duplicates among the remaining unique texts (items are already in split/row order)
+    findNearDuplicatePairs(uniqueItems).forEach(({ a, b, similarity }) => {
+        const first = uniqueItems[a];
+        const second = uniqueItems[b];
+        const sameSplit = first.split === second.split;
+        flags[second.split][sameSplit ? 'nearDuplicates' : 'nearLeaks'].add(second.index);
+        addExample(sameSplit ? 'Near duplicate' : 'Near leak', first, second, similarity);
+    });
 
-    } catch (error) {
-        displayOutput('embeddingOutput', `❌ Embedding failed: ${error.message}`, true);
-        document.getElementById('embeddingBtn').disabled = false;
-    }
+    const conflictingTexts = [...labelsByText.values()].filter(labels => labels.size > 1).length;
+    return { flags, examples, conflictingTexts };
 }
 
+/** Runs all data-quality checks over the normalized splits. */
+function analyzeDataQuality(data, maxSequenceLength) {
+    const countTokens = createTokenizer(DEFAULT_TOKENIZER_SETTINGS).tokenize;
+    const lengthsByClass = [[], []];
+    const splits = {};
+
+    DATASET_SPLITS.forEach(key => {
+        const stats = { rows: data[key].length, classCounts: [0, 0], longerThanMax: 0, anomalies: {} };
+        Object.keys(TEXT_ANOMALY_CHECKS).forEach(check => stats.anomalies[check] = { count: 0, example: null });
+
+        data[key].forEach(row => {
+            stats.classCounts[row.label]++;
+            const length = countTokens(row.text).length;
+            lengthsByClass[row.label].push(length);
+            if (length > maxSequenceLength) stats.longerThanMax++;
+
+            Object.entries(TEXT_ANOMALY_CHECKS).forEach(([check, { test }]) => {
+                if (!test(row.text)) return;
+                stats.anomalies[check].count++;
+                if (stats.anomalies[check].example === null) stats.anomalies[check].example = row.text;
+            });
+        });
+        splits[key] = stats;
+    });
 
-// --- STEP 5: MODEL SETUP ---
+    return { maxSequenceLength, splits, lengthsByClass, duplicates: findDuplicateRows(data) };
+}
 
-/** Defines and compiles the text classification neural network model. */
-function createModel() {
-    document.getElementById('createModelBtn').disabled = true;
-    
-    // Input shape is (MAX_SEQUENCE_LENGTH)
-    model = tf.sequential();
-    
-    // 1. Embedding Layer: Turns word indices into dense vectors
-    model.add(tf.layers.embedding({
-        inputDim: VOCAB_SIZE,        // Vocabulary size
-        outputDim: EMBEDDING_DIM,    // Embedding vector size (e.g., 16)
-        inputLength: MAX_SEQUENCE_LENGTH // Padded sequence length
-    }));
-    
-    // 2. Flatten the embedded sequences (from [50, 16] to [800])
-    model.add(tf.layers.flatten());
+/** Row indices per split that deduplication (or leak removal) would drop. */
+function getRowsToRemove(report, action, includeNear) {
+    const rows = {};
+    DATASET_SPLITS.forEach(key => {
+        const flags = report.duplicates.flags[key];
+        const kinds = action === 'dedupe' ? ['exactDuplicates', 'nearDuplicates'] : ['exactLeaks', 'nearLeaks'];
+        rows[key] = new Set(kinds
+            .filter(kind => includeNear || kind.startsWith('exact'))
+            .flatMap(kind => [...flags[kind]]));
+    });
+    return rows;
+}
 
-    // 3. Dense layers for classification
-    model.add(tf.layers.dense({ units: 10, activation: 'relu' }));
-    model.add(tf.layers.dense({ units: 10, activation: 'relu' }));
-    
-    // 4. Output layer (Binary Classification: 1 or 0)
-    model.add(tf.layers.dense({ units: 1, activation: 'sigmoid' })); 
+/** Shortens a text for the report tables. */
+function previewText(text, maxLength) {
+    return escapeHtml(text.length > maxLength ? text.slice(0, maxLength) + '…' : text);
+}
 
-    // Compile the model
-    model.compile({
-        optimizer: tf.train.adam(0.005),
-        loss: 'binaryCrossentropy',
-        metrics: ['accuracy']
+/** Renders the data-quality report and length histograms, and updates the cleanup buttons. */
+function renderDataQualityReport() {
+    const report = dataQualityReport;
+    const { flags, examples, conflictingTexts } = report.duplicates;
+
+    const summaryRows = DATASET_SPLITS.map(key => {
+        const stats = report.splits[key];
+        const aiShare = stats.rows > 0 ? (stats.classCounts[0] / stats.rows * 100).toFixed(1) : '0.0';
+        const longerShare = stats.rows > 0 ? (stats.longerThanMax / stats.rows * 100).toFixed(1) : '0.0';
+        return [
+            key, stats.rows, stats.classCounts[0], stats.classCounts[1], `${aiShare}%`,
+            flags[key].exactDuplicates.size, flags[key].nearDuplicates.size,
+            flags[key].exactLeaks.size, flags[key].nearLeaks.size,
+            `${longerShare}%`
+        ];
     });
+    let html = buildHtmlTable(
+        ['Split', 'Rows', 'AI', 'Human', 'AI %', 'Exact Dups', 'Near Dups', 'Exact Leaks', 'Near Leaks', `> ${report.maxSequenceLength} Tokens`],
+        summaryRows
+    );
+    html += `<p class="text-xs text-gray-500 mt-1">Leaks are rows that also appear in an earlier split (training → validation → testing). Near duplicates have ≥ ${NEAR_DUPLICATE_THRESHOLD * 100}% word 3-gram overlap. Lengths use the default word tokenizer.</p>`;
+    if (conflictingTexts > 0) {
+        html += `<p class="mt-2 text-yellow-800">⚠️ **${conflictingTexts}** text(s) appear with both labels.</p>`;
+    }
 
-    // Display model summary
-    let summaryText = 'Model Architecture: <br>';
-    const originalLog = console.log;
-    // Intercept console.log to capture model summary output
-    console.log = (message) => { summaryText += message.replace(/\n/g, '<br>') + '<br>'; };
-    model.summary();
-    console.log = originalLog; // Restore original console.log
-    displayOutput('modelSummary', summaryText);
+    const anomalyRows = Object.entries(TEXT_ANOMALY_CHECKS).map(([check, { label }]) => {
+        const counts = DATASET_SPLITS.map(key => report.splits[key].anomalies[check].count);
+        const exampleSplit = DATASET_SPLITS.find(key => report.splits[key].anomalies[check].example !== null);
+        const example = exampleSplit ? previewText(report.splits[exampleSplit].anomalies[check].example, 60) : '';
+        return [label, ...counts, example];
+    });
+    html += `<h4 class="font-semibold text-gray-800 mt-4 mb-1">Language / Encoding Anomalies</h4>`;
+    html += buildHtmlTable(['Check', ...DATASET_SPLITS, 'Example'], anomalyRows);
+
+    if (examples.length > 0) {
+        const exampleRows = examples.map(({ kind, first, second, similarity }) => [
+            kind,
+            `${first.split} #${first.index + 1}`,
+            `${second.split} #${second.index + 1}`,
+            `${(similarity * 100).toFixed(0)}%`,
+            previewText(normalizedData[second.split][second.index].text, 60)
+        ]);
+        html += `<h4 class="font-semibold text-gray-800 mt-4 mb-1">Duplicate Examples</h4>`;
+        html += buildHtmlTable(['Kind', 'First', 'Duplicate', 'Similarity', 'Text'], exampleRows);
+    }
+    displayOutput('dataQualityOutput', html);
 
-    // Enable next step
-    document.getElementById('trainModelBtn').disabled = false;
-    showStep('step-6');
+    report.lengthsByClass.forEach((lengths, cls) => {
+        const containerId = cls === 0 ? 'lengthHistogramAiContainer' : 'lengthHistogramHumanContainer';
+        tfvis.render.histogram(document.getElementById(containerId), lengths,
+            { width: 320, height: 220, xLabel: `${CLASS_NAMES[cls]} text length (tokens)`, maxBins: 30 });
+    });
+    updateDataQualityControls();
 }
 
-
+/** Enables the cleanup buttons and shows how many rows each would remove. */
+function updateDataQualityControls() {
+    const includeNear = document.getElementById('includeNearDuplicatesCheckbox').checked;
+    [['dedupeBtn', 'dedupe', 'Remove Duplicates'], ['removeLeaksBtn', 'leaks', 'Remove Leaked Rows']].forEach(([id, action, label]) => {
+        const button = document.getElementById(id);
+        const count = dataQualityReport
+            ? Object.values(getRowsToRemove(dataQualityReport, action, includeNear)).reduce((sum, rows) => sum + rows.size, 0)
+            : 0;
+        button.textContent = `${label} (${count} rows)`;
+        button.disabled = count === 0;
+    });
+}
+
+/** Recomputes the data-quality report for the current normalized data. */
+function runDataQualityReport() {
+    const sequenceLength = parseInt(document.getElementById('maxSeqLenInput').value, 10);
+    dataQualityReport = analyzeDataQuality(normalizedData, Number.isInteger(sequenceLength) && sequenceLength > 0 ? sequenceLength : MAX_SEQUENCE_LENGTH);
+    renderDataQualityReport();
+}
+
+/** Removes duplicate ('dedupe') or leaked ('leaks') rows from the normalized data and refreshes the report. */
+async function cleanDataset(action) {
+    if (!dataQualityReport || !(await beginStep(2))) return;
+    const includeNear = document.getElementById('includeNearDuplicatesCheckbox').checked;
+    const rowsToRemove = getRowsToRemove(dataQualityReport, action, includeNear);
+
+    let removed = 0;
+    DATASET_SPLITS.forEach(key => {
+        removed += rowsToRemove[key].size;
+        normalizedData[key] = normalizedData[key].filter((_, index) => !rowsToRemove[key].has(index));
+        datasetRebuild.keptRows[key] = datasetRebuild.keptRows[key].filter((_, index) => !rowsToRemove[key].has(index));
+    });
+
+    updateGeneralStatus(
+        `✅ Removed **${removed}** ${action === 'dedupe' ? 'duplicate' : 'leaked'} row(s). Rows per set: ${DATASET_SPLITS.map(key => `${key}: ${normalizedData[key].length}`).join(', ')}.`,
+        'bg-green-100',
+        'text-green-800',
+        false
+    );
+    runDataQualityReport();
+    completeStep(2);
+}
+
+// --- STEP 2: STYLOMETRIC FEATURE REPORT ---
+
+const STYLOMETRIC_CHART_BINS = 20;
+
+let stylometricReport = null; // { names, valuesByClass: [AI rows, Human rows] } for the training split
+
+/** Bins one feature dimension for both classes over a shared range; y is the share of the class's texts per bin. */
+function computeClassDistributions(valuesByClass, dim, bins = STYLOMETRIC_CHART_BINS) {
+    const all = valuesByClass.flatMap(rows => rows.map(row => row[dim]));
+    const min = Math.min(...all);
+    const width = (Math.max(...all) - min) / bins || 1;
+    return valuesByClass.map(rows => {
+        const counts = new Array(bins).fill(0);
+        rows.forEach(row => counts[Math.min(bins - 1, Math.floor((row[dim] - min) / width))]++);
+        return counts.map((count, i) => ({ x: min + (i + 0.5) * width, y: safeRatio(count, rows.length) }));
+    });
+}
+
+/** Computes every stylometric feature for the training texts and renders the per-class summary and chart. */
+function renderStylometricReport() {
+    const featureKeys = Object.keys(STYLOMETRIC_FEATURES);
+    const names = getStylometricFeatureNames(featureKeys);
+    const valuesByClass = [[], []];
+    normalizedData.training.forEach(row => valuesByClass[row.label].push(computeStylometricFeatures(row.text, featureKeys)));
+    stylometricReport = { names, valuesByClass };
+
+    const rows = names.map((name, dim) => {
+        const [ai, human] = valuesByClass.map(classRows => computeMeanStd(classRows.map(row => row[dim])));
+        const pooledStd = Math.sqrt((ai.std ** 2 + human.std ** 2) / 2);
+        return [
+            escapeHtml(name),
+            `${ai.mean.toFixed(3)} ± ${ai.std.toFixed(3)}`,
+            `${human.mean.toFixed(3)} ± ${human.std.toFixed(3)}`,
+            safeRatio(human.mean - ai.mean, pooledStd).toFixed(2)
+        ];
+    });
+    displayOutput('stylometricSummaryOutput',
+        buildHtmlTable(['Feature', `${CLASS_NAMES[0]} mean ± std`, `${CLASS_NAMES[1]} mean ± std`, "Cohen's d"], rows) +
+        `<p class="text-xs text-gray-500 mt-1">Training split. Cohen's d is the difference in class means in pooled standard deviations (positive: higher for Human).</p>`);
+
+    const select = document.getElementById('stylometricChartSelect');
+    const selected = Math.min(parseInt(select.value, 10) || 0, names.length - 1);
+    select.innerHTML = names.map((name, dim) => `<option value="${dim}"${dim === selected ? ' selected' : ''}>${escapeHtml(name)}</option>`).join('');
+    renderStylometricChart();
+}
+
+/** Charts the per-class distribution of the feature chosen in the Step 2 select. */
+function renderStylometricChart() {
+    if (!stylometricReport) return;
+    const dim = parseInt(document.getElementById('stylometricChartSelect').value, 10) || 0;
+    tfvis.render.linechart(document.getElementById('stylometricChartContainer'),
+        { values: computeClassDistributions(stylometricReport.valuesByClass, dim), series: CLASS_NAMES },
+        { width: 500, height: 260, xLabel: stylometricReport.names[dim], yLabel: 'Share of texts', zoomToFit: true });
+}
+
+// --- STEP 3: PREPROCESSING (Tokenization & Vocabulary) ---
+
+const VOCAB_INSPECTOR_TOP_TOKENS = 15;
+const VOCAB_COVERAGE_POINTS = 100;
+
+let vocabularySettings = { minCount: 1, maxSize: 0, stopwordMode: 'keep', stopwordList: 'english' };
+
+/** Returns the stopwords selected in Step 3 (the bundled English list or the custom list). */
+function readStopwords() {
+    if (document.getElementById('stopwordList').value === 'custom') {
+        return document.getElementById('customStopwords').value
+            .split(/[\s,]+/)
+            .map(word => word.trim().toLowerCase())
+            .filter(word => word.length > 0);
+    }
+    return ENGLISH_STOPWORDS;
+}
+
+/** Reads the vocabulary controls (frequency cutoff, size limit, stopword handling) from Step 3. */
+function readVocabularySettings() {
+    return {
+        minCount: Math.max(1, parseInt(document.getElementById('minTokenCountInput').value, 10) || 1),
+        maxSize: Math.max(0, parseInt(document.getElementById('maxVocabSizeInput').value, 10) || 0),
+        stopwordMode: document.getElementById('stopwordMode').value,
+        stopwordList: document.getElementById('stopwordList').value
+    };
+}
+
+/** Reads the tokenizer choice from the Step 3 controls. */
+function readTokenizerSettings() {
+    const settings = {
+        type: document.getElementById('tokenizerType').value,
+        lowercase: document.getElementById('tokenizerLowercase').checked,
+        normalize: document.getElementById('tokenizerNormalize').checked,
+        ngramSize: parseInt(document.getElementById('ngramSizeInput').value, 10) || DEFAULT_TOKENIZER_SETTINGS.ngramSize,
+        numMerges: parseInt(document.getElementById('subwordMergesInput').value, 10) || DEFAULT_TOKENIZER_SETTINGS.numMerges
+    };
+    // Removed stopwords become part of the tokenizer so predictions drop them the same way
+    if (document.getElementById('stopwordMode').value === 'remove') {
+        settings.stopwords = readStopwords();
+    }
+    return settings;
+}
+
+/** Shows only the tokenizer and stopword options that apply to the current selections. */
+function updateTokenizerOptionVisibility() {
+    const type = document.getElementById('tokenizerType').value;
+    document.getElementById('ngramSizeGroup').style.display = type === 'charNgram' ? 'block' : 'none';
+    document.getElementById('subwordMergesGroup').style.display = isTrainableTokenizer(type) ? 'block' : 'none';
+    document.getElementById('customStopwordsGroup').style.display =
+        document.getElementById('stopwordList').value === 'custom' ? 'block' : 'none';
+
+    // Offer only the stopword handling the tokenizer can apply (see TOKENIZER_STOPWORD_MODES)
+    const modeSelect = document.getElementById('stopwordMode');
+    const supportedModes = TOKENIZER_STOPWORD_MODES[type];
+    [...modeSelect.options].forEach(option => {
+        option.disabled = !supportedModes.includes(option.value);
+    });
+    if (!supportedModes.includes(modeSelect.value)) modeSelect.value = 'keep';
+    document.getElementById('stopwordModeNote').textContent = supportedModes.length === 1
+        ? 'Character n-grams are not whole words, so stopwords are kept.'
+        : !supportedModes.includes('oov')
+            ? 'Subword tokens are pieces of words, so stopwords can only be removed from the text.'
+            : '';
+}
+
+/** Ranks vocabulary tokens by smoothed log-odds of appearing in one class versus the other. */
+function computeTopClassTokens(counts, vocabulary, cls, limit = VOCAB_INSPECTOR_TOP_TOKENS) {
+    const other = 1 - cls;
+    const classTotal = [...counts.byClass[cls].values()].reduce((sum, c) => sum + c, 0);
+    const otherTotal = [...counts.byClass[other].values()].reduce((sum, c) => sum + c, 0);
+    const vocabCount = Object.keys(vocabulary).length;
+
+    return Object.keys(vocabulary)
+        .filter(token => counts.byClass[cls].has(token))
+        .map(token => {
+            const inClass = counts.byClass[cls].get(token);
+            const inOther = counts.byClass[other].get(token) || 0;
+            // Add-one smoothing keeps tokens unseen in the other class finite
+            const logOdds = Math.log((inClass + 1) / (classTotal + vocabCount)) - Math.log((inOther + 1) / (otherTotal + vocabCount));
+            return { token, inClass, inOther, logOdds };
+        })
+        .sort((a, b) => b.logOdds - a.logOdds)
+        .slice(0, limit);
+}
+
+/** Builds the coverage curve: share of training token occurrences covered by the top-k tokens. */
+function computeCoverageCurve(tokenCounts, numPoints = VOCAB_COVERAGE_POINTS) {
+    const sortedCounts = [...tokenCounts.values()].sort((a, b) => b - a);
+    const total = sortedCounts.reduce((sum, c) => sum + c, 0);
+    const step = Math.max(1, Math.ceil(sortedCounts.length / numPoints));
+    const points = [];
+    let covered = 0;
+    sortedCounts.forEach((count, i) => {
+        covered += count;
+        if ((i + 1) % step === 0 || i === sortedCounts.length - 1) {
+            points.push({ x: i + 1, y: total > 0 ? covered / total : 0 });
+        }
+    });
+    return points;
+}
+
+/** Renders the vocabulary inspector: top tokens per class, OOV rates and the coverage curve. */
+function renderVocabularyInspector(counts, oovRates) {
+    const classTables = [0, 1].map(cls => {
+        const rows = computeTopClassTokens(counts, wordIndex, cls)
+            .map(t => [`<code class="font-mono">${escapeHtml(t.token)}</code>`, t.inClass, t.inOther, t.logOdds.toFixed(2)]);
+        return `<div><strong>${CLASS_NAMES[cls]}</strong>${buildHtmlTable(['Token', 'Count', 'Other class', 'Log-odds'], rows)}</div>`;
+    });
+    displayOutput('vocabTopTokensOutput', `<div class="grid grid-cols-1 md:grid-cols-2 gap-4">${classTables.join('')}</div>`);
+
+    const oovRows = ['training', 'validation', 'testing'].map(key => {
+        const oov = oovRates[key];
+        return [key, oov.totalTokens, oov.oovTokens, `${(oov.rate * 100).toFixed(2)}%`];
+    });
+    displayOutput('vocabOovOutput', buildHtmlTable(['Split', 'Tokens', 'OOV Tokens', 'OOV Rate'], oovRows));
+
+    const coverage = computeCoverageCurve(counts.total);
+    tfvis.render.linechart(document.getElementById('vocabCoverageContainer'),
+        { values: [coverage], series: ['Training token coverage'] },
+        { width: 500, height: 260, xLabel: 'Vocabulary size (top-k tokens)', yLabel: 'Share of token occurrences', zoomToFit: true });
+}
+
+/** Trains/creates the selected tokenizer, tokenizes text and builds the global word-to-index map (in the pipeline worker). */
+async function preprocessData() {
+    if (!(await beginStep(3))) return;
+    document.getElementById('preprocessBtn').disabled = true;
+    displayOutput('preprocessOutput', 'Building vocabulary from training data... <br>', false);
+
+    const settings = readTokenizerSettings();
+    vocabularySettings = readVocabularySettings();
+    let result;
+    try {
+        // 1. Build the tokenizer (subword tokenizers learn their merges from the training texts)
+        // 2. Count token frequencies (overall and per class)
+        // 3. Create word-to-index map ranked by frequency (index starts at 2, 0 and 1 are reserved)
+        result = await pipeline.run('preprocess', {
+            rows: { training: normalizedData.training, testing: normalizedData.testing, validation: normalizedData.validation },
+            tokenizerSettings: settings,
+            vocabularySettings,
+            excludedTokens: vocabularySettings.stopwordMode === 'oov' ? readStopwords() : [],
+            sources: sourceClasses
+        }, (progress) => {
+            displayOutput('preprocessOutput', `Learning subword merges: ${progress.mergeCount} / ${progress.numMerges}... <br>`, false);
+        });
+        tokenizer = createTokenizer(result.tokenizerSettings);
+    } catch (error) {
+        displayOutput('preprocessOutput', `❌ Tokenizer setup failed: ${escapeHtml(error.message)}`, false);
+        document.getElementById('preprocessBtn').disabled = false;
+        return;
+    }
+    wordIndex = result.wordIndex;
+    VOCAB_SIZE = result.vocabSize;
+    // The worker released the imported word vectors of the previous vocabulary
+    if (importedEmbeddings) {
+        importedEmbeddings = null;
+        displayOutput('embeddingVectorsOutput', 'The vocabulary changed, so the word vectors were dropped. Import them again to use them.');
+    }
+    updatePretrainedEmbeddingControls();
+    document.getElementById('importEmbeddingsBtn').disabled = document.getElementById('embeddingVectorsFile').files.length === 0;
+
+    displayOutput('preprocessOutput', '✅ Vocabulary built: <br>' +
+        `Tokenizer: **${TOKENIZER_TYPES[settings.type]}**${settings.normalize ? ' with Unicode normalization' : ''} <br>` +
+        `Total Unique Tokens Found: **${result.counts.total.size}** <br>` +
+        `Vocabulary Size (including PAD/OOV): **${VOCAB_SIZE}** ` +
+        `(min count ${vocabularySettings.minCount}, max size ${vocabularySettings.maxSize || 'unlimited'}, stopwords: ${vocabularySettings.stopwordMode}) <br>` +
+        `Sample Tokens: <code class="font-mono">${result.sampleTokens.map(t => escapeHtml(JSON.stringify(t))).join(' ')}</code>`, true);
+    
+    renderVocabularyInspector(result.counts, result.oovRates);
+    updateSearchButtons();
+    completeStep(3);
+}
+
+
+// --- STEP 4: TEXT EMBEDDING (Sequencing & Padding) ---
+
+/** Shows the stylometric feature checkboxes only when the feature input is enabled. */
+function updateStylometricOptionVisibility() {
+    document.getElementById('stylometricFeatureOptions').style.display =
+        document.getElementById('useStylometricCheckbox').checked ? 'grid' : 'none';
+}
+
+/** Returns the stylometric feature keys checked in Step 4, or null when the feature input is off. */
+function readStylometricFeatureKeys() {
+    if (!document.getElementById('useStylometricCheckbox').checked) return null;
+    return Object.keys(STYLOMETRIC_FEATURES).filter(key => document.getElementById(`stylometric_${key}`).checked);
+}
+
+/** Lists the sample count and tensor shapes of every split. */
+function renderSequenceShapes(shapes) {
+    Object.entries(shapes).forEach(([key, shape]) => {
+        let shapeInfo = `Sequences Shape: ${shape.features}`;
+        if (shape.stylometric) shapeInfo += `, Stylometric Features Shape: ${shape.stylometric}`;
+        displayOutput('embeddingOutput', 
+            `**${key.toUpperCase()}** - Samples: ${normalizedData[key].length}, ${shapeInfo} <br> `, true);
+    });
+}
+
+/** Converts raw text data into padded numerical sequences (Tensors held by the pipeline worker). */
+async function createEmbeddings() {
+    const sequenceLength = parseInt(document.getElementById('maxSeqLenInput').value, 10);
+    if (!Number.isInteger(sequenceLength) || sequenceLength < 1) {
+        displayOutput('embeddingOutput', '❌ Sequence length must be a positive whole number.', false);
+        return;
+    }
+    const windowStride = document.getElementById('trainWindowsCheckbox').checked
+        ? parseInt(document.getElementById('trainWindowStrideInput').value, 10) || 0
+        : null;
+    const featureKeys = readStylometricFeatureKeys();
+    if (featureKeys && featureKeys.length === 0) {
+        displayOutput('embeddingOutput', '❌ Select at least one stylometric feature, or turn the feature input off.', false);
+        return;
+    }
+    if (!(await beginStep(4))) return;
+
+    document.getElementById('embeddingBtn').disabled = true;
+    document.getElementById('runSearchBtn').disabled = true;
+    displayOutput('embeddingOutput', 'Converting text to padded sequences and Tensors... <br>', false);
+
+    try {
+        const { stylometric, shapes } = await pipeline.run('embed', { sequenceLength, windowStride, featureKeys });
+        MAX_SEQUENCE_LENGTH = sequenceLength;
+        trainingWindowStride = windowStride;
+        stylometricConfig = stylometric;
+        datasetFingerprints = computeDatasetFingerprints(normalizedData);
+        embeddedSplits = shapes;
+
+        renderSequenceShapes(shapes);
+        displayOutput('embeddingOutput', '✅ All datasets successfully converted to numerical sequences.', true);
+        updateModelPreview();
+        completeStep(4);
+
+    } catch (error) {
+        displayOutput('embeddingOutput', `❌ Embedding failed: ${escapeHtml(error.message)}`, true);
+        document.getElementById('embeddingBtn').disabled = false;
+    }
+    updateSearchButtons();
+}
+
+
+// --- STEP 4: HYPERPARAMETER SEARCH ---
+
+const SEARCH_PARAMETERS = [
+    { key: 'embeddingDim', inputId: 'searchEmbeddingDims', label: 'Embedding dim', integer: true },
+    { key: 'sequenceLength', inputId: 'searchSequenceLengths', label: 'Sequence length', integer: true },
+    { key: 'learningRate', inputId: 'searchLearningRates', label: 'Learning rate', integer: false },
+    { key: 'units', inputId: 'searchUnits', label: 'Units', integer: true },
+    { key: 'batchSize', inputId: 'searchBatchSizes', label: 'Batch size', integer: true }
+];
+const MAX_SEARCH_FOLDS = 10;
+
+// Settings and finished runs of the last search, used by the leaderboard and for promotion
+const searchState = { settings: null, runs: [] };
+const searchControl = { running: false, cancelRequested: false };
+
+/** Parses the comma-separated candidate values of one search parameter (duplicates are dropped). */
+function parseSearchValues(parameter) {
+    const tokens = document.getElementById(parameter.inputId).value.split(',').map(token => token.trim()).filter(Boolean);
+    if (tokens.length === 0) throw new Error(`${parameter.label}: enter at least one value.`);
+    const values = tokens.map(token => {
+        const value = Number(token);
+        if (!(value > 0) || (parameter.integer && !Number.isInteger(value))) {
+            throw new Error(`${parameter.label}: "${token}" is not a positive ${parameter.integer ? 'whole number' : 'number'}.`);
+        }
+        return value;
+    });
+    return [...new Set(values)];
+}
+
+/** Reads the search space and runner settings; window and stylometric options come from the Step 4 controls. */
+function readSearchSettings() {
+    const readInt = (id, fallback) => {
+        const value = parseInt(document.getElementById(id).value, 10);
+        return Number.isInteger(value) ? value : fallback;
+    };
+    const space = {};
+    SEARCH_PARAMETERS.forEach(parameter => space[parameter.key] = parseSearchValues(parameter));
+
+    const folds = Math.max(1, readInt('searchFoldsInput', 1));
+    if (folds > MAX_SEARCH_FOLDS) throw new Error(`Use at most ${MAX_SEARCH_FOLDS} cross-validation folds.`);
+    const featureKeys = readStylometricFeatureKeys();
+    if (featureKeys && featureKeys.length === 0) {
+        throw new Error('Select at least one stylometric feature, or turn the feature input off.');
+    }
+    return {
+        space,
+        architecture: document.getElementById('searchArchitectureSelect').value,
+        mode: document.getElementById('searchModeSelect').value,
+        maxRuns: Math.max(1, readInt('searchMaxRunsInput', 12)),
+        folds,
+        epochs: Math.max(1, readInt('searchEpochsInput', 5)),
+        seed: readInt('searchSeedInput', DEFAULT_SPLIT_SETTINGS.seed),
+        windowStride: document.getElementById('trainWindowsCheckbox').checked
+            ? parseInt(document.getElementById('trainWindowStrideInput').value, 10) || 0
+            : null,
+        featureKeys
+    };
+}
+
+/** Expands the search space into every combination (grid) or a seeded random sample of them, capped at maxRuns. */
+function listSearchCandidates(settings) {
+    let combinations = [{}];
+    SEARCH_PARAMETERS.forEach(({ key }) => {
+        combinations = combinations.flatMap(combination => settings.space[key].map(value => ({ ...combination, [key]: value })));
+    });
+    if (settings.mode === 'random') shuffleInPlace(combinations, createSeededRandom(settings.seed));
+    return { total: combinations.length, candidates: combinations.slice(0, settings.maxRuns) };
+}
+
+/** Short human-readable description of one parameter set. */
+function describeSearchParams(params) {
+    return SEARCH_PARAMETERS.map(({ key, label }) => `${label.toLowerCase()} ${params[key]}`).join(', ');
+}
+
+/** Finished runs ordered best first: highest mean validation ROC AUC, then lowest loss; failed runs last. */
+function getRankedSearchRuns() {
+    const score = run => (run.error || !Number.isFinite(run.summary.rocAuc.mean) ? -Infinity : run.summary.rocAuc.mean);
+    return searchState.runs.slice().sort((a, b) => (score(b) - score(a)) ||
+        ((a.error ? Infinity : a.summary.loss.mean) - (b.error ? Infinity : b.summary.loss.mean)));
+}
+
+/** Renders the search leaderboard with a Promote button per successful run. */
+function renderSearchLeaderboard() {
+    if (searchState.runs.length === 0) {
+        displayOutput('searchLeaderboardOutput', 'The leaderboard will appear here.');
+        return;
+    }
+    const crossValidated = searchState.settings.folds > 1;
+    const format = stat => (crossValidated ? `${stat.mean.toFixed(4)} ± ${stat.std.toFixed(4)}` : stat.mean.toFixed(4));
+    const rows = getRankedSearchRuns().map((run, rank) => {
+        const paramCells = SEARCH_PARAMETERS.map(({ key }) => run.params[key]);
+        const timeCell = `${(run.durationMs / 1000).toFixed(1)} s`;
+        if (run.error) return [rank + 1, `#${run.id}`, ...paramCells, `❌ ${escapeHtml(run.error)}`, '', '', timeCell, ''];
+        return [
+            rank + 1, `#${run.id}`, ...paramCells,
+            format(run.summary.rocAuc), format(run.summary.accuracy), format(run.summary.loss), timeCell,
+            `<button data-search-run="${run.id}" class="px-3 py-1 bg-gray-700 text-white text-xs font-semibold rounded-lg hover:bg-gray-800">Promote</button>`
+        ];
+    });
+    const headers = ['Rank', 'Run', ...SEARCH_PARAMETERS.map(parameter => parameter.label), 'Val ROC AUC', 'Val Accuracy', 'Val Loss', 'Time', ''];
+    const scope = crossValidated
+        ? `Mean ± std over ${searchState.settings.folds} stratified folds of the training data.`
+        : 'Scored on the validation split.';
+    displayOutput('searchLeaderboardOutput', `<p class="mb-2 text-gray-600">${scope}</p>` + buildHtmlTable(headers, rows));
+}
+
+/** Enables the search buttons according to the runner state and whether text rows are still available. */
+function updateSearchButtons() {
+    const rowsAvailable = Boolean(normalizedData.training) && VOCAB_SIZE > 0;
+    document.getElementById('runSearchBtn').disabled = searchControl.running || !rowsAvailable;
+    document.getElementById('cancelSearchBtn').disabled = !searchControl.running || searchControl.cancelRequested;
+    document.getElementById('promoteBestBtn').disabled = searchControl.running || !searchState.runs.some(run => !run.error);
+}
+
+/** Runs the grid/random search, training one model per parameter set and fold, and ranks the runs. */
+async function runHyperparameterSearch() {
+    if (!normalizedData.training || VOCAB_SIZE === 0) {
+        displayOutput('searchStatus', 'Vocabulary not ready. Please complete Step 3 first.');
+        return;
+    }
+    let settings;
+    try {
+        settings = readSearchSettings();
+        validateModelConfig({ ...readModelConfig(), architecture: settings.architecture }, Math.min(...settings.space.sequenceLength));
+    } catch (error) {
+        displayOutput('searchStatus', `❌ ${escapeHtml(error.message)}`);
+        return;
+    }
+    if (importedEmbeddings && settings.space.embeddingDim.some(dim => dim !== importedEmbeddings.dim)) {
+        displayOutput('searchStatus', `❌ The imported word vectors fix the embedding dim at ${importedEmbeddings.dim}. Search only that value, or remove the vectors in Step 5.`);
+        return;
+    }
+    const { total, candidates } = listSearchCandidates(settings);
+    // Dropout, L2, optimizer and attention heads are taken from the Step 5 controls
+    const baseConfig = { ...readModelConfig(), architecture: settings.architecture };
+    const searchCandidates = candidates.map(params => ({
+        params,
+        config: { ...baseConfig, embeddingDim: params.embeddingDim, units: params.units, learningRate: params.learningRate }
+    }));
+
+    Object.assign(searchState, { settings, runs: [] });
+    Object.assign(searchControl, { running: true, cancelRequested: false });
+    updateSearchButtons();
+    document.getElementById('embeddingBtn').disabled = true;
+    renderSearchLeaderboard();
+
+    // Folds are split from the training rows in the worker; each finished run arrives as progress
+    let numTensors = null;
+    let tensorsBefore = null;
+    try {
+        const result = await pipeline.run('search', { settings, candidates: searchCandidates }, (progress) => {
+            if (progress.stage === 'searchFold') {
+                if (tensorsBefore === null) tensorsBefore = progress.numTensors;
+                const foldInfo = progress.numFolds > 1 ? `, fold ${progress.foldIndex + 1}/${progress.numFolds}` : '';
+                displayOutput('searchStatus', `Run ${progress.runIndex + 1}/${candidates.length}${foldInfo}: ` +
+                    `${describeSearchParams(candidates[progress.runIndex])} (tensors in memory: ${progress.numTensors})`);
+            } else if (progress.stage === 'searchRun') {
+                searchState.runs.push(progress.run);
+                renderSearchLeaderboard();
+            }
+        });
+        numTensors = result.numTensors;
+        const outcome = result.cancelled
+            ? `⏹️ Search cancelled after ${searchState.runs.length} completed run(s).`
+            : `✅ Search finished: ${searchState.runs.length} run(s)${total > candidates.length ? ` of ${total} combinations` : ''}.`;
+        displayOutput('searchStatus', `${outcome} Tensors in memory: ${numTensors}${tensorsBefore !== null ? ` (${tensorsBefore} before the search)` : ''}.` +
+            (searchState.runs.some(run => !run.error) ? ' Promote a run to copy its settings into Steps 4-6.' : ''));
+    } catch (error) {
+        displayOutput('searchStatus', `❌ Search failed: ${escapeHtml(error.message)}`);
+    }
+    Object.assign(searchControl, { running: false, cancelRequested: false });
+    updateSearchButtons();
+    document.getElementById('embeddingBtn').disabled = embeddedSplits !== null;
+}
+
+/** Requests the running search to stop after the current epoch. */
+function cancelSearch() {
+    if (!searchControl.running) return;
+    searchControl.cancelRequested = true;
+    pipeline.control('cancel');
+    updateSearchButtons();
+    displayOutput('searchStatus', 'Cancelling after the current epoch...');
+}
+
+/** Copies a run's settings into the Step 4 (sequence, windows, features), Step 5 (model) and Step 6 (batch size) controls. */
+function promoteSearchRun(runId) {
+    const run = searchState.runs.find(candidate => candidate.id === runId && !candidate.error);
+    if (!run) return;
+    const { settings } = searchState;
+    const setValue = (id, value) => document.getElementById(id).value = value;
+
+    setValue('maxSeqLenInput', run.params.sequenceLength);
+    document.getElementById('trainWindowsCheckbox').checked = settings.windowStride !== null;
+    if (settings.windowStride !== null) setValue('trainWindowStrideInput', settings.windowStride);
+    document.getElementById('useStylometricCheckbox').checked = settings.featureKeys !== null;
+    if (settings.featureKeys) {
+        Object.keys(STYLOMETRIC_FEATURES).forEach(key => {
+            document.getElementById(`stylometric_${key}`).checked = settings.featureKeys.includes(key);
+        });
+    }
+    updateStylometricOptionVisibility();
+
+    setValue('architectureSelect', run.config.architecture);
+    setValue('embeddingDimInput', run.config.embeddingDim);
+    setValue('unitsInput', run.config.units);
+    setValue('numHeadsInput', run.config.numHeads);
+    setValue('dropoutInput', run.config.dropout);
+    setValue('l2Input', run.config.l2);
+    setValue('optimizerSelect', run.config.optimizer);
+    setValue('learningRateInput', run.config.learningRate);
+    setValue('batchSizeInput', run.params.batchSize);
+    updateModelPreview();
+
+    displayOutput('searchStatus', `✅ Promoted run #${run.id} (${MODEL_ARCHITECTURES[run.config.architecture]}, ` +
+        `${describeSearchParams(run.params)}). Create the numerical embeddings to continue with these settings.`);
+}
+
+/** Promotes the top-ranked run of the leaderboard. */
+function promoteBestSearchRun() {
+    const best = getRankedSearchRuns().find(run => !run.error);
+    if (best) promoteSearchRun(best.id);
+}
+
+
+// --- STEP 5: MODEL SETUP ---
+
+let modelConfig = null; // Config of the current model, saved in detector bundles
+let importedEmbeddings = null; // Word vectors imported for the current vocabulary (importEmbeddings stage result)
+
+/** Reads the architecture and optimizer settings from the Step 5 controls. */
+function readModelConfig() {
+    const readNumber = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return Number.isFinite(value) ? value : fallback;
+    };
+    return {
+        architecture: document.getElementById('architectureSelect').value,
+        // Imported word vectors fix the embedding size to their dimension
+        embeddingDim: importedEmbeddings ? importedEmbeddings.dim : Math.round(readNumber('embeddingDimInput', DEFAULT_MODEL_CONFIG.embeddingDim)),
+        units: Math.round(readNumber('unitsInput', DEFAULT_MODEL_CONFIG.units)),
+        numHeads: Math.round(readNumber('numHeadsInput', DEFAULT_MODEL_CONFIG.numHeads)),
+        dropout: readNumber('dropoutInput', DEFAULT_MODEL_CONFIG.dropout),
+        l2: readNumber('l2Input', DEFAULT_MODEL_CONFIG.l2),
+        optimizer: document.getElementById('optimizerSelect').value,
+        learningRate: readNumber('learningRateInput', DEFAULT_MODEL_CONFIG.learningRate),
+        pretrainedEmbeddings: importedEmbeddings ? importedEmbeddings.fileName : null,
+        trainEmbeddings: importedEmbeddings ? document.getElementById('trainEmbeddingsCheckbox').checked : true
+    };
+}
+
+/** Locks the embedding dim to the imported word vectors and enables the fine-tune option only when there are some. */
+function updatePretrainedEmbeddingControls() {
+    const dimInput = document.getElementById('embeddingDimInput');
+    dimInput.disabled = importedEmbeddings !== null;
+    if (importedEmbeddings) dimInput.value = importedEmbeddings.dim;
+    document.getElementById('trainEmbeddingsCheckbox').disabled = importedEmbeddings === null;
+    document.getElementById('clearEmbeddingsBtn').disabled = importedEmbeddings === null;
+}
+
+/** Reports the dimension of the imported word vectors and how much of the vocabulary they cover. */
+function renderEmbeddingCoverage(result) {
+    const { coverage } = result;
+    const percent = rate => `${(rate * 100).toFixed(1)}%`;
+    const skipped = result.skippedLines > 0 ? `, ${result.skippedLines.toLocaleString()} malformed lines skipped` : '';
+    const missing = coverage.missingExamples.length > 0
+        ? `<br>Most frequent tokens without a vector: <code class="font-mono">${coverage.missingExamples.map(({ token, count }) => `${escapeHtml(token)} (${count})`).join(', ')}</code>`
+        : '';
+    displayOutput('embeddingVectorsOutput', `✅ Imported **${result.dim}**-dimensional vectors from **${escapeHtml(result.fileName)}** ` +
+        `(${result.linesRead.toLocaleString()} lines read${skipped}). <br>` +
+        `Vocabulary coverage: **${coverage.coveredWords.toLocaleString()} / ${coverage.words.toLocaleString()}** tokens (${percent(coverage.wordRate)}), ` +
+        `**${percent(coverage.tokenRate)}** of the training token occurrences ` +
+        `(${result.exactMatches.toLocaleString()} exact matches, ${result.foldedMatches.toLocaleString()} by case or subword folding). ` +
+        `Tokens without a vector start from random vectors on the same scale.${missing}`);
+}
+
+/** Imports a GloVe / word2vec / fastText text file for the Step 3 vocabulary (read in the pipeline worker). */
+async function importPretrainedEmbeddings() {
+    const file = document.getElementById('embeddingVectorsFile').files[0];
+    if (!file) {
+        displayOutput('embeddingVectorsOutput', '❌ Choose a word-vector file first.');
+        return;
+    }
+    document.getElementById('importEmbeddingsBtn').disabled = true;
+    displayOutput('embeddingVectorsOutput', `Reading ${escapeHtml(file.name)}...`);
+    try {
+        // The file goes to the worker as is, so large vector files are streamed there instead of read on the page
+        importedEmbeddings = await pipeline.run('importEmbeddings', { source: file, fileName: file.name }, (progress) => {
+            displayOutput('embeddingVectorsOutput', `Reading ${escapeHtml(file.name)}: ${progress.linesRead.toLocaleString()} lines, ` +
+                `${progress.matchedWords.toLocaleString()} vocabulary tokens matched...`);
+        });
+        renderEmbeddingCoverage(importedEmbeddings);
+    } catch (error) {
+        importedEmbeddings = null;
+        displayOutput('embeddingVectorsOutput', `❌ Import failed: ${escapeHtml(error.message)}`);
+    } finally {
+        document.getElementById('importEmbeddingsBtn').disabled = false;
+        updatePretrainedEmbeddingControls();
+        updateModelPreview();
+    }
+}
+
+/** Drops the imported word vectors, so new models start from random embeddings again. */
+async function clearPretrainedEmbeddings() {
+    await pipeline.run('clearEmbeddings');
+    importedEmbeddings = null;
+    displayOutput('embeddingVectorsOutput', 'No word vectors imported: the embedding layer starts from random weights.');
+    updatePretrainedEmbeddingControls();
+    updateModelPreview();
+}
+
+/** Number of stylometric feature dimensions the model takes (0 for sequence-only models). */
+function getStylometricFeatureDim() {
+    return stylometricConfig ? stylometricConfig.scaler.mean.length : 0;
+}
+
+/** Shows a live parameter count for the current Step 5 settings. */
+function updateModelPreview() {
+    const architecture = document.getElementById('architectureSelect').value;
+    document.getElementById('numHeadsGroup').style.display = architecture === 'transformer' ? 'block' : 'none';
+
+    if (VOCAB_SIZE === 0) {
+        displayOutput('modelParamPreview', 'Build the vocabulary (Step 3) to preview the parameter count.');
+        return;
+    }
+    let previewModel = null;
+    try {
+        previewModel = buildModel(readModelConfig(), VOCAB_SIZE, MAX_SEQUENCE_LENGTH, getStylometricFeatureDim(), sourceClasses);
+        const featureInfo = stylometricConfig ? `, ${getStylometricFeatureDim()} stylometric features` : '';
+        const trainableParams = countTrainableParams(previewModel);
+        const frozenInfo = trainableParams < previewModel.countParams()
+            ? `, plus ${(previewModel.countParams() - trainableParams).toLocaleString()} frozen embedding weights` : '';
+        displayOutput('modelParamPreview', `Trainable parameters: **${trainableParams.toLocaleString()}** ` +
+            `(vocabulary ${VOCAB_SIZE}, sequence length ${MAX_SEQUENCE_LENGTH}${featureInfo}${frozenInfo})`);
+    } catch (error) {
+        displayOutput('modelParamPreview', `⚠️ ${escapeHtml(error.message)}`);
+    } finally {
+        if (previewModel) previewModel.dispose();
+    }
+}
+
+/** Defines and compiles the text classification neural network model (in the pipeline worker). */
+async function createModel() {
+    if (!(await beginStep(5))) return;
+    document.getElementById('createModelBtn').disabled = true;
+
+    const config = readModelConfig();
+    let result;
+    try {
+        // Input shape is (MAX_SEQUENCE_LENGTH), plus (feature count) for the stylometric input when enabled in Step 4
+        result = await pipeline.run('createModel', { config });
+    } catch (error) {
+        displayOutput('modelSummary', `❌ Model creation failed: ${escapeHtml(error.message)}`);
+        document.getElementById('createModelBtn').disabled = false;
+        return;
+    }
+
+    // The page gets its copy of the model once it has been trained (Step 6 dropped the previous one)
+    modelConfig = config;
+    EMBEDDING_DIM = config.embeddingDim;
+
+    // Display model summary
+    const embeddingInfo = config.pretrainedEmbeddings
+        ? `, embeddings from ${escapeHtml(config.pretrainedEmbeddings)} (${config.trainEmbeddings ? 'fine-tuned' : 'frozen'})` : '';
+    const summaryText = `Model Architecture: ${MODEL_ARCHITECTURES[config.architecture]}${stylometricConfig ? ' + stylometric features' : ''} ` +
+        `(optimizer ${config.optimizer}, learning rate ${config.learningRate}, dropout ${config.dropout}, L2 ${config.l2}${embeddingInfo}) <br>` +
+        result.summary.map(line => escapeHtml(line)).join('<br>') + '<br>';
+    displayOutput('modelSummary', summaryText);
+    completeStep(5);
+}
+
+
 // --- STEP 6: MODEL TRAINING ---
 
-/** Trains the defined model using the training data. */
-async function trainModel() {
-    if (!model || !normalizedData.training || !normalizedData.training.features) {
-        displayOutput('trainingOutput', 'Model or data not ready. Please complete previous steps.', false);
+// Button state of the running training; the commands themselves are forwarded to the pipeline worker
+const trainingControl = { running: false, paused: false, cancelRequested: false };
+
+/** Reads batch size, early stopping, learning-rate schedule and class-weight settings from Step 6. */
+function readTrainingSettings() {
+    const readInt = (id, fallback) => {
+        const value = parseInt(document.getElementById(id).value, 10);
+        return Number.isInteger(value) && value > 0 ? value : fallback;
+    };
+    const decayFactor = parseFloat(document.getElementById('lrDecayFactorInput').value);
+    return {
+        epochs: readInt('epochsInput', DEFAULT_TRAINING_SETTINGS.epochs),
+        batchSize: readInt('batchSizeInput', DEFAULT_TRAINING_SETTINGS.batchSize),
+        earlyStopping: document.getElementById('earlyStoppingCheckbox').checked,
+        patience: readInt('patienceInput', DEFAULT_TRAINING_SETTINGS.patience),
+        restoreBestWeights: document.getElementById('restoreBestCheckbox').checked,
+        lrSchedule: document.getElementById('lrScheduleSelect').value,
+        lrDecayFactor: decayFactor > 0 && decayFactor <= 1 ? decayFactor : DEFAULT_TRAINING_SETTINGS.lrDecayFactor,
+        lrStepEpochs: readInt('lrStepEpochsInput', DEFAULT_TRAINING_SETTINGS.lrStepEpochs),
+        useClassWeights: document.getElementById('classWeightCheckbox').checked
+    };
+}
+
+/** Enables the Pause/Resume/Cancel buttons only while training is running. */
+function updateTrainingControlButtons() {
+    const pauseBtn = document.getElementById('pauseTrainingBtn');
+    pauseBtn.disabled = !trainingControl.running || trainingControl.cancelRequested;
+    pauseBtn.textContent = trainingControl.paused ? 'Resume' : 'Pause';
+    document.getElementById('cancelTrainingBtn').disabled = !trainingControl.running || trainingControl.cancelRequested;
+}
+
+/** Toggles pausing of the running training (takes effect at the end of the current batch). */
+function togglePauseTraining() {
+    if (!trainingControl.running) return;
+    trainingControl.paused = !trainingControl.paused;
+    pipeline.control(trainingControl.paused ? 'pause' : 'resume');
+    displayOutput('trainingOutput', trainingControl.paused ? '⏸️ Training paused.' : 'Training resumed... See visualization below.');
+    updateTrainingControlButtons();
+}
+
+/** Requests the running training to stop at the end of the current batch. */
+function cancelTraining() {
+    if (!trainingControl.running) return;
+    trainingControl.cancelRequested = true;
+    trainingControl.paused = false;
+    pipeline.control('cancel');
+    displayOutput('trainingOutput', 'Cancelling training after the current batch...');
+    updateTrainingControlButtons();
+}
+
+/** Trains the defined model in the pipeline worker, then loads the trained weights into the page for Step 8. */
+async function trainModel() {
+    if (!modelConfig || !embeddedSplits) {
+        displayOutput('trainingOutput', 'Model or data not ready. Please complete previous steps.', false);
+        return;
+    }
+
+    const settings = readTrainingSettings();
+    // Disabled before the first await so a double click cannot start a second fit
+    document.getElementById('trainModelBtn').disabled = true;
+    if (!(await beginStep(6))) {
+        document.getElementById('trainModelBtn').disabled = false;
+        return;
+    }
+    displayOutput('trainingOutput', 'Training started... See visualization below.');
+
+    // Prepare container for tfjs-vis
+    const historyContainer = document.getElementById('trainingVisContainer');
+    historyContainer.innerHTML = '';
+    const container = { name: 'Training Metrics', tab: 'Training' };
+    // TF.js logs the 'accuracy' metric under the short names 'acc' / 'val_acc'
+    const metrics = ['loss', 'val_loss', 'acc', 'val_acc'];
+    const visCallbacks = tfvis.show.fitCallbacks(container, metrics);
+
+    Object.assign(trainingControl, { running: true, paused: false, cancelRequested: false });
+    updateTrainingControlButtons();
+
+    try {
+        const result = await pipeline.run('train', { settings }, (progress) => {
+            visCallbacks.onEpochEnd(progress.epoch, progress.logs);
+        });
+        const { epochsRun, classWeight } = result;
+        let outcome = result.cancelled
+            ? `⏹️ Training cancelled after ${epochsRun} completed epoch(s).`
+            : `✅ Training finished after ${epochsRun} epochs${result.stoppedEarly ? ` (early stopping: no val_loss improvement for ${settings.patience} epochs)` : ''}.`;
+        if (result.restoredBest) {
+            outcome += ` Restored best weights from epoch ${result.bestEpoch + 1} (val_loss ${result.bestValLoss.toFixed(4)}).`;
+        }
+        if (classWeight) {
+            // Source attribution weighs each source, binary detection the AI (0) and Human (1) classes
+            const weightNames = sourceClasses ? sourceClasses.names : ['AI', 'Human'];
+            const weights = weightNames.map((name, i) => `${escapeHtml(name)} ${classWeight[i].toFixed(3)}`);
+            outcome += ` ${sourceClasses ? 'Source' : 'Class'} weights: ${weights.join(', ')}.`;
+        }
+
+        if (epochsRun === 0) {
+            displayOutput('trainingOutput', `${outcome} No epoch completed, so there are no validation metrics to report.`);
+            document.getElementById('trainModelBtn').disabled = false;
+            return;
+        }
+
+        const trainedModel = await tf.loadLayersModel(tf.io.fromMemory(result.artifacts));
+        if (model) disposeModel(model);
+        model = trainedModel;
+
+        detectorMetrics.training = summarizeTrainingRun(result, settings);
+        const { finalLoss, finalValAccuracy } = detectorMetrics.training;
+        displayOutput('trainingOutput', `${outcome} Training Loss: ${finalLoss.toFixed(4)}, Validation Accuracy: ${finalValAccuracy.toFixed(4)}.`);
+        await recordExperimentRun();
+        
+        // A cancelled run still leaves a usable model
+        document.getElementById('trainBaselinesBtn').disabled = false;
+        completeStep(6);
+
+    } catch (error) {
+        displayOutput('trainingOutput', `❌ Training failed: ${escapeHtml(error.message)}`, false);
+        document.getElementById('trainModelBtn').disabled = false;
+    } finally {
+        Object.assign(trainingControl, { running: false, paused: false, cancelRequested: false });
+        updateTrainingControlButtons();
+    }
+}
+
+
+// --- STEP 7: MODEL EVALUATION ---
+
+/** Renders the confusion matrix and classification report of a decision rule, and the curves, for the test split. */
+function renderTestReport(labels, probabilities, decision) {
+    const { matrix, report, roc, pr, accuracy, macroF1, uncertain } = computeBinaryMetrics(labels, probabilities, decision);
+    const calibration = computeCalibrationBins(labels, probabilities);
+
+    const reportRows = report.map(r => [
+        r.label, r.precision.toFixed(4), r.recall.toFixed(4), r.f1.toFixed(4), r.support
+    ]);
+    reportRows.push(['<strong>Macro avg</strong>', '', '', macroF1.toFixed(4), labels.length - uncertain]);
+
+    displayOutput('classificationReport', `
+        <strong>Test Accuracy:</strong> ${accuracy.toFixed(4)} &nbsp;|&nbsp;
+        <strong>ROC AUC:</strong> ${roc.auc.toFixed(4)} &nbsp;|&nbsp;
+        <strong>PR AUC (AP):</strong> ${pr.auc.toFixed(4)}
+        <p class="text-xs text-gray-500 mt-1">Verdicts of the decision rule in use (${describeDecisionRule(decision)}, see Decision Threshold below)${uncertain > 0 ? `; ${uncertain} Uncertain text(s) are left out of the matrix and report` : ''}. ROC/PR curves treat AI (0) as the positive class.${sourceClasses ? ' Human vs. any AI source: P(Human) is the summed probability of the human sources.' : ''}</p>
+        ${buildHtmlTable(['Class', 'Precision', 'Recall', 'F1', 'Support'], reportRows)}
+    `);
+
+    const chartOptions = { width: 320, height: 260, zoomToFit: false };
+    tfvis.render.confusionMatrix(document.getElementById('confusionMatrixContainer'),
+        { values: matrix, tickLabels: CLASS_NAMES },
+        { shadeDiagonal: true, width: 320, height: 260 });
+    tfvis.render.linechart(document.getElementById('rocCurveContainer'),
+        { values: [roc.points, [{ x: 0, y: 0 }, { x: 1, y: 1 }]], series: [`ROC (AUC ${roc.auc.toFixed(3)})`, 'Chance'] },
+        { ...chartOptions, xLabel: 'False Positive Rate', yLabel: 'True Positive Rate' });
+    tfvis.render.linechart(document.getElementById('prCurveContainer'),
+        { values: [pr.points], series: [`PR (AP ${pr.auc.toFixed(3)})`] },
+        { ...chartOptions, xLabel: 'Recall', yLabel: 'Precision' });
+    tfvis.render.linechart(document.getElementById('calibrationContainer'),
+        {
+            values: [calibration.map(b => ({ x: b.meanPredicted, y: b.observed })), [{ x: 0, y: 0 }, { x: 1, y: 1 }]],
+            series: ['Model', 'Perfectly calibrated']
+        },
+        { ...chartOptions, xLabel: 'Mean predicted P(Human)', yLabel: 'Observed fraction Human' });
+}
+
+/** Renders the per-source report and confusion matrix for the test split, or hides them for binary detectors. */
+function renderSourceAttributionReport(testing) {
+    document.getElementById('sourceAttributionSection').classList.toggle('hidden', !sourceClasses);
+    if (!sourceClasses) return;
+    const { matrix, report, accuracy, topTwoAccuracy, macroF1 } = computeSourceMetrics(testing.sourceLabels, testing.sourceProbabilities, sourceClasses.names);
+    const reportRows = report.map((r, i) => [
+        `${escapeHtml(r.label)}${sourceClasses.human.includes(i) ? ' <span class="text-gray-500">(human)</span>' : ''}`,
+        r.precision.toFixed(4), r.recall.toFixed(4), r.f1.toFixed(4), r.support
+    ]);
+    reportRows.push(['<strong>Macro avg</strong>', '', '', macroF1.toFixed(4), testing.sourceLabels.length]);
+
+    displayOutput('sourceAttributionReport', `
+        <strong>Test Source Accuracy:</strong> ${accuracy.toFixed(4)} &nbsp;|&nbsp;
+        <strong>Top-2 Accuracy:</strong> ${topTwoAccuracy.toFixed(4)} &nbsp;|&nbsp;
+        <strong>Macro F1:</strong> ${macroF1.toFixed(4)}
+        <p class="text-xs text-gray-500 mt-1">The predicted source is the most likely one; top-2 counts the true source among the two most likely.</p>
+        ${buildHtmlTable(['Source', 'Precision', 'Recall', 'F1', 'Support'], reportRows)}
+    `);
+    tfvis.render.confusionMatrix(document.getElementById('sourceConfusionMatrixContainer'),
+        { values: matrix, tickLabels: sourceClasses.names },
+        { shadeDiagonal: true, width: Math.max(320, 80 * sourceClasses.names.length), height: Math.max(260, 70 * sourceClasses.names.length) });
+}
+
+/** Evaluates the model on the validation dataset and the held-out test dataset. */
+async function evaluateModel() {
+    if (!model || !embeddedSplits) {
+        displayOutput('evaluationOutput', 'Model, validation or test data not ready.', false);
+        return;
+    }
+    if (!(await beginStep(7))) return;
+    document.getElementById('evaluateBtn').disabled = true;
+
+    displayOutput('evaluationOutput', 'Evaluating model on validation and test data...');
+
+    let result;
+    try {
+        result = await pipeline.run('evaluate');
+    } catch (error) {
+        displayOutput('evaluationOutput', `❌ Evaluation failed: ${escapeHtml(error.message)}`);
+        document.getElementById('evaluateBtn').disabled = false;
+        return;
+    }
+    const { loss, accuracy } = result.validation;
+    // The test split is never seen during training, so these are the numbers to report.
+    const { labels, probabilities } = result.testing;
+
+    displayOutput('evaluationOutput', `
+        ✅ Evaluation Complete. <br>
+        <strong>Validation Loss:</strong> ${loss.toFixed(4)} <br>
+        <strong>Validation Accuracy${sourceClasses ? ' (sources)' : ''}:</strong> ${accuracy.toFixed(4)} <br>
+        <strong>Test Samples:</strong> ${labels.length}
+    `);
+    renderSourceAttributionReport(result.testing);
+    detectorMetrics.evaluation = summarizeEvaluation(result, sourceClasses);
+    renderBaselineComparison();
+    await recordExperimentEvaluation(detectorMetrics.evaluation);
+
+    evaluationPredictions = { validation: result.validation, testing: result.testing };
+    document.getElementById('applyThresholdBtn').disabled = false;
+    applyDecisionThreshold(); // Also renders the test report with the tuned rule
+    document.getElementById('runRobustnessBtn').disabled = false;
+    completeStep(7);
+    enablePredictionStep();
+}
+
+
+// --- STEP 7: DECISION THRESHOLD ---
+
+let evaluationPredictions = null; // { validation, testing } labels and P(Human) from the last evaluation
+
+/** Reads the decision-rule controls of Step 7. */
+function readDecisionSettings() {
+    return {
+        method: document.getElementById('thresholdMethod').value,
+        targetFpr: parseFloat(document.getElementById('targetFprInput').value) / 100,
+        threshold: parseFloat(document.getElementById('manualThresholdInput').value),
+        uncertainMargin: parseFloat(document.getElementById('uncertainMarginInput').value) || 0
+    };
+}
+
+/** Shows a decision rule in the Step 7 controls, e.g. after loading a detector bundle. */
+function showDecisionSettings(decision) {
+    document.getElementById('thresholdMethod').value = decision.method;
+    if (decision.targetFpr !== null) document.getElementById('targetFprInput').value = decision.targetFpr * 100;
+    if (decision.method === 'manual') document.getElementById('manualThresholdInput').value = decision.threshold;
+    document.getElementById('uncertainMarginInput').value = decision.uncertainMargin;
+}
+
+/** Formats a decision rule, e.g. "AI when P(Human) ≤ 0.2310, Uncertain within ±0.05". */
+function describeDecisionRule(decision) {
+    const target = decision.method === 'targetFpr' ? ` ${(decision.targetFpr * 100).toFixed(1)}%` : '';
+    const band = decision.uncertainMargin > 0 ? `, Uncertain within ±${decision.uncertainMargin}` : '';
+    return `${THRESHOLD_METHODS[decision.method]}${target}: AI when P(Human) ≤ ${decision.threshold.toFixed(4)}${band}`;
+}
+
+/**
+ * Renders the decision rule in use with the last evaluation: its metrics on the validation and test sets, the test
+ * report with its verdicts, the error analysis and the detector summary.
+ */
+function renderDecisionRule() {
+    const { validation, testing } = evaluationPredictions;
+    renderTestReport(testing.labels, testing.probabilities, decisionRule);
+    const rows = [['Validation', validation], ['Test', testing]].map(([name, split]) => {
+        const m = computeDecisionMetrics(split.labels, split.probabilities, decisionRule);
+        return [
+            name, m.tpr.toFixed(4), m.fpr.toFixed(4), m.precision.toFixed(4), m.f1.toFixed(4), m.accuracy.toFixed(4),
+            `${m.uncertain} (${(m.uncertainRate * 100).toFixed(1)}%)`, `${m.tp} / ${m.fp} / ${m.tn} / ${m.fn}`
+        ];
+    });
+    displayOutput('decisionThresholdOutput', `
+        ✅ ${describeDecisionRule(decisionRule)}
+        <p class="text-xs text-gray-500 mt-1">AI is the positive class: recall is the share of AI texts flagged, the false-positive rate the share of human texts flagged. Uncertain texts are left out of the other columns.</p>
+        ${buildHtmlTable(['Split', 'AI Recall (TPR)', 'False-Positive Rate', 'Precision', 'F1', 'Accuracy', 'Uncertain', 'TP / FP / TN / FN'], rows)}
+    `);
+    renderErrorAnalysis();
+    if (model) displayOutput('detectorInfo', describeDetector(buildDetectorMetadata()));
+}
+
+/** Tunes the decision rule on the validation predictions with the Step 7 settings and renders it (see renderDecisionRule). */
+function applyDecisionThreshold() {
+    if (!evaluationPredictions) {
+        displayOutput('decisionThresholdOutput', 'Evaluate the model to tune the decision threshold.');
+        return;
+    }
+    const { validation, testing } = evaluationPredictions;
+    try {
+        decisionRule = createDecisionRule(validation.labels, validation.probabilities, readDecisionSettings());
+    } catch (error) {
+        // The report follows the rule still in use
+        renderTestReport(testing.labels, testing.probabilities, decisionRule);
+        displayOutput('decisionThresholdOutput', `❌ ${escapeHtml(error.message)} The rule in use is still ${describeDecisionRule(decisionRule)}.`);
+        return;
+    }
+    renderDecisionRule();
+    saveSession();
+}
+
+
+// --- STEP 7: ERROR ANALYSIS ---
+
+const ERROR_TABLE_LIMIT = 100;
+const ERROR_TEXT_PREVIEW_LENGTH = 120;
+const LOW_CONFIDENCE = 0.3; // Verdict confidence (see computeVerdictConfidence) below which a text counts as low-confidence
+const CONFIDENCE_BANDS = { low: [0, 0.3], medium: [0.3, 0.7], high: [0.7, Infinity] };
+const LENGTH_BANDS = { short: [0, 50], medium: [50, 200], long: [200, Infinity] }; // In words
+
+// Reviewer corrections: corrected normalizedData row -> { split, label, source } it had before
+const labelCorrections = new Map();
+
+/** Reads the error-browser filters of Step 7. */
+function readErrorFilters() {
+    return {
+        split: document.getElementById('errorSplitFilter').value,
+        kind: document.getElementById('errorKindFilter').value,
+        trueLabel: document.getElementById('errorLabelFilter').value,
+        confidence: document.getElementById('errorConfidenceFilter').value,
+        length: document.getElementById('errorLengthFilter').value
+    };
+}
+
+/** Fills the true-label filter with the classes, plus the sources for source attribution. */
+function updateErrorLabelFilter() {
+    const select = document.getElementById('errorLabelFilter');
+    const current = select.value;
+    const options = [['all', 'All labels'], ...CLASS_NAMES.map((name, label) => [`label:${label}`, name])];
+    if (sourceClasses) sourceClasses.names.forEach((name, i) => options.push([`source:${i}`, `Source: ${name}`]));
+    select.innerHTML = options.map(([value, text]) => `<option value="${value}">${escapeHtml(text)}</option>`).join('');
+    if (options.some(([value]) => value === current)) select.value = current;
+}
+
+/**
+ * Lists the misclassified and low-confidence validation/test texts of the last evaluation under the current decision
+ * rule. Labels are the ones the model was evaluated against; Uncertain verdicts count as low-confidence, not wrong.
+ */
+function findErrorExamples() {
+    const examples = [];
+    ['validation', 'testing'].forEach(split => {
+        const predictions = evaluationPredictions[split];
+        const rows = normalizedData[split];
+        // Rows cleaned or reloaded since the evaluation no longer line up with its predictions
+        if (!rows || rows.length !== predictions.labels.length) return;
+        predictions.probabilities.forEach((probability, index) => {
+            const label = predictions.labels[index];
+            const verdict = classifyProbability(probability, decisionRule);
+            const confidence = computeVerdictConfidence(probability, decisionRule);
+            const misclassified = verdict !== 'Uncertain' && (verdict === 'Human' ? 1 : 0) !== label;
+            const lowConfidence = verdict === 'Uncertain' || confidence < LOW_CONFIDENCE;
+            if (!misclassified && !lowConfidence) return;
+            examples.push({
+                split,
+                index,
+                row: rows[index],
+                label,
+                source: predictions.sourceLabels ? predictions.sourceLabels[index] : null,
+                likelySource: predictions.sourceProbabilities ? rankSources(predictions.sourceProbabilities[index], sourceClasses)[0].name : null,
+                probability,
+                verdict,
+                confidence,
+                misclassified,
+                lowConfidence,
+                words: rows[index].text.split(/\s+/).filter(Boolean).length
+            });
+        });
+    });
+    return examples;
+}
+
+/** Applies the filters; confident mistakes come first, then the least confident of the remaining texts. */
+function filterErrorExamples(examples, filters) {
+    const [minConfidence, maxConfidence] = CONFIDENCE_BANDS[filters.confidence] || [0, Infinity];
+    const [minWords, maxWords] = LENGTH_BANDS[filters.length] || [0, Infinity];
+    return examples
+        .filter(e => (filters.split === 'all' || e.split === filters.split)
+            && (filters.kind === 'both' || e[filters.kind])
+            && (filters.trueLabel === 'all' || filters.trueLabel === `label:${e.label}` || filters.trueLabel === `source:${e.source}`)
+            && e.confidence >= minConfidence && e.confidence < maxConfidence
+            && e.words >= minWords && e.words < maxWords)
+        .sort((a, b) => (b.misclassified - a.misclassified) || (a.misclassified ? b.confidence - a.confidence : a.confidence - b.confidence));
+}
+
+/** Renders the filtered error table with a label select per text for corrections. */
+function renderErrorAnalysis() {
+    if (!evaluationPredictions) {
+        displayOutput('errorAnalysisOutput', 'Evaluate the model to browse its mistakes.');
+        return;
+    }
+    updateErrorLabelFilter();
+    const examples = findErrorExamples();
+    const shown = filterErrorExamples(examples, readErrorFilters());
+    const labelNames = sourceClasses ? sourceClasses.names : CLASS_NAMES;
+
+    const rows = shown.slice(0, ERROR_TABLE_LIMIT).map(e => {
+        const current = sourceClasses ? e.row.source : e.row.label;
+        const corrected = labelCorrections.has(e.row);
+        const options = labelNames.map((name, value) => `<option value="${value}"${value === current ? ' selected' : ''}>${escapeHtml(name)}</option>`).join('');
+        return [
+            e.split === 'testing' ? 'Test' : 'Validation',
+            e.index + 1,
+            `<span class="block max-w-xs truncate" title="${previewText(e.row.text, 1000)}">${previewText(e.row.text, ERROR_TEXT_PREVIEW_LENGTH)}</span>`,
+            escapeHtml(labelNames[sourceClasses ? e.source : e.label]),
+            `<span class="font-bold ${VERDICT_TEXT_CLASSES[e.verdict]}">${e.verdict}</span>${e.likelySource !== null ? ` (${escapeHtml(e.likelySource)})` : ''}`,
+            e.probability.toFixed(3),
+            e.confidence.toFixed(2),
+            e.words,
+            `<select data-error-split="${e.split}" data-error-index="${e.index}" class="p-1 border rounded ${corrected ? 'border-yellow-500 bg-yellow-50' : 'border-gray-300'}">${options}</select>`
+        ];
+    });
+    const numMisclassified = examples.filter(e => e.misclassified).length;
+    const limitNote = shown.length > ERROR_TABLE_LIMIT ? ` Showing the first ${ERROR_TABLE_LIMIT}.` : '';
+    displayOutput('errorAnalysisOutput', `
+        **${numMisclassified}** misclassified and **${examples.length - numMisclassified}** other low-confidence text(s) under the current decision rule; **${shown.length}** match the filters.${limitNote}
+        ${labelCorrections.size > 0 ? `<br>${labelCorrections.size} label(s) corrected so far.` : ''}
+        ${rows.length > 0 ? `<div class="max-h-96 overflow-y-auto">${buildHtmlTable(['Split', 'Row', 'Text', 'True Label', 'Verdict', 'P(Human)', 'Confidence', 'Words', 'Corrected Label'], rows)}</div>` : ''}
+    `);
+}
+
+/** Sets the label (or source) of a dataset row, remembering the original until it is set back. */
+function relabelRow(row, split, value) {
+    if (!labelCorrections.has(row)) labelCorrections.set(row, { split, label: row.label, source: row.source });
+    if (sourceClasses) {
+        row.source = value;
+        row.label = sourceClasses.human.includes(value) ? 1 : 0;
+    } else {
+        row.label = value;
+    }
+    const original = labelCorrections.get(row);
+    if (original.label === row.label && original.source === row.source) labelCorrections.delete(row);
+}
+
+/** Applies a label picked in the error table. */
+function handleErrorRelabel(event) {
+    const select = event.target.closest('select[data-error-split]');
+    if (!select) return;
+    const { errorSplit, errorIndex } = select.dataset;
+    relabelRow(normalizedData[errorSplit][Number(errorIndex)], errorSplit, Number(select.value));
+    renderErrorAnalysis();
+    renderFeedbackSet();
+    saveSession();
+}
+
+
+// --- STEP 7: ROBUSTNESS SUITE ---
+
+let lastRobustnessReport = null; // The previous report, to compare detectors trained with and without normalization
+
+/** Reads the perturbations, strength and seed of the robustness suite; texts are judged with the current decision rule. */
+function readRobustnessSettings() {
+    const seed = parseInt(document.getElementById('robustnessSeedInput').value, 10);
+    return {
+        perturbations: Object.keys(PERTURBATIONS).filter(key => document.getElementById(`perturbation_${key}`).checked),
+        strength: parseFloat(document.getElementById('perturbationStrengthInput').value) / 100,
+        seed: Number.isInteger(seed) ? seed : DEFAULT_ROBUSTNESS_SETTINGS.seed,
+        decision: decisionRule
+    };
+}
+
+/**
+ * Renders how accuracy and the AI detection rate shift under each perturbation. A previous report with the same
+ * strength and seed adds its AI detection rate, so a retrained detector (e.g. with normalization) can be compared.
+ */
+function renderRobustnessReport(report, previous) {
+    const percent = rate => `${(rate * 100).toFixed(1)}%`;
+    const points = delta => `${delta >= 0 ? '+' : ''}${(delta * 100).toFixed(1)}`;
+    const [clean] = report.results;
+    const comparable = previous && previous.strength === report.strength && previous.seed === report.seed;
+    const previousByKey = comparable ? new Map(previous.results.map(result => [result.key, result])) : null;
+
+    const rows = report.results.map(result => {
+        const row = [
+            result.key === 'clean' ? `<strong>${result.name}</strong>` : result.name,
+            `${result.changedTexts} / ${report.numTexts}`,
+            `${result.accuracy.toFixed(4)}${result.key === 'clean' ? '' : ` (${points(result.accuracy - clean.accuracy)})`}`,
+            result.rocAuc === null ? 'n/a' : result.rocAuc.toFixed(4),
+            `${percent(result.aiDetectionRate)}${result.key === 'clean' ? '' : ` (${points(result.aiDetectionRate - clean.aiDetectionRate)})`}`,
+            percent(result.humanFlagRate),
+            result.flippedVerdicts,
+            `${Number(result.meanShift.toFixed(3)) >= 0 ? '+' : ''}${Number(result.meanShift.toFixed(3)).toFixed(3)}`
+        ];
+        if (previousByKey) row.push(previousByKey.has(result.key) ? percent(previousByKey.get(result.key).aiDetectionRate) : '');
+        return row;
+    });
+    const headers = ['Perturbation', 'Changed Texts', 'Accuracy (Δ pts)', 'ROC AUC', 'AI Detection Rate (Δ pts)', 'Human Flagged', 'Flipped Verdicts', 'Mean Δ P(Human)'];
+    if (previousByKey) headers.push(`Previous AI Detection (normalization ${previous.normalized ? 'on' : 'off'})`);
+
+    displayOutput('robustnessOutput', `
+        Test split, ${report.numTexts} texts, strength ${(report.strength * 100).toFixed(0)}%, seed ${report.seed}, tokenizer normalization ${report.normalized ? 'on' : 'off'}.
+        Decision rule: ${describeDecisionRule(report.decision)}
+        <p class="text-xs text-gray-500 mt-1">AI detection rate is the share of AI texts flagged as AI and Human Flagged the share of human texts flagged as AI; accuracy leaves Uncertain texts out. A drop in AI detection is a working evasion.</p>
+        ${buildHtmlTable(headers, rows)}
+    `);
+    tfvis.render.barchart(document.getElementById('robustnessChartContainer'),
+        report.results.map(result => ({ index: result.name, value: result.aiDetectionRate })),
+        { width: 500, height: 240, xLabel: 'Perturbation', yLabel: 'AI detection rate' });
+}
+
+/** Perturbs the test split in every selected way and scores it with the current detector and decision rule. */
+async function runRobustnessSuite() {
+    if (!model || !normalizedData.testing) {
+        displayOutput('robustnessStatus', 'Train and evaluate a model on a test split first.');
+        return;
+    }
+    const settings = readRobustnessSettings();
+    if (settings.perturbations.length === 0) {
+        displayOutput('robustnessStatus', '❌ Select at least one perturbation.');
+        return;
+    }
+    document.getElementById('runRobustnessBtn').disabled = true;
+    try {
+        const report = await evaluateRobustness(getActiveDetector(), normalizedData.testing, settings, async ({ perturbation, completed, total }) => {
+            displayOutput('robustnessStatus', `Scoring ${PERTURBATIONS[perturbation].toLowerCase()} (${completed + 1} / ${total})...`);
+            await tf.nextFrame(); // Keep the page responsive between perturbations
+        });
+        report.normalized = Boolean(tokenizer.settings.normalize);
+        renderRobustnessReport(report, lastRobustnessReport);
+        lastRobustnessReport = report;
+        displayOutput('robustnessStatus', `✅ Scored ${report.numTexts} test texts under ${settings.perturbations.length} perturbation(s).`);
+    } catch (error) {
+        displayOutput('robustnessStatus', `❌ Robustness suite failed: ${escapeHtml(error.message)}`);
+    }
+    document.getElementById('runRobustnessBtn').disabled = false;
+}
+
+
+// --- STEP 7: BASELINE MODELS (TF-IDF + LOGISTIC REGRESSION / NAIVE BAYES) ---
+
+// Baselines read the same padded sequence tensors as the network, so they see identical tokens, truncation and splits
+const BASELINE_MAX_NGRAM = 2;
+const BASELINE_MAX_FEATURES = 20000; // Most document-frequent n-grams kept
+const BASELINE_LR_EPOCHS = 15;
+const BASELINE_LR_LEARNING_RATE = 0.5;
+const BASELINE_LR_L2 = 1e-4;
+const BASELINE_NB_ALPHA = 1; // Laplace smoothing
+const BASELINE_TOP_NGRAMS = 15;
+
+const baselineState = { results: [], topNgrams: null };
+
+/** Lists the word-index n-grams (as space-joined index strings) of a padded sequence, ignoring '<PAD>'. */
+function sequenceToNgrams(sequence, maxN = BASELINE_MAX_NGRAM) {
+    const tokens = sequence.filter(index => index !== 0);
+    const ngrams = [];
+    for (let n = 1; n <= maxN; n++) {
+        for (let i = 0; i + n <= tokens.length; i++) {
+            ngrams.push(tokens.slice(i, i + n).join(' '));
+        }
+    }
+    return ngrams;
+}
+
+/** Fits a TF-IDF vectorizer (n-gram column map and smoothed IDF weights) on training sequences. */
+function fitTfidfVectorizer(sequences, maxFeatures = BASELINE_MAX_FEATURES) {
+    const documentFrequency = new Map();
+    sequences.forEach(sequence => {
+        new Set(sequenceToNgrams(sequence)).forEach(ngram => documentFrequency.set(ngram, (documentFrequency.get(ngram) || 0) + 1));
+    });
+    const kept = [...documentFrequency.entries()].sort((a, b) => b[1] - a[1]).slice(0, maxFeatures);
+    const columns = new Map(kept.map(([ngram], column) => [ngram, column]));
+    const idf = Float64Array.from(kept, ([, df]) => Math.log((1 + sequences.length) / (1 + df)) + 1);
+    return { columns, ngrams: kept.map(([ngram]) => ngram), idf };
+}
+
+/** Converts a sequence to sparse n-gram counts and L2-normalized TF-IDF values over the vectorizer's columns. */
+function vectorizeSequence(sequence, vectorizer) {
+    const counts = new Map();
+    sequenceToNgrams(sequence).forEach(ngram => {
+        const column = vectorizer.columns.get(ngram);
+        if (column !== undefined) counts.set(column, (counts.get(column) || 0) + 1);
+    });
+    const indices = [...counts.keys()];
+    const countValues = indices.map(column => counts.get(column));
+    const tfidf = indices.map((column, i) => countValues[i] * vectorizer.idf[column]);
+    const norm = Math.sqrt(tfidf.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return { indices, counts: countValues, tfidf: tfidf.map(v => v / norm) };
+}
+
+/** Logistic regression P(Human) for a sparse TF-IDF document. */
+function predictLogisticRegression(lrModel, doc) {
+    let z = lrModel.bias;
+    doc.indices.forEach((column, i) => z += lrModel.weights[column] * doc.tfidf[i]);
+    return 1 / (1 + Math.exp(-z));
+}
+
+/** Trains L2-regularized logistic regression on sparse TF-IDF documents with shuffled SGD (decaying step size). */
+async function trainLogisticRegression(docs, labels, numFeatures, onEpoch) {
+    const lrModel = { weights: new Float64Array(numFeatures), bias: 0 };
+    const order = docs.map((_, i) => i);
+    const random = createSeededRandom(DEFAULT_SPLIT_SETTINGS.seed);
+    for (let epoch = 0; epoch < BASELINE_LR_EPOCHS; epoch++) {
+        const learningRate = BASELINE_LR_LEARNING_RATE / (1 + epoch);
+        shuffleInPlace(order, random);
+        order.forEach(i => {
+            const doc = docs[i];
+            const error = predictLogisticRegression(lrModel, doc) - labels[i];
+            // L2 is applied lazily to the features present in the document to keep updates sparse
+            doc.indices.forEach((column, j) => {
+                lrModel.weights[column] -= learningRate * (error * doc.tfidf[j] + BASELINE_LR_L2 * lrModel.weights[column]);
+            });
+            lrModel.bias -= learningRate * error;
+        });
+        if (onEpoch) await onEpoch(epoch + 1);
+    }
+    return lrModel;
+}
+
+/** Trains multinomial Naive Bayes on sparse n-gram counts: log class priors and smoothed log feature likelihoods. */
+function trainNaiveBayes(docs, labels, numFeatures, alpha = BASELINE_NB_ALPHA) {
+    const featureCounts = [new Float64Array(numFeatures), new Float64Array(numFeatures)];
+    const classDocs = [0, 0];
+    docs.forEach((doc, i) => {
+        classDocs[labels[i]]++;
+        doc.indices.forEach((column, j) => featureCounts[labels[i]][column] += doc.counts[j]);
+    });
+    const logLikelihoods = featureCounts.map(counts => {
+        const total = counts.reduce((sum, c) => sum + c, 0) + alpha * numFeatures;
+        return counts.map(c => Math.log((c + alpha) / total));
+    });
+    const logPriors = classDocs.map(count => Math.log((count + 1) / (docs.length + 2)));
+    return { logPriors, logLikelihoods };
+}
+
+/** Naive Bayes P(Human) for a sparse count document. */
+function predictNaiveBayes(nbModel, doc) {
+    const [aiScore, humanScore] = [0, 1].map(cls => {
+        let score = nbModel.logPriors[cls];
+        doc.indices.forEach((column, i) => score += doc.counts[i] * nbModel.logLikelihoods[cls][column]);
+        return score;
+    });
+    return 1 / (1 + Math.exp(aiScore - humanScore));
+}
+
+/** Decodes a word-index n-gram back to its tokens. */
+function decodeNgram(ngram, indexToToken) {
+    return ngram.split(' ').map(index => indexToToken[index] || '<OOV>').join(' ');
+}
+
+/** Returns the n-grams with the largest logistic regression weights toward each class. */
+function computeTopLogisticNgrams(lrModel, vectorizer, limit = BASELINE_TOP_NGRAMS) {
+    const indexToToken = [];
+    Object.entries(wordIndex).forEach(([token, index]) => indexToToken[index] = token);
+    const ranked = vectorizer.ngrams
+        .map((ngram, column) => ({ ngram: decodeNgram(ngram, indexToToken), weight: lrModel.weights[column] }))
+        .sort((a, b) => a.weight - b.weight);
+    // Negative weights push toward AI (0), positive toward Human (1)
+    return [ranked.slice(0, limit), ranked.slice(-limit).reverse()];
+}
+
+/** Renders the comparison table of the baselines and (once evaluated) the neural network. */
+function renderBaselineComparison() {
+    const rows = baselineState.results.map(result => [result.name, result.validation, result.test]);
+    const evaluation = detectorMetrics.evaluation;
+    if (evaluation && evaluation.validationRocAuc !== undefined) {
+        rows.push([
+            `Neural network (${modelConfig ? MODEL_ARCHITECTURES[modelConfig.architecture] : 'loaded'})`,
+            { accuracy: evaluation.validationAccuracy, rocAuc: evaluation.validationRocAuc },
+            { accuracy: evaluation.testAccuracy, rocAuc: evaluation.rocAuc, prAuc: evaluation.prAuc, macroF1: evaluation.macroF1 }
+        ]);
+    }
+    if (rows.length === 0) return;
+    const tableRows = rows.map(([name, validation, test]) => [
+        name,
+        validation.accuracy.toFixed(4), validation.rocAuc.toFixed(4),
+        test.accuracy.toFixed(4), test.rocAuc.toFixed(4), test.prAuc.toFixed(4), test.macroF1.toFixed(4)
+    ]);
+    displayOutput('baselineComparisonOutput',
+        buildHtmlTable(['Model', 'Val Accuracy', 'Val ROC AUC', 'Test Accuracy', 'Test ROC AUC', 'Test PR AUC', 'Test Macro F1'], tableRows));
+}
+
+/** Renders the logistic regression's most influential n-grams per class. */
+function renderTopNgrams() {
+    const tables = baselineState.topNgrams.map((ngrams, cls) => {
+        const rows = ngrams.map(({ ngram, weight }) => [`<code class="font-mono">${escapeHtml(ngram)}</code>`, weight.toFixed(3)]);
+        return `<div><strong>${CLASS_NAMES[cls]}</strong>${buildHtmlTable(['N-gram', 'Weight'], rows)}</div>`;
+    });
+    displayOutput('baselineTopNgramsOutput', `<div class="grid grid-cols-1 md:grid-cols-2 gap-4">${tables.join('')}</div>`);
+}
+
+/** Builds TF-IDF vectors from the Step 4 sequences, trains both baselines and scores them on validation/test. */
+async function trainBaselines() {
+    if (!embeddedSplits) {
+        displayOutput('baselineStatus', 'Sequences not ready. Please complete Step 4 first.');
+        return;
+    }
+    document.getElementById('trainBaselinesBtn').disabled = true;
+    displayOutput('baselineStatus', 'Building TF-IDF vectors...');
+
+    try {
+        const splits = await pipeline.run('splitArrays');
+        const vectorizer = fitTfidfVectorizer(splits.training.sequences);
+        Object.values(splits).forEach(split => split.docs = split.sequences.map(sequence => vectorizeSequence(sequence, vectorizer)));
+        const numFeatures = vectorizer.ngrams.length;
+
+        const lrModel = await trainLogisticRegression(splits.training.docs, splits.training.labels, numFeatures, async (epoch) => {
+            displayOutput('baselineStatus', `Training logistic regression on ${numFeatures} n-grams... epoch ${epoch}/${BASELINE_LR_EPOCHS}`);
+            await tf.nextFrame(); // Keep the page responsive between epochs
+        });
+        const nbModel = trainNaiveBayes(splits.training.docs, splits.training.labels, numFeatures);
+
+        const score = (predict) => {
+            const scoreSplit = split => {
+                const metrics = computeBinaryMetrics(split.labels, split.docs.map(predict));
+                return { accuracy: metrics.accuracy, rocAuc: metrics.roc.auc, prAuc: metrics.pr.auc, macroF1: metrics.macroF1 };
+            };
+            return { validation: scoreSplit(splits.validation), test: scoreSplit(splits.testing) };
+        };
+        baselineState.results = [
+            { name: 'TF-IDF + logistic regression', ...score(doc => predictLogisticRegression(lrModel, doc)) },
+            { name: 'TF-IDF + multinomial Naive Bayes', ...score(doc => predictNaiveBayes(nbModel, doc)) }
+        ];
+        baselineState.topNgrams = computeTopLogisticNgrams(lrModel, vectorizer);
+
+        displayOutput('baselineStatus', `✅ Baselines trained on ${splits.training.docs.length} training sequences with ${numFeatures} n-gram features (up to ${BASELINE_MAX_NGRAM}-grams).`);
+        renderBaselineComparison();
+        renderTopNgrams();
+    } catch (error) {
+        displayOutput('baselineStatus', `❌ Baseline training failed: ${escapeHtml(error.message)}`);
+    }
+    document.getElementById('trainBaselinesBtn').disabled = false;
+}
+
+// --- STEP 8: PREDICTION VALUE ---
+
+const VERDICT_TEXT_CLASSES = { AI: 'text-red-800', Human: 'text-green-800', Uncertain: 'text-yellow-800' };
+
+/** Enables the prediction and bundle-saving controls and opens Step 8. */
+function enablePredictionStep() {
+    if (stepStatus[8] === 'locked') stepStatus[8] = 'ready';
+    ['predictBtn', 'explainBtn', 'saveDetectorBtn', 'downloadDetectorBtn'].forEach(id => {
+        document.getElementById(id).disabled = false;
+    });
+    updateBatchControls();
+    updateFeedbackVerdictOptions();
+    updateFeedbackControls();
+    displayOutput('detectorInfo', describeDetector(buildDetectorMetadata()));
+    renderPipelineProgress();
+}
+
+/** The page's current detector (model, tokenizer, vocabulary and sequence config) for the shared prediction helpers. */
+function getActiveDetector() {
+    return { model, tokenizer, wordIndex, sequenceLength: MAX_SEQUENCE_LENGTH, stylometric: stylometricConfig, sources: sourceClasses };
+}
+
+/** Reads the long-document settings from Step 8, or returns null when the mode is off. */
+function readLongDocumentSettings() {
+    if (!document.getElementById('longDocumentCheckbox').checked) return null;
+    return {
+        stride: parseInt(document.getElementById('windowStrideInput').value, 10) || 0,
+        aggregation: document.getElementById('windowAggregation').value
+    };
+}
+
+/** Generates a prediction for user-supplied text. */
+async function makePrediction() {
+    if (!model) {
+        displayOutput('predictionOutput', 'Model is not trained. Please complete all previous steps.', false);
+        return;
+    }
+
+    const inputText = document.getElementById('predictionText').value.trim();
+    if (!inputText) {
+        displayOutput('predictionOutput', 'Please enter text to analyze.', false);
+        return;
+    }
+
+    document.getElementById('predictBtn').disabled = true;
+    displayOutput('predictionOutput', 'Analyzing text...');
+
+    // 1. Preprocess the user's text (Tokenize, map to index, pad) and generate the prediction,
+    // window by window in long-document mode
+    const longDocumentSettings = readLongDocumentSettings();
+    let result;
+    try {
+        [result] = await scoreDocuments(getActiveDetector(), [inputText], longDocumentSettings);
+    } catch (error) {
+        displayOutput('predictionOutput', `❌ Prediction failed: ${escapeHtml(error.message)}`);
+        return;
+    } finally {
+        document.getElementById('predictBtn').disabled = false;
+    }
+    const probability = result.probability; // Probability of class 1 (Human)
+
+    // 2. Format and display results
+    const humanProbability = (probability * 100).toFixed(2);
+    const aiProbability = ((1 - probability) * 100).toFixed(2);
+    
+    let resultMessage = `Prediction Complete: <br>`;
+    
+    const verdict = classifyProbability(probability, decisionRule);
+    if (verdict === 'Human') {
+        resultMessage += `<strong class="${VERDICT_TEXT_CLASSES.Human}">The model predicts this is LIKELY HUMAN-WRITTEN.</strong><br>`;
+    } else if (verdict === 'AI') {
+        resultMessage += `<strong class="${VERDICT_TEXT_CLASSES.AI}">The model predicts this is LIKELY AI-GENERATED.</strong><br>`;
+    } else {
+        resultMessage += `<strong class="${VERDICT_TEXT_CLASSES.Uncertain}">UNCERTAIN: the score is too close to the decision threshold for a verdict.</strong><br>`;
+    }
+    
+    resultMessage += `<br>`;
+    resultMessage += `Human-Written Probability: **${humanProbability}%** <br>`;
+    resultMessage += `AI-Generated Probability: **${aiProbability}%**`;
+    resultMessage += `<br><span class="text-sm font-normal">Decision rule: ${describeDecisionRule(decisionRule)}.</span>`;
+    if (longDocumentSettings) {
+        resultMessage += `<br><span class="text-sm font-normal">Combined from ${result.windows.length} window(s) using ${WINDOW_AGGREGATIONS[longDocumentSettings.aggregation]}.</span>`;
+    }
+    if (sourceClasses) {
+        const rows = rankSources(result.sourceProbabilities, sourceClasses).map((source, rank) => [
+            rank + 1, escapeHtml(source.name), source.human ? 'Human' : 'AI', `${(source.probability * 100).toFixed(2)}%`
+        ]);
+        resultMessage += `<div class="mt-4 text-sm font-normal"><strong>Likely sources</strong> (the Human-Written Probability above sums the human sources)` +
+            buildHtmlTable(['Rank', 'Source', 'Type', 'Probability'], rows) + '</div>';
+    }
+
+    displayOutput('predictionOutput', resultMessage);
+    feedbackState.lastPrediction = { text: inputText, verdict };
+    // The reviewer starts from the model's call and changes it when it is wrong
+    if (sourceClasses) {
+        document.getElementById('feedbackVerdictSelect').value = result.sourceProbabilities.indexOf(Math.max(...result.sourceProbabilities));
+    } else if (verdict !== 'Uncertain') {
+        document.getElementById('feedbackVerdictSelect').value = verdict === 'Human' ? 1 : 0;
+    }
+    updateFeedbackControls();
+    if (longDocumentSettings) {
+        renderLongDocumentTimeline(inputText, result.windows, result.windowProbabilities);
+    } else {
+        displayOutput('longDocumentOutput', 'Enable long-document mode to see per-paragraph verdicts.');
+        document.getElementById('longDocumentTimelineContainer').innerHTML = '';
+    }
+
+    completeStep(8);
+}
+
+
+// --- STEP 8: FEEDBACK & INCREMENTAL FINE-TUNING ---
+
+// Fallbacks for the fine-tuning controls: a few gentle epochs, so the feedback nudges the model instead of replacing it
+const DEFAULT_FINE_TUNE_SETTINGS = { epochs: 3, learningRate: 0.0005, replay: true };
+
+// Reviewed Step 8 predictions ({ text, label, source, predicted }) and the last scored text that can still be added
+const feedbackState = { predictions: [], lastPrediction: null };
+
+/** Fills the reviewer-verdict select with the classes (or sources) of the current detector. */
+function updateFeedbackVerdictOptions() {
+    const names = sourceClasses ? sourceClasses.names : CLASS_NAMES;
+    document.getElementById('feedbackVerdictSelect').innerHTML = names
+        .map((name, value) => `<option value="${value}">${escapeHtml(name)}</option>`).join('');
+}
+
+/** Enables the feedback and fine-tuning buttons for the current feedback set. */
+function updateFeedbackControls() {
+    const numRows = collectFeedbackRows().length;
+    document.getElementById('addFeedbackBtn').disabled = !feedbackState.lastPrediction;
+    document.getElementById('fineTuneBtn').disabled = !model || numRows === 0;
+    document.getElementById('clearFeedbackBtn').disabled = feedbackState.predictions.length === 0;
+    document.getElementById('exportCorrectedCsvBtn').disabled = !normalizedData.training && numRows === 0;
+}
+
+/** Reviewed rows to fine-tune on: dataset rows with corrected labels plus the predictions with a reviewer verdict. */
+function collectFeedbackRows() {
+    const corrected = DATASET_SPLITS.flatMap(key => (normalizedData[key] || []).filter(row => labelCorrections.has(row)));
+    return [...corrected, ...feedbackState.predictions];
+}
+
+/** Lists the feedback set: the number of corrected labels and a table of the reviewed predictions. */
+function renderFeedbackSet() {
+    const labelNames = sourceClasses ? sourceClasses.names : CLASS_NAMES;
+    const numCorrected = collectFeedbackRows().length - feedbackState.predictions.length;
+    const rows = feedbackState.predictions.map((entry, i) => [
+        i + 1,
+        `<span class="block max-w-xs truncate" title="${previewText(entry.text, 1000)}">${previewText(entry.text, ERROR_TEXT_PREVIEW_LENGTH)}</span>`,
+        `<span class="font-bold ${VERDICT_TEXT_CLASSES[entry.predicted]}">${entry.predicted}</span>`,
+        escapeHtml(labelNames[sourceClasses ? entry.source : entry.label]),
+        `<button data-feedback-index="${i}" class="text-red-600 hover:underline">Remove</button>`
+    ]);
+    displayOutput('feedbackSetOutput', `
+        **${numCorrected}** corrected label(s) from the error analysis and **${rows.length}** reviewed prediction(s).
+        ${rows.length > 0 ? buildHtmlTable(['#', 'Text', 'Model Verdict', 'Reviewer Verdict', ''], rows) : ''}
+    `);
+    updateFeedbackControls();
+}
+
+/** Adds the last Step 8 prediction to the feedback set with the verdict picked by the reviewer. */
+function addPredictionToFeedback() {
+    const prediction = feedbackState.lastPrediction;
+    if (!prediction) return;
+    const value = Number(document.getElementById('feedbackVerdictSelect').value);
+    feedbackState.predictions.push(sourceClasses
+        ? { text: prediction.text, label: sourceClasses.human.includes(value) ? 1 : 0, source: value, predicted: prediction.verdict }
+        : { text: prediction.text, label: value, predicted: prediction.verdict });
+    feedbackState.lastPrediction = null; // Each prediction is added once
+    renderFeedbackSet();
+    saveSession();
+}
+
+/** Removes a reviewed prediction from the feedback set. */
+function handleFeedbackSetClick(event) {
+    const button = event.target.closest('button[data-feedback-index]');
+    if (!button) return;
+    feedbackState.predictions.splice(Number(button.dataset.feedbackIndex), 1);
+    renderFeedbackSet();
+    saveSession();
+}
+
+/** Empties the reviewed predictions (label corrections are part of the dataset and stay). */
+function clearFeedbackPredictions() {
+    feedbackState.predictions = [];
+    renderFeedbackSet();
+    saveSession();
+}
+
+/** Reads the fine-tuning epochs, learning rate and replay option of Step 8. */
+function readFineTuneSettings() {
+    const epochs = parseInt(document.getElementById('fineTuneEpochsInput').value, 10);
+    const learningRate = parseFloat(document.getElementById('fineTuneLearningRateInput').value);
+    return {
+        epochs: Number.isInteger(epochs) && epochs > 0 ? epochs : DEFAULT_FINE_TUNE_SETTINGS.epochs,
+        learningRate: learningRate > 0 ? learningRate : DEFAULT_FINE_TUNE_SETTINGS.learningRate,
+        replay: document.getElementById('fineTuneReplayCheckbox').checked
+    };
+}
+
+/** Share of the given rows whose verdict under the current decision rule matches their label. */
+async function computeVerdictAgreement(detector, rows) {
+    const scored = await scoreDocuments(detector, rows.map(row => row.text));
+    const agreeing = scored.filter(({ probability }, i) => classifyProbability(probability, decisionRule) === (rows[i].label === 1 ? 'Human' : 'AI'));
+    return agreeing.length / rows.length;
+}
+
+/**
+ * Continues training the current model on the feedback set (see fineTuneDetector), mixed with as many random training
+ * rows when replay is on, so the model does not forget the rest of the data. New feedback tokens extend the
+ * vocabulary. The fine-tuned model replaces the page model and, when the pipeline holds this run's tensors, the
+ * session model too, which is then evaluated again.
+ */
+async function fineTuneOnFeedback() {
+    const feedbackRows = collectFeedbackRows();
+    if (!model || feedbackRows.length === 0) return;
+    const settings = readFineTuneSettings();
+    const replayRows = settings.replay && normalizedData.training
+        ? shuffleInPlace([...normalizedData.training], createSeededRandom(DEFAULT_SPLIT_SETTINGS.seed)).slice(0, feedbackRows.length)
+        : [];
+    const rows = [...feedbackRows, ...replayRows];
+
+    document.getElementById('fineTuneBtn').disabled = true;
+    displayOutput('fineTuneOutput', `Fine-tuning on ${rows.length} row(s)...`);
+
+    let result = null;
+    let before;
+    let after;
+    try {
+        before = await computeVerdictAgreement(getActiveDetector(), feedbackRows);
+        result = await fineTuneDetector(getActiveDetector(), rows, {
+            modelConfig,
+            epochs: settings.epochs,
+            batchSize: Math.min(DEFAULT_TRAINING_SETTINGS.batchSize, rows.length),
+            learningRate: settings.learningRate,
+            // Every new feedback token counts: the minimum count was meant for the whole training corpus
+            vocabulary: {
+                minCount: 1,
+                maxSize: vocabularySettings.maxSize,
+                // A loaded detector may use a tokenizer that cannot exclude words (see TOKENIZER_STOPWORD_MODES)
+                excludedTokens: vocabularySettings.stopwordMode === 'oov' && TOKENIZER_STOPWORD_MODES[getActiveDetector().tokenizer.settings.type].includes('oov')
+                    ? readStopwords()
+                    : []
+            }
+        }, async ({ epoch, logs }) => {
+            displayOutput('fineTuneOutput', `Fine-tuning epoch ${epoch + 1}/${settings.epochs}: loss ${logs.loss.toFixed(4)}`);
+            await tf.nextFrame();
+        });
+        after = await computeVerdictAgreement(result.detector, feedbackRows);
+        if (embeddedSplits) {
+            await pipeline.run('loadModel', {
+                artifacts: await exportModelArtifacts(result.detector.model),
+                config: modelConfig,
+                wordIndex: result.detector.wordIndex,
+                vocabSize: result.vocabSize
+            });
+        }
+    } catch (error) {
+        if (result) disposeModel(result.detector.model);
+        displayOutput('fineTuneOutput', `❌ Fine-tuning failed: ${escapeHtml(error.message)}`);
+        updateFeedbackControls();
+        return;
+    }
+
+    disposeModel(model);
+    model = result.detector.model;
+    wordIndex = result.detector.wordIndex;
+    VOCAB_SIZE = result.vocabSize;
+    if (embeddedSplits) {
+        // The session dropped the imported vectors, which were matched against the smaller vocabulary
+        importedEmbeddings = null;
+        updatePretrainedEmbeddingControls();
+    }
+    const finalLoss = result.history.loss[result.history.loss.length - 1];
+    detectorMetrics.fineTuning = [...(detectorMetrics.fineTuning || []), {
+        feedbackRows: feedbackRows.length,
+        replayRows: replayRows.length,
+        epochs: settings.epochs,
+        learningRate: settings.learningRate,
+        addedTokens: result.addedTokens.length,
+        finalLoss
+    }];
+
+    const addedExamples = result.addedTokens.slice(0, 20).map(token => `<code class="font-mono bg-gray-100 px-1 rounded">${escapeHtml(token)}</code>`).join(' ');
+    displayOutput('fineTuneOutput', `
+        ✅ Fine-tuned for ${settings.epochs} epoch(s) on ${feedbackRows.length} feedback row(s)${replayRows.length > 0 ? ` and ${replayRows.length} replayed training row(s)` : ''}. Final loss: ${finalLoss.toFixed(4)}. <br>
+        Feedback verdicts matching the reviewers: **${(before * 100).toFixed(1)}%** before, **${(after * 100).toFixed(1)}%** after. <br>
+        Vocabulary: **+${result.addedTokens.length}** token(s), now ${VOCAB_SIZE}. ${addedExamples}
+    `);
+    updateFeedbackControls();
+
+    // Refreshes the metrics, the decision threshold and the error table for the fine-tuned weights
+    if (embeddedSplits) {
+        await evaluateModel();
+    } else {
+        displayOutput('detectorInfo', describeDetector(buildDetectorMetadata()));
+        saveSession();
+    }
+}
+
+/** Downloads the loaded dataset with the corrected labels (and the originals), plus the reviewed predictions, as CSV. */
+function exportCorrectedDataset() {
+    const labelName = ({ label, source }) => (sourceClasses ? sourceClasses.names[source] : (label === 1 ? 'human' : 'ai'));
+    const records = DATASET_SPLITS.flatMap(split => (normalizedData[split] || []).map(row => ({
+        text: row.text,
+        label: labelName(row),
+        split,
+        originalLabel: labelCorrections.has(row) ? labelName(labelCorrections.get(row)) : ''
+    })));
+    feedbackState.predictions.forEach(entry => records.push({ text: entry.text, label: labelName(entry), split: 'feedback', originalLabel: '' }));
+    if (records.length === 0) return;
+    downloadFile('corrected-dataset.csv', Papa.unparse(records), 'text/csv');
+}
+
+
+// --- STEP 8: PREDICTION EXPLANATIONS ---
+
+const EXPLANATION_IG_STEPS = 24; // Interpolation steps between the zero-embedding baseline and the input
+
+/** Occlusion: the drop in P(Human) when each in-window token is replaced by '<PAD>', scored in one batch. */
+async function computeOcclusionAttributions(sequence, numTokens, featureRow = null) {
+    const variants = [sequence];
+    for (let i = 0; i < numTokens; i++) {
+        const occluded = sequence.slice();
+        occluded[i] = 0;
+        variants.push(occluded);
+    }
+    // Only tokens are occluded; hybrid models see the same stylometric features for every variant
+    const { probabilities } = await predictSequences(getActiveDetector(), variants, featureRow && variants.map(() => featureRow));
+    return probabilities.slice(1).map(occludedProbability => probabilities[0] - occludedProbability);
+}
+
+/**
+ * Integrated gradients over the embedding output: the gradients of P(Human) along the path from a
+ * zero embedding to the actual embedding, averaged and multiplied by the embedding, summed per token.
+ */
+async function computeIntegratedGradientsAttributions(sequence, numTokens, featureRow = null, steps = EXPLANATION_IG_STEPS) {
+    // Hybrid models nest the embedding inside their sequence encoder; the stylometric branch is held fixed
+    const encoder = stylometricConfig ? model.getLayer('sequence_encoder') : model;
+    const [embeddingLayer, ...encoderLayers] = encoder.layers;
+    const attributionTensor = tf.tidy(() => {
+        const inputTensor = tf.tensor2d([sequence], [1, MAX_SEQUENCE_LENGTH], 'int32');
+        const embedded = embeddingLayer.apply(inputTensor);
+        const encode = x => encoderLayers.reduce((t, layer) => layer.apply(t), x);
+        let forward = encode;
+        if (stylometricConfig) {
+            const concatLayer = model.getLayer('hybrid_concat');
+            const headLayers = model.layers.slice(model.layers.indexOf(concatLayer) + 1);
+            const featureBranch = model.getLayer('stylometric_dense').apply(tf.tensor2d([featureRow])).tile([steps, 1]);
+            forward = x => headLayers.reduce((t, layer) => layer.apply(t), concatLayer.apply([encode(x), featureBranch]));
+        }
+        const alphas = tf.linspace(1 / steps, 1, steps).reshape([steps, 1, 1]);
+        // Source-attribution models are explained through P(Human), their summed human-source probability
+        const gradients = tf.grad(x => toHumanProbabilities(forward(x), sourceClasses).sum())(embedded.mul(alphas));
+        return gradients.mean(0).mul(embedded.squeeze([0])).sum(-1).slice(0, numTokens);
+    });
+    const attributions = Array.from(await attributionTensor.data());
+    attributionTensor.dispose();
+    return attributions;
+}
+
+/** Renders the original text with per-character colouring derived from the token spans and attributions. */
+function renderExplanationHtml(text, spans, attributions) {
+    // Per character: summed attribution, whether a model-visible token covers it, and OOV/truncated flags
+    const score = new Float32Array(text.length);
+    const visible = new Uint8Array(text.length);
+    const oov = new Uint8Array(text.length);
+    const truncated = new Uint8Array(text.length);
+    const titles = new Array(text.length).fill(null);
+
+    spans.forEach((span, i) => {
+        const inWindow = i < attributions.length;
+        const isOov = !Object.prototype.hasOwnProperty.call(wordIndex, span.token);
+        for (let c = span.start; c < span.end; c++) {
+            if (inWindow) {
+                score[c] += attributions[i];
+                visible[c] = 1;
+                if (isOov) oov[c] = 1;
+            } else {
+                truncated[c] = 1;
+            }
+            const description = inWindow
+                ? `${span.token}: ${attributions[i] >= 0 ? '+' : ''}${attributions[i].toFixed(4)}${isOov ? ' (OOV)' : ''}`
+                : `${span.token}: beyond the ${MAX_SEQUENCE_LENGTH}-token window`;
+            titles[c] = titles[c] ? `${titles[c]}\n${description}` : description;
+        }
+    });
+
+    const maxAbs = attributions.reduce((max, a) => Math.max(max, Math.abs(a)), 0) || 1;
+    const styleAt = (c) => {
+        if (visible[c]) {
+            const intensity = Math.min(1, Math.abs(score[c]) / maxAbs);
+            // Green pushes toward Human (1), red toward AI (0)
+            const rgb = score[c] >= 0 ? '22, 163, 74' : '220, 38, 38';
+            let style = `background-color: rgba(${rgb}, ${(intensity * 0.6).toFixed(3)});`;
+            if (oov[c]) style += ' text-decoration: underline dotted; font-style: italic;';
+            return style;
+        }
+        if (truncated[c]) return 'color: #9ca3af; text-decoration: line-through;';
+        return '';
+    };
+
+    // Merge consecutive characters with identical styling and tooltip into one <span>
+    let html = '';
+    let start = 0;
+    for (let c = 1; c <= text.length; c++) {
+        if (c === text.length || styleAt(c) !== styleAt(start) || titles[c] !== titles[start]) {
+            const chunk = escapeHtml(text.slice(start, c)).replace(/\n/g, '<br>');
+            const style = styleAt(start);
+            html += style || titles[start]
+                ? `<span style="${style}"${titles[start] ? ` title="${escapeHtml(titles[start])}"` : ''}>${chunk}</span>`
+                : chunk;
+            start = c;
+        }
+    }
+    return html;
+}
+
+/** Explains the prediction for the Step 8 text with a token attribution heatmap over the original text. */
+async function explainPrediction() {
+    if (!model) {
+        displayOutput('explanationOutput', 'Model is not trained. Please complete all previous steps.');
+        return;
+    }
+    const inputText = document.getElementById('predictionText').value;
+    if (!inputText.trim()) {
+        displayOutput('explanationOutput', 'Please enter text to analyze.');
         return;
     }
 
-    const epochs = parseInt(document.getElementById('epochsInput').value, 10);
-    const trainFeatures = normalizedData.training.features;
-    const trainLabels = normalizedData.training.labels;
+    const method = document.getElementById('explanationMethod').value;
+    document.getElementById('explainBtn').disabled = true;
+    displayOutput('explanationOutput', 'Computing token attributions...');
 
-    document.getElementById('trainModelBtn').disabled = true;
-    displayOutput('trainingOutput', 'Training started... See visualization below.');
+    try {
+        const spans = tokenizer.tokenizeWithOffsets(inputText);
+        const sequence = textToSequence(inputText, wordIndex, MAX_SEQUENCE_LENGTH, tokenizer);
+        const featureRows = computeModelFeatureRows(getActiveDetector(), [inputText]);
+        const featureRow = featureRows && featureRows[0];
+        const numTokens = Math.min(spans.length, MAX_SEQUENCE_LENGTH);
+        const attributions = method === 'integratedGradients'
+            ? await computeIntegratedGradientsAttributions(sequence, numTokens, featureRow)
+            : await computeOcclusionAttributions(sequence, numTokens, featureRow);
+
+        const oovCount = spans.slice(0, numTokens).filter(span => !Object.prototype.hasOwnProperty.call(wordIndex, span.token)).length;
+        const truncatedCount = spans.length - numTokens;
+        let summary = `Method: **${method === 'integratedGradients' ? 'Integrated gradients' : 'Occlusion'}** | ` +
+            `Tokens seen by the model: ${numTokens} | OOV: ${oovCount}`;
+        if (truncatedCount > 0) {
+            summary += ` | <span class="text-gray-500">${truncatedCount} token(s) beyond the ${MAX_SEQUENCE_LENGTH}-token window were ignored</span>`;
+        }
+        displayOutput('explanationOutput', `
+            <p class="text-xs text-gray-600 mb-2">${summary}</p>
+            <div class="leading-relaxed whitespace-pre-wrap">${renderExplanationHtml(inputText, spans, attributions)}</div>
+        `);
+    } catch (error) {
+        displayOutput('explanationOutput', `❌ Explanation failed: ${escapeHtml(error.message)}`);
+    }
+    document.getElementById('explainBtn').disabled = false;
+}
 
-    // Prepare container for tfjs-vis
-    const historyContainer = document.getElementById('trainingVisContainer');
-    historyContainer.innerHTML = '';
-    const container = { name: 'Training Metrics', tab: 'Training' };
-    const metrics = ['loss', 'val_loss', 'accuracy', 'val_accuracy'];
-    const callbacks = tfvis.show.fitCallbacks(container, metrics);
+
+// --- STEP 8: LONG-DOCUMENT SCORING ---
+
+const WINDOW_AGGREGATIONS = {
+    mean: 'the mean window score',
+    maxAi: 'the most AI-like window',
+    lengthWeighted: 'a length-weighted mean'
+};
+const PARAGRAPH_PREVIEW_LENGTH = 80;
+
+/** Finds paragraphs (separated by blank lines) and their character ranges. */
+function splitParagraphs(text) {
+    const paragraphs = [];
+    for (const match of text.matchAll(/(?:[^\n]|\n(?!\s*\n))+/g)) {
+        if (match[0].trim().length > 0) {
+            paragraphs.push({ text: match[0].trim(), start: match.index, end: match.index + match[0].length });
+        }
+    }
+    return paragraphs;
+}
+
+/**
+ * Scores each paragraph as the mean P(AI) of the windows overlapping it, weighted by how many of
+ * each window's tokens fall inside the paragraph. Paragraphs without tokens get a null score.
+ */
+function computeParagraphScores(text, windows, windowProbabilities) {
+    return splitParagraphs(text).map(paragraph => {
+        let weightedAi = 0;
+        let weight = 0;
+        windows.forEach((window, i) => {
+            const overlap = window.spans.filter(span => span.start < paragraph.end && span.end > paragraph.start).length;
+            weightedAi += overlap * (1 - windowProbabilities[i]);
+            weight += overlap;
+        });
+        return { ...paragraph, aiProbability: weight > 0 ? weightedAi / weight : null };
+    });
+}
+
+/** Renders the per-paragraph AI-probability timeline and verdict table for a long document. */
+function renderLongDocumentTimeline(text, windows, windowProbabilities) {
+    const paragraphs = computeParagraphScores(text, windows, windowProbabilities);
+    const rows = paragraphs.map((p, i) => {
+        const preview = p.text.length > PARAGRAPH_PREVIEW_LENGTH ? p.text.slice(0, PARAGRAPH_PREVIEW_LENGTH) + '…' : p.text;
+        if (p.aiProbability === null) return [`¶${i + 1}`, escapeHtml(preview), 'N/A', 'No tokens'];
+        const verdict = classifyProbability(1 - p.aiProbability, decisionRule);
+        return [`¶${i + 1}`, escapeHtml(preview), `${(p.aiProbability * 100).toFixed(2)}%`, `<strong class="${VERDICT_TEXT_CLASSES[verdict]}">${verdict}</strong>`];
+    });
+    displayOutput('longDocumentOutput',
+        `<p class="mb-2">${windows.length} window(s) over ${paragraphs.length} paragraph(s).</p>` +
+        buildHtmlTable(['Paragraph', 'Text', 'AI %', 'Verdict'], rows));
+
+    tfvis.render.barchart(document.getElementById('longDocumentTimelineContainer'),
+        paragraphs.map((p, i) => ({ index: `¶${i + 1}`, value: p.aiProbability === null ? 0 : p.aiProbability })),
+        { width: 500, height: 220, xLabel: 'Paragraph', yLabel: 'P(AI)' });
+}
+
+
+// --- STEP 8: BATCH PREDICTION ---
+
+const BATCH_TEXT_PREVIEW_LENGTH = 120;
+const BATCH_RESULT_COLUMNS = [
+    { key: 'index', label: '#' },
+    { key: 'source', label: 'Source' },
+    { key: 'text', label: 'Text' },
+    { key: 'humanProbability', label: 'Human %' },
+    { key: 'aiProbability', label: 'AI %' },
+    { key: 'windows', label: 'Windows' },
+    { key: 'label', label: 'Prediction' },
+    { key: 'likelySource', label: 'Likely Source', sourcesOnly: true },
+    { key: 'likelySourceProbability', label: 'Source %', sourcesOnly: true }
+];
+
+// records: parsed input rows ({ source, fields }), results: scored rows shown in the table
+const batchState = { records: [], results: [], sortKey: 'index', sortAscending: true };
+
+/** Enables the batch buttons based on the loaded model, files and results. */
+function updateBatchControls() {
+    const hasRecords = batchState.records.length > 0;
+    const hasResults = batchState.results.length > 0;
+    document.getElementById('batchPredictBtn').disabled = !model || !hasRecords;
+    document.getElementById('batchTextColumn').disabled = !hasRecords;
+    document.getElementById('exportBatchCsvBtn').disabled = !hasResults;
+    document.getElementById('exportBatchJsonBtn').disabled = !hasResults;
+}
+
+/** Reads the selected CSV/JSONL/TXT files into batch records and fills the text column selector. */
+async function handleBatchFileChange(event) {
+    const files = Array.from(event.target.files);
+    batchState.records = [];
+    batchState.results = [];
+    displayOutput('batchResultsOutput', 'Batch results will appear here.');
+
+    const skipped = [];
+    try {
+        for (const file of files) {
+            if (getDatasetFileFormat(file.name)) {
+                (await parseTabularFile(file)).forEach((row, i) => batchState.records.push({ source: `${file.name}:${i + 1}`, fields: row }));
+            } else if (file.name.toLowerCase().endsWith('.txt')) {
+                // Each .txt file is treated as one document
+                batchState.records.push({ source: file.name, fields: { text: await file.text() } });
+            } else {
+                skipped.push(file.name);
+            }
+        }
+    } catch (error) {
+        batchState.records = [];
+        displayOutput('batchStatus', `❌ Could not read batch files: ${escapeHtml(error.message)}`);
+        updateBatchControls();
+        return;
+    }
+
+    // Offer every column found in the records; default to one named 'text' if present
+    const columns = [...new Set(batchState.records.flatMap(r => Object.keys(r.fields)))];
+    const defaultColumn = columns.find(c => String(c).toLowerCase().trim() === 'text') || columns[0];
+    const select = document.getElementById('batchTextColumn');
+    select.innerHTML = columns
+        .map(c => `<option value="${escapeHtml(c)}"${c === defaultColumn ? ' selected' : ''}>${escapeHtml(c)}</option>`)
+        .join('');
+
+    let status = `Loaded **${batchState.records.length}** records from ${files.length - skipped.length} file(s).`;
+    if (skipped.length > 0) {
+        status += ` Skipped unsupported file(s): ${escapeHtml(skipped.join(', '))}.`;
+    }
+    displayOutput('batchStatus', status);
+    updateBatchControls();
+}
+
+/** Scores every batch record with batched model.predict calls. */
+async function predictBatch() {
+    if (!model) {
+        displayOutput('batchStatus', 'Model is not trained. Please complete all previous steps.');
+        return;
+    }
+
+    const column = document.getElementById('batchTextColumn').value;
+    const items = batchState.records
+        .map(record => ({ source: record.source, text: record.fields[column] == null ? '' : String(record.fields[column]).trim() }))
+        .filter(item => item.text.length > 0);
+    const emptyCount = batchState.records.length - items.length;
+
+    document.getElementById('batchPredictBtn').disabled = true;
+    batchState.results = [];
 
     try {
-        const history = await model.fit(trainFeatures, trainLabels, {
-            batchSize: 32,
-            epochs: epochs,
-            validationData: [normalizedData.validation.features, normalizedData.validation.labels],
-            callbacks: callbacks
+        const scored = await scoreDocuments(getActiveDetector(), items.map(item => item.text), readLongDocumentSettings(), async (done, total) => {
+            displayOutput('batchStatus', `Scored ${done} / ${total} sequences...`);
+            await tf.nextFrame(); // Keep the page responsive between batches
+        });
+        batchState.results = items.map((item, i) => {
+            const probability = scored[i].probability;
+            const result = {
+                index: i + 1,
+                source: item.source,
+                text: item.text,
+                humanProbability: Number((probability * 100).toFixed(2)),
+                aiProbability: Number(((1 - probability) * 100).toFixed(2)),
+                windows: scored[i].windows.length,
+                label: classifyProbability(probability, decisionRule)
+            };
+            if (sourceClasses) {
+                const [likely] = rankSources(scored[i].sourceProbabilities, sourceClasses);
+                result.likelySource = likely.name;
+                result.likelySourceProbability = Number((likely.probability * 100).toFixed(2));
+            }
+            return result;
         });
 
-        const finalLoss = history.history.loss.slice(-1)[0].toFixed(4);
-        const finalValAcc = history.history.val_accuracy.slice(-1)[0].toFixed(4);
-        displayOutput('trainingOutput', `✅ Training finished after ${history.params.epochs} epochs. Final Training Loss: ${finalLoss}, Final Validation Accuracy: ${finalValAcc}.`);
-        
-        // Enable next step
-        document.getElementById('evaluateBtn').disabled = false;
-        showStep('step-7');
+        const count = label => batchState.results.filter(r => r.label === label).length;
+        let status = `✅ Scored **${batchState.results.length}** texts: ${count('AI')} predicted AI, ${count('Human')} predicted Human, ${count('Uncertain')} uncertain.`;
+        if (emptyCount > 0) {
+            status += ` ${emptyCount} record(s) had no text in column "${escapeHtml(column)}" and were skipped.`;
+        }
+        displayOutput('batchStatus', status);
+        renderBatchResults();
+    } catch (error) {
+        displayOutput('batchStatus', `❌ Batch prediction failed: ${escapeHtml(error.message)}`);
+    }
+    updateBatchControls();
+}
+
+/** Renders the batch results table in the current sort order. */
+function renderBatchResults() {
+    const { sortKey, sortAscending } = batchState;
+    const sorted = [...batchState.results].sort((a, b) => {
+        const order = typeof a[sortKey] === 'number' ? a[sortKey] - b[sortKey] : String(a[sortKey]).localeCompare(String(b[sortKey]));
+        return sortAscending ? order : -order;
+    });
+
+    const hasSources = batchState.results.some(row => row.likelySource !== undefined);
+    let tableHtml = `<div class="overflow-x-auto max-h-96"><table class="min-w-full divide-y divide-gray-200"><thead><tr>`;
+    BATCH_RESULT_COLUMNS.filter(col => hasSources || !col.sourcesOnly).forEach(col => {
+        const arrow = col.key === sortKey ? (sortAscending ? ' ▲' : ' ▼') : '';
+        tableHtml += `<th data-sort-key="${col.key}" class="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase cursor-pointer select-none hover:text-gray-800">${col.label}${arrow}</th>`;
+    });
+    tableHtml += `</tr></thead><tbody class="divide-y divide-gray-200">`;
+    sorted.forEach(row => {
+        const preview = row.text.length > BATCH_TEXT_PREVIEW_LENGTH ? row.text.slice(0, BATCH_TEXT_PREVIEW_LENGTH) + '…' : row.text;
+        const labelClass = VERDICT_TEXT_CLASSES[row.label];
+        tableHtml += `<tr>`;
+        tableHtml += `<td class="px-3 py-2 whitespace-nowrap text-sm text-gray-500">${row.index}</td>`;
+        tableHtml += `<td class="px-3 py-2 whitespace-nowrap text-sm text-gray-500">${escapeHtml(row.source)}</td>`;
+        tableHtml += `<td class="px-3 py-2 text-sm text-gray-900 max-w-xs truncate" title="${escapeHtml(preview)}">${escapeHtml(preview)}</td>`;
+        tableHtml += `<td class="px-3 py-2 whitespace-nowrap text-sm text-gray-900">${row.humanProbability.toFixed(2)}</td>`;
+        tableHtml += `<td class="px-3 py-2 whitespace-nowrap text-sm text-gray-900">${row.aiProbability.toFixed(2)}</td>`;
+        tableHtml += `<td class="px-3 py-2 whitespace-nowrap text-sm text-gray-500">${row.windows}</td>`;
+        tableHtml += `<td class="px-3 py-2 whitespace-nowrap text-sm font-bold ${labelClass}">${row.label}</td>`;
+        if (hasSources) {
+            tableHtml += `<td class="px-3 py-2 whitespace-nowrap text-sm text-gray-900">${escapeHtml(row.likelySource)}</td>`;
+            tableHtml += `<td class="px-3 py-2 whitespace-nowrap text-sm text-gray-900">${row.likelySourceProbability.toFixed(2)}</td>`;
+        }
+        tableHtml += `</tr>`;
+    });
+    tableHtml += `</tbody></table></div>`;
+    displayOutput('batchResultsOutput', tableHtml);
+}
+
+/** Sorts the batch table by the clicked column (click again to reverse). */
+function handleBatchSortClick(event) {
+    const header = event.target.closest('th[data-sort-key]');
+    if (!header) return;
+    const key = header.dataset.sortKey;
+    batchState.sortAscending = batchState.sortKey === key ? !batchState.sortAscending : true;
+    batchState.sortKey = key;
+    renderBatchResults();
+}
+
+/** Downloads the batch results as CSV or JSON. */
+function exportBatchResults(format) {
+    if (batchState.results.length === 0) return;
+    if (format === 'json') {
+        downloadFile('batch-predictions.json', JSON.stringify(batchState.results, null, 2), 'application/json');
+    } else {
+        downloadFile('batch-predictions.csv', Papa.unparse(batchState.results), 'text/csv');
+    }
+}
+
+
+// --- EXPERIMENT TRACKING (RUN HISTORY) ---
+
+// Each training run is stored as a plain JSON record in its own IndexedDB database, separate from the detector
+// bundle, so runs survive page reloads and can be compared, exported and imported.
+const EXPERIMENT_DB_NAME = 'ai-text-detector-experiments';
+const EXPERIMENT_STORE_NAME = 'runs';
+const EXPERIMENT_EXPORT_FORMAT = 'ai-text-detector-runs';
+const EXPERIMENT_EXPORT_VERSION = 1;
+const EXPERIMENT_CURVE_LABELS = { loss: 'Training loss', val_loss: 'Validation loss', acc: 'Training accuracy', val_acc: 'Validation accuracy' };
+
+let datasetFingerprints = null; // Fingerprints of the rows used for the current tensors (set in Step 4)
+let currentExperimentId = null; // Record that Step 7 adds its evaluation metrics to
+const experimentState = { runs: [], selectedIds: new Set() };
+
+/** Order-independent fingerprint of a split: row and class counts plus the sum of FNV-1a hashes of label and text. */
+function fingerprintRows(rows) {
+    let hash = 0;
+    const classCounts = [0, 0];
+    rows.forEach(row => {
+        // Source-attribution rows also hash their source, so relabelled sources change the fingerprint
+        const label = row.source === undefined ? row.label : `${row.label}/${row.source}`;
+        hash = (hash + hashString(`${label}\t${row.text}`)) >>> 0;
+        classCounts[row.label]++;
+    });
+    return { rows: rows.length, classCounts, hash: hash.toString(16).padStart(8, '0') };
+}
+
+/** Fingerprints every split (with its source file name, if it was loaded rather than split off). */
+function computeDatasetFingerprints(data) {
+    return Object.fromEntries(DATASET_SPLITS.map(key => [key, {
+        file: loadedFiles[key] ? loadedFiles[key].name : null,
+        ...fingerprintRows(data[key])
+    }]));
+}
+
+/** Runs requests against the run store in one transaction (see withObjectStore). */
+function withExperimentStore(mode, makeRequests) {
+    return withObjectStore(EXPERIMENT_DB_NAME, EXPERIMENT_STORE_NAME, mode, makeRequests);
+}
+
+/** Stores (or replaces, by id) the given run records. */
+function putExperimentRuns(runs) {
+    return withExperimentStore('readwrite', store => {
+        let request = null;
+        runs.forEach(run => request = store.put(run));
+        return request;
+    });
+}
+
+/** Snapshot of the current pipeline: dataset fingerprints, tokenizer/vocabulary, sequence, model and training settings. */
+function buildExperimentRecord() {
+    // Learned merges/subword vocabularies are large and already determined by the other settings and the data
+    const { merges, vocabulary, ...tokenizerSettings } = tokenizer.settings;
+    const { history, settings, classWeight, learningRates, ...trainingSummary } = detectorMetrics.training;
+    const createdAt = new Date();
+    return {
+        id: `run-${createdAt.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        createdAt: createdAt.toISOString(),
+        name: `${MODEL_ARCHITECTURES[modelConfig.architecture]}${stylometricConfig ? ' + stylometric' : ''}${sourceClasses ? ' (sources)' : ''}`,
+        dataset: datasetFingerprints,
+        config: {
+            tokenizer: tokenizerSettings,
+            vocabulary: { ...vocabularySettings, vocabSize: VOCAB_SIZE },
+            sequence: {
+                maxSequenceLength: MAX_SEQUENCE_LENGTH,
+                trainingWindowStride: trainingWindowStride,
+                stylometricFeatures: stylometricConfig ? stylometricConfig.features : null
+            },
+            sources: sourceClasses,
+            model: modelConfig,
+            training: { ...settings, classWeight }
+        },
+        history: history,
+        learningRates: learningRates,
+        training: trainingSummary,
+        evaluation: null
+    };
+}
 
+/** Records the run that just finished training; failures are reported but never interrupt the pipeline. */
+async function recordExperimentRun() {
+    currentExperimentId = null;
+    try {
+        const run = buildExperimentRecord();
+        await putExperimentRuns([run]);
+        currentExperimentId = run.id;
+        displayOutput('experimentStatus', `✅ Run recorded in the history (${escapeHtml(run.name)}, ${new Date(run.createdAt).toLocaleString()}).`);
+        await refreshExperimentHistory();
     } catch (error) {
-        displayOutput('trainingOutput', `❌ Training failed: ${error.message}`, false);
-        document.getElementById('trainModelBtn').disabled = false;
+        displayOutput('experimentStatus', `⚠️ The run could not be recorded: ${escapeHtml(error.message)}`);
     }
 }
 
+/** Adds the Step 7 metrics to the record of the current run. */
+async function recordExperimentEvaluation(evaluation) {
+    const run = experimentState.runs.find(candidate => candidate.id === currentExperimentId);
+    if (!run) return;
+    try {
+        await putExperimentRuns([{ ...run, evaluation }]);
+        await refreshExperimentHistory();
+    } catch (error) {
+        displayOutput('experimentStatus', `⚠️ The evaluation could not be recorded: ${escapeHtml(error.message)}`);
+    }
+}
 
-// --- STEP 7: MODEL EVALUATION ---
+/** Reloads all runs from IndexedDB (newest first) and re-renders the history table. */
+async function refreshExperimentHistory() {
+    try {
+        const runs = await withExperimentStore('readonly', store => store.getAll());
+        experimentState.runs = runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        const ids = new Set(runs.map(run => run.id));
+        experimentState.selectedIds.forEach(id => { if (!ids.has(id)) experimentState.selectedIds.delete(id); });
+    } catch (error) {
+        experimentState.runs = [];
+        displayOutput('experimentStatus', `⚠️ Run history unavailable: ${escapeHtml(error.message)}`);
+    }
+    renderExperimentHistory();
+}
 
-/** Evaluates the model on the validation dataset. */
-async function evaluateModel() {
-    if (!model || !normalizedData.validation) {
-        displayOutput('evaluationOutput', 'Model or validation data not ready.', false);
+/** Renders the run table with selection checkboxes and per-run delete buttons. */
+function renderExperimentHistory() {
+    const { runs, selectedIds } = experimentState;
+    document.getElementById('exportExperimentsBtn').disabled = runs.length === 0;
+    document.getElementById('clearExperimentsBtn').disabled = runs.length === 0;
+    document.getElementById('compareExperimentsBtn').disabled = selectedIds.size === 0;
+    if (runs.length === 0) {
+        displayOutput('experimentListOutput', 'No runs recorded yet.');
         return;
     }
-    document.getElementById('evaluateBtn').disabled = true;
+    const formatMetric = value => (Number.isFinite(value) ? value.toFixed(4) : '—');
+    const rows = runs.map(run => {
+        const training = run.dataset && run.dataset.training;
+        const evaluation = run.evaluation || {};
+        return [
+            `<input type="checkbox" data-experiment-select="${escapeHtml(run.id)}" ${selectedIds.has(run.id) ? 'checked' : ''} class="rounded border-gray-300 text-green-600 focus:ring-green-500">`,
+            escapeHtml(new Date(run.createdAt).toLocaleString()),
+            escapeHtml(run.name),
+            training ? `<code class="font-mono">${escapeHtml(training.hash)}</code> (${escapeHtml(training.rows)} rows)` : '—',
+            escapeHtml(run.training ? run.training.epochs : '—'),
+            formatMetric(run.training && run.training.finalValAccuracy),
+            formatMetric(evaluation.testAccuracy),
+            formatMetric(evaluation.rocAuc),
+            `<button data-experiment-delete="${escapeHtml(run.id)}" class="px-3 py-1 bg-gray-600 text-white text-xs font-semibold rounded-lg hover:bg-gray-700">Delete</button>`
+        ];
+    });
+    displayOutput('experimentListOutput',
+        buildHtmlTable(['', 'Recorded', 'Run', 'Training Data', 'Epochs', 'Val Accuracy', 'Test Accuracy', 'Test ROC AUC', ''], rows));
+}
+
+/** Flattens nested settings into dotted keys ('model.learningRate') so configs can be compared row by row. */
+function flattenSettings(value, prefix = '', flat = {}) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, child]) => flattenSettings(child, prefix ? `${prefix}.${key}` : key, flat));
+    } else {
+        flat[prefix] = Array.isArray(value) ? value.join(', ') : value;
+    }
+    return flat;
+}
 
-    displayOutput('evaluationOutput', 'Evaluating model on validation data...');
+/** Overlays the chosen training curve of the selected runs and lists the settings that differ between them. */
+function compareExperiments() {
+    const runs = experimentState.runs.filter(run => experimentState.selectedIds.has(run.id));
+    if (runs.length === 0) {
+        displayOutput('experimentStatus', 'Select at least one run to compare.');
+        return;
+    }
+    const metric = document.getElementById('experimentMetricSelect').value;
+    const labels = runs.map((run, i) => `${i + 1}. ${run.name} (${new Date(run.createdAt).toLocaleString()})`);
+    const curves = runs.map(run => ((run.history && run.history[metric]) || []).map((y, epoch) => ({ x: epoch + 1, y })));
+    const container = document.getElementById('experimentChartContainer');
+    container.innerHTML = '';
+    tfvis.render.linechart(container, { values: curves, series: labels },
+        { width: 600, height: 300, xLabel: 'Epoch', yLabel: EXPERIMENT_CURVE_LABELS[metric], zoomToFit: true });
+
+    if (runs.length < 2) {
+        displayOutput('experimentDiffOutput', 'Select a second run to compare settings.');
+        return;
+    }
+    const flatSettings = runs.map(run => flattenSettings({ dataset: run.dataset, ...run.config }));
+    const keys = [...new Set(flatSettings.flatMap(Object.keys))].sort();
+    const formatValue = value => (value === undefined ? '—' : value === null ? 'none' : escapeHtml(String(value)));
+    const differing = keys.filter(key => new Set(flatSettings.map(flat => JSON.stringify(flat[key]))).size > 1);
+    const identicalNote = `${keys.length - differing.length} of ${keys.length} settings are identical.`;
+    if (differing.length === 0) {
+        displayOutput('experimentDiffOutput', `✅ The selected runs used identical data and settings. ${identicalNote}`);
+        return;
+    }
+    displayOutput('experimentDiffOutput', `<p class="mb-2 text-gray-600">Settings that differ between the selected runs. ${identicalNote}</p>` +
+        buildHtmlTable(['Setting', ...labels.map(escapeHtml)], differing.map(key => [escapeHtml(key), ...flatSettings.map(flat => formatValue(flat[key]))])));
+}
 
-    const evalResult = model.evaluate(normalizedData.validation.features, normalizedData.validation.labels);
-    // evalResult is an array of Tensors (loss, accuracy). We need to pull the value out.
-    const [loss, accuracy] = await Promise.all(evalResult.map(t => t.data()));
+/** Handles the run table's selection checkboxes and delete buttons. */
+async function handleExperimentListEvent(event) {
+    const { experimentSelect, experimentDelete } = event.target.dataset;
+    if (experimentSelect && event.type === 'change') {
+        if (event.target.checked) experimentState.selectedIds.add(experimentSelect);
+        else experimentState.selectedIds.delete(experimentSelect);
+        document.getElementById('compareExperimentsBtn').disabled = experimentState.selectedIds.size === 0;
+    } else if (experimentDelete && event.type === 'click') {
+        try {
+            await withExperimentStore('readwrite', store => store.delete(experimentDelete));
+            experimentState.selectedIds.delete(experimentDelete);
+            displayOutput('experimentStatus', 'Run deleted.');
+        } catch (error) {
+            displayOutput('experimentStatus', `❌ Could not delete the run: ${escapeHtml(error.message)}`);
+        }
+        await refreshExperimentHistory();
+    }
+}
 
-    displayOutput('evaluationOutput', `
-        ✅ Evaluation Complete. <br>
-        <strong>Validation Loss:</strong> ${loss.toFixed(4)} <br>
-        <strong>Validation Accuracy:</strong> ${accuracy.toFixed(4)}
-    `);
-    
-    // Enable next step
-    document.getElementById('predictBtn').disabled = false;
-    showStep('step-8');
+/** Downloads the selected runs (or all runs when none are selected) as a JSON file teammates can import. */
+function exportExperiments() {
+    const { runs, selectedIds } = experimentState;
+    const exported = selectedIds.size > 0 ? runs.filter(run => selectedIds.has(run.id)) : runs;
+    const payload = { format: EXPERIMENT_EXPORT_FORMAT, version: EXPERIMENT_EXPORT_VERSION, exportedAt: new Date().toISOString(), runs: exported };
+    downloadFile(`ai-text-detector-runs-${payload.exportedAt.slice(0, 10)}.json`, JSON.stringify(payload, null, 2), 'application/json');
+    displayOutput('experimentStatus', `✅ Exported ${exported.length} run(s).`);
 }
 
+/** Imports runs from an exported JSON file; runs with an existing id replace the stored copy. */
+async function importExperiments(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    try {
+        let payload;
+        try {
+            payload = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error(`${file.name} is not valid JSON.`);
+        }
+        if (!payload || payload.format !== EXPERIMENT_EXPORT_FORMAT || !Array.isArray(payload.runs)) {
+            throw new Error(`${file.name} is not a run history export.`);
+        }
+        if (payload.version !== EXPERIMENT_EXPORT_VERSION) {
+            throw new Error(`Unsupported run history version ${payload.version} (expected ${EXPERIMENT_EXPORT_VERSION}).`);
+        }
+        payload.runs.forEach((run, i) => {
+            if (!run || typeof run.id !== 'string' || typeof run.createdAt !== 'string' || !run.config || typeof run.history !== 'object') {
+                throw new Error(`Run ${i + 1} in ${file.name} is missing its id, date, config or history.`);
+            }
+        });
+        await putExperimentRuns(payload.runs);
+        displayOutput('experimentStatus', `✅ Imported ${payload.runs.length} run(s) from ${escapeHtml(file.name)}.`);
+    } catch (error) {
+        displayOutput('experimentStatus', `❌ Import failed: ${escapeHtml(error.message)}`);
+    }
+    event.target.value = '';
+    await refreshExperimentHistory();
+}
 
-// --- STEP 8: PREDICTION VALUE ---
+/** Deletes every stored run after confirmation. */
+async function clearExperiments() {
+    if (!confirm('Delete all recorded runs from this browser?')) return;
+    try {
+        await withExperimentStore('readwrite', store => store.clear());
+        experimentState.selectedIds.clear();
+        document.getElementById('experimentChartContainer').innerHTML = '';
+        displayOutput('experimentDiffOutput', '');
+        displayOutput('experimentStatus', 'Run history cleared.');
+    } catch (error) {
+        displayOutput('experimentStatus', `❌ Could not clear the history: ${escapeHtml(error.message)}`);
+    }
+    await refreshExperimentHistory();
+}
 
-/** Generates a prediction for user-supplied text. */
-async function makePrediction() {
-    if (!model) {
-        displayOutput('predictionOutput', 'Model is not trained. Please complete all previous steps.', false);
-        return;
+
+// --- DETECTOR BUNDLES (SAVE / EXPORT / LOAD) ---
+
+// Bundles are TF.js models carrying the detector metadata (see createDetectorMetadata in pipeline.js), so the
+// command line and the prediction server read the same files.
+const DETECTOR_STORAGE_URL = 'indexeddb://ai-text-detector';
+const DETECTOR_DOWNLOAD_URL = 'downloads://ai-text-detector';
+
+/** Collects everything besides the weights that is needed to reproduce predictions. */
+function buildDetectorMetadata() {
+    return createDetectorMetadata({
+        sequenceLength: MAX_SEQUENCE_LENGTH,
+        embeddingDim: EMBEDDING_DIM,
+        trainingWindowStride: trainingWindowStride,
+        stylometric: stylometricConfig,
+        sources: sourceClasses,
+        vocabSize: VOCAB_SIZE,
+        vocabularySettings: vocabularySettings,
+        modelConfig: modelConfig,
+        tokenizerSettings: tokenizer.settings,
+        wordIndex: wordIndex,
+        metrics: detectorMetrics,
+        decision: decisionRule
+    });
+}
+
+/** Restores the vocabulary and config globals from a validated bundle (see restoreDetector). */
+function applyDetectorMetadata(detector, metadata) {
+    tokenizer = detector.tokenizer;
+    wordIndex = detector.wordIndex;
+    VOCAB_SIZE = metadata.config.vocabSize;
+    MAX_SEQUENCE_LENGTH = detector.sequenceLength;
+    EMBEDDING_DIM = metadata.config.embeddingDim;
+    trainingWindowStride = metadata.config.trainingWindowStride ?? null;
+    stylometricConfig = detector.stylometric;
+    sourceClasses = detector.sources;
+    modelConfig = metadata.config.model || null;
+    vocabularySettings = metadata.config.vocabulary || vocabularySettings;
+    detectorMetrics = metadata.metrics || { training: null, evaluation: null };
+    decisionRule = metadata.decision || DEFAULT_DECISION_RULE;
+    showDecisionSettings(decisionRule);
+    document.getElementById('maxSeqLenInput').value = MAX_SEQUENCE_LENGTH;
+    if (trainingWindowStride !== null) document.getElementById('longDocumentCheckbox').checked = true;
+}
+
+/** Formats a short description of the current detector for the Step 8 info panel. */
+function describeDetector(metadata) {
+    const evaluation = metadata.metrics && metadata.metrics.evaluation;
+    const training = metadata.metrics && metadata.metrics.training;
+    const architecture = metadata.config.model ? MODEL_ARCHITECTURES[metadata.config.model.architecture] : 'Unknown';
+    const stylometric = metadata.config.stylometric ? ` + ${metadata.config.stylometric.scaler.mean.length} stylometric features` : '';
+    const sources = metadata.config.sources ? ` | Sources: **${metadata.config.sources.names.map(escapeHtml).join(', ')}**` : '';
+    const modelSettings = metadata.config.model || {};
+    const embeddings = modelSettings.pretrainedEmbeddings
+        ? ` (from ${escapeHtml(modelSettings.pretrainedEmbeddings)}, ${modelSettings.trainEmbeddings === false ? 'frozen' : 'fine-tuned'})` : '';
+    const normalization = metadata.tokenizer.normalize ? ' + normalization' : '';
+    let info = `Architecture: **${architecture}${stylometric}**${sources} | Tokenizer: **${TOKENIZER_TYPES[metadata.tokenizer.type]}${normalization}** | Vocabulary Size: **${metadata.config.vocabSize}** | Sequence Length: **${metadata.config.maxSequenceLength}** | Embedding Dim: **${metadata.config.embeddingDim}**${embeddings}`;
+    if (training) {
+        info += `<br>Trained for ${training.epochs} epochs. Final Training Loss: ${training.finalLoss}`;
+    }
+    if (metadata.metrics && metadata.metrics.fineTuning) {
+        const rounds = metadata.metrics.fineTuning;
+        info += `<br>Fine-tuned ${rounds.length} time(s) on ${rounds.reduce((sum, round) => sum + round.feedbackRows, 0)} reviewed row(s), adding ${rounds.reduce((sum, round) => sum + round.addedTokens, 0)} token(s) to the vocabulary.`;
     }
+    if (evaluation) {
+        info += `<br>Validation Accuracy: ${evaluation.validationAccuracy.toFixed(4)} | Test Accuracy: ${evaluation.testAccuracy.toFixed(4)} | Test ROC AUC: ${evaluation.rocAuc.toFixed(4)}`;
+        if (evaluation.sources) info += ` | Test Source Accuracy: ${evaluation.sources.accuracy.toFixed(4)}`;
+    }
+    info += `<br>Decision rule: ${describeDecisionRule(metadata.decision || DEFAULT_DECISION_RULE)}`;
+    return info;
+}
 
-    const inputText = document.getElementById('predictionText').value.trim();
-    if (!inputText) {
-        displayOutput('predictionOutput', 'Please enter text to analyze.', false);
+/** Saves the current model and its metadata either to IndexedDB ('browser') or as downloaded files ('download'). */
+async function saveDetector(destination) {
+    if (!model || VOCAB_SIZE === 0) {
+        displayOutput('detectorBundleStatus', '❌ No trained detector to save. Please complete the previous steps.');
         return;
     }
 
-    document.getElementById('predictBtn').disabled = true;
-    displayOutput('predictionOutput', 'Analyzing text...');
+    const metadata = buildDetectorMetadata();
+    const url = destination === 'download' ? DETECTOR_DOWNLOAD_URL : DETECTOR_STORAGE_URL;
+    displayOutput('detectorBundleStatus', destination === 'download' ? 'Preparing download...' : 'Saving to browser storage...');
+
+    try {
+        model.setUserDefinedMetadata(metadata);
+        await model.save(url);
+        displayOutput('detectorBundleStatus', destination === 'download'
+            ? '✅ Detector downloaded as <code>ai-text-detector.json</code> and <code>ai-text-detector.weights.bin</code>.'
+            : `✅ Detector saved to browser storage at ${metadata.savedAt}.`);
+    } catch (error) {
+        displayOutput('detectorBundleStatus', `❌ Saving failed: ${escapeHtml(error.message)}`);
+    }
+}
+
+/** Loads a detector bundle from IndexedDB or from the selected files and skips straight to Step 8. */
+async function loadDetector(source) {
+    displayOutput('detectorLoadStatus', 'Loading detector...');
+
+    try {
+        assertNoLongRunningStage();
+        let handler = DETECTOR_STORAGE_URL;
+        if (source === 'files') {
+            const files = Array.from(document.getElementById('detectorFiles').files);
+            const jsonFile = files.find(f => f.name.endsWith('.json'));
+            const weightFiles = files.filter(f => f.name.endsWith('.bin'));
+            if (!jsonFile || weightFiles.length === 0) {
+                throw new Error('Please select the model .json file together with its .weights.bin file.');
+            }
+            handler = tf.io.browserFiles([jsonFile, ...weightFiles]);
+        } else {
+            const storedModels = await tf.io.listModels();
+            if (!storedModels[DETECTOR_STORAGE_URL]) {
+                throw new Error('No detector has been saved in this browser yet.');
+            }
+        }
+
+        const loadedModel = await tf.loadLayersModel(handler);
+        let restored;
+        try {
+            restored = restoreDetector(loadedModel);
+            // The detector replaces the vocabulary and model of Steps 3-7 (the loaded data stays); its saved decision
+            // rule cannot be re-tuned without evaluating it again, and it is not one of the recorded runs
+            await invalidateStepsAfter(2);
+        } catch (error) {
+            loadedModel.dispose();
+            throw error;
+        }
+        const { metadata } = restored;
+        applyDetectorMetadata(restored.detector, metadata);
+        model = loadedModel;
+        feedbackState.predictions = []; // Verdicts were given in the classes of the previous detector
+        renderFeedbackSet();
+
+        displayOutput('detectorLoadStatus', `✅ Detector loaded (saved ${escapeHtml(metadata.savedAt)}).`);
+        enablePredictionStep();
+        saveSession();
+    } catch (error) {
+        displayOutput('detectorLoadStatus', `❌ Loading failed: ${escapeHtml(error.message)}`);
+    }
+}
+
+
+// --- SESSION RESUME ---
+
+// After every completed step the page state (mapping, vocabulary, settings, evaluation and feedback) is written to
+// IndexedDB, so a reloaded page can pick up where it left off. The dataset files and the trained weights are kept in
+// records of their own that are only written when they change. Rows and tensors are not stored: resuming parses the
+// files again, rebuilds the rows as Step 2 made them (see datasetRebuild) and the tensors from those rows.
+const SESSION_DB_NAME = 'ai-text-detector-session';
+const SESSION_STORE_NAME = 'session';
+const SESSION_RECORD_ID = 'current';
+const SESSION_FILES_ID = 'files';
+const SESSION_MODEL_ID = 'model';
+const SESSION_FORMAT_VERSION = 2;
+
+let sessionSaveChain = Promise.resolve();
+let sessionSaveQueued = false;
+// The files and model held by the stored session ({ files, model }), or null when unknown and written on the next save
+let sessionStoredParts = null;
 
-    // 1. Preprocess the user's text (Tokenize, map to index, pad)
-    const tokens = simpleTokenizer(inputText);
-    let sequence = tokens.map(word => wordIndex[word] || 1); // Use 1 for OOV
+/** Runs requests against the session store in one transaction (see withObjectStore). */
+function withSessionStore(mode, makeRequests) {
+    return withObjectStore(SESSION_DB_NAME, SESSION_STORE_NAME, mode, makeRequests);
+}
+
+/** Snapshot of the page state for the session record, without the dataset files and the model (see saveSession). */
+function buildSessionRecord() {
+    const corrections = [];
+    DATASET_SPLITS.forEach(split => (normalizedData[split] || []).forEach((row, index) => {
+        if (labelCorrections.has(row)) corrections.push({ split, index, label: row.label, source: row.source, original: labelCorrections.get(row) });
+    }));
+    return {
+        id: SESSION_RECORD_ID,
+        formatVersion: SESSION_FORMAT_VERSION,
+        savedAt: new Date().toISOString(),
+        stepStatus: { ...stepStatus },
+        datasetMapping,
+        datasetRebuild,
+        corrections,
+        sourceClasses,
+        vocabularySettings,
+        tokenizerSettings: tokenizer ? tokenizer.settings : null,
+        wordIndex,
+        vocabSize: VOCAB_SIZE,
+        sequenceLength: MAX_SEQUENCE_LENGTH,
+        embeddingDim: EMBEDDING_DIM,
+        trainingWindowStride,
+        stylometricConfig,
+        datasetFingerprints,
+        modelConfig,
+        detectorMetrics,
+        decisionRule,
+        evaluationPredictions,
+        currentExperimentId,
+        feedbackPredictions: feedbackState.predictions
+    };
+}
 
-    if (sequence.length > MAX_SEQUENCE_LENGTH) {
-        sequence = sequence.slice(0, MAX_SEQUENCE_LENGTH);
+/**
+ * Saves the session once the save in progress (if any) has finished; requests made meanwhile share one save. The
+ * dataset files and the model weights are written along with the record only when they changed since the last save.
+ */
+function saveSession() {
+    if (!sessionSaveQueued) {
+        sessionSaveQueued = true;
+        sessionSaveChain = sessionSaveChain.then(async () => {
+            sessionSaveQueued = false;
+            try {
+                const files = { ...loadedFiles };
+                const savedModel = model;
+                const filesChanged = !sessionStoredParts || DATASET_SPLITS.some(key => files[key] !== sessionStoredParts.files[key]);
+                const modelChanged = !sessionStoredParts || savedModel !== sessionStoredParts.model;
+                const artifacts = savedModel && modelChanged ? await exportModelArtifacts(savedModel) : null;
+                const record = buildSessionRecord();
+                await withSessionStore('readwrite', store => {
+                    if (filesChanged) store.put({ id: SESSION_FILES_ID, files });
+                    if (modelChanged) {
+                        if (artifacts) store.put({ id: SESSION_MODEL_ID, artifacts });
+                        else store.delete(SESSION_MODEL_ID);
+                    }
+                    return store.put(record);
+                });
+                sessionStoredParts = { files, model: savedModel };
+                displayOutput('sessionStatus', `Session saved at ${new Date(record.savedAt).toLocaleTimeString()}. Reloading the page offers to resume it.`);
+                // The session offered at page load has just been replaced
+                document.getElementById('sessionResumeBanner').classList.add('hidden');
+            } catch (error) {
+                displayOutput('sessionStatus', `⚠️ The session could not be saved: ${escapeHtml(error.message)}`);
+            }
+        });
     }
-    while (sequence.length < MAX_SEQUENCE_LENGTH) {
-        sequence.push(0); 
+    return sessionSaveChain;
+}
+
+/** Reads the saved session record, or null when there is none (or IndexedDB is not available). */
+async function readSavedSession() {
+    try {
+        const record = await withSessionStore('readonly', store => store.get(SESSION_RECORD_ID));
+        return record && record.formatVersion === SESSION_FORMAT_VERSION ? record : null;
+    } catch (error) {
+        return null;
     }
+}
 
-    // 2. Convert to Tensor (shape [1, MAX_SEQUENCE_LENGTH])
-    const inputTensor = tf.tensor2d([sequence], [1, MAX_SEQUENCE_LENGTH], 'int32');
+/** Reads the dataset files and model artifacts saved with the session ({ files, modelArtifacts }, null when absent). */
+async function readSavedSessionParts() {
+    const entries = await withSessionStore('readonly', store => store.getAll());
+    const byId = Object.fromEntries(entries.map(entry => [entry.id, entry]));
+    return {
+        files: byId[SESSION_FILES_ID] ? byId[SESSION_FILES_ID].files : null,
+        modelArtifacts: byId[SESSION_MODEL_ID] ? byId[SESSION_MODEL_ID].artifacts : null
+    };
+}
 
-    // 3. Generate prediction
-    const predictionTensor = model.predict(inputTensor);
-    // Await the data() call to get the probability value
-    const probabilityArray = await predictionTensor.data();
-    const probability = probabilityArray[0]; // Probability of class 1 (Human)
+/** Offers to resume the saved session, if there is one, when the page opens. */
+async function offerSessionResume() {
+    const record = await readSavedSession();
+    if (!record) return;
+    const done = PIPELINE_STEPS.filter(({ step }) => record.stepStatus[step] === 'done').map(({ step }) => step);
+    displayOutput('sessionResumeMessage',
+        `A session saved on ${new Date(record.savedAt).toLocaleString()} was found (steps done: ${done.join(', ') || 'none'}). Resume it, or discard it and start over?`);
+    document.getElementById('sessionResumeBanner').classList.remove('hidden');
+}
 
-    // 4. Format and display results
-    const humanProbability = (probability * 100).toFixed(2);
-    const aiProbability = ((1 - probability) * 100).toFixed(2);
-    
-    let resultMessage = `Prediction Complete: <br>`;
-    
-    if (probability > 0.5) {
-        resultMessage += `<strong class="text-green-800">The model predicts this is LIKELY HUMAN-WRITTEN.</strong><br>`;
-    } else {
-        resultMessage += `<strong class="text-red-800">The model predicts this is LIKELY AI-GENERATED.</strong><br>`;
+/** Deletes the saved session. */
+async function discardSession() {
+    document.getElementById('sessionResumeBanner').classList.add('hidden');
+    try {
+        await sessionSaveChain; // A save still in progress would bring the session back
+        await withSessionStore('readwrite', store => store.clear());
+        sessionStoredParts = null;
+        displayOutput('sessionStatus', 'The saved session was discarded.');
+    } catch (error) {
+        displayOutput('sessionStatus', `❌ Discarding the session failed: ${escapeHtml(error.message)}`);
     }
-    
-    resultMessage += `<br>`;
-    resultMessage += `Human-Written Probability: **${humanProbability}%** <br>`;
-    resultMessage += `AI-Generated Probability: **${aiProbability}%**`;
+}
 
-    displayOutput('predictionOutput', resultMessage);
+/**
+ * Restores the saved session: the page state first, then step by step the pipeline session (parsed files and rows,
+ * vocabulary, the Step 4 tensors and the model) and the results shown. A step that cannot be rebuilt, e.g. an
+ * untrained model that needs the imported word vectors again, is left to run again along with the steps after it.
+ */
+async function resumeSession() {
+    document.getElementById('sessionResumeBanner').classList.add('hidden');
+    const record = await readSavedSession();
+    if (!record) return;
+    updateGeneralStatus('Resuming the saved session...', 'bg-yellow-100', 'text-yellow-800', false);
+    let parts;
+    try {
+        parts = await readSavedSessionParts();
+    } catch (error) {
+        updateGeneralStatus(`❌ The saved session could not be read: ${escapeHtml(error.message)}`, 'bg-red-100', 'text-red-800', true);
+        return;
+    }
+    if (!(await beginStep(1))) return;
+
+    datasetMapping = record.datasetMapping;
+    sourceClasses = record.sourceClasses;
+    vocabularySettings = record.vocabularySettings;
+    tokenizer = record.tokenizerSettings ? createTokenizer(record.tokenizerSettings) : null;
+    wordIndex = record.wordIndex;
+    VOCAB_SIZE = record.vocabSize;
+    MAX_SEQUENCE_LENGTH = record.sequenceLength;
+    EMBEDDING_DIM = record.embeddingDim;
+    trainingWindowStride = record.trainingWindowStride;
+    stylometricConfig = record.stylometricConfig;
+    datasetFingerprints = record.datasetFingerprints;
+    modelConfig = record.modelConfig;
+    detectorMetrics = record.detectorMetrics;
+    decisionRule = record.decisionRule;
+    currentExperimentId = record.currentExperimentId;
+    feedbackState.predictions = record.feedbackPredictions;
+    document.getElementById('maxSeqLenInput').value = MAX_SEQUENCE_LENGTH;
+    showDecisionSettings(decisionRule);
+
+    const steps = {
+        1: async () => {
+            if (!parts.files || !parts.files.training) throw new Error('the dataset files were not saved with the session');
+            Object.assign(loadedFiles, parts.files);
+            for (const key of DATASET_SPLITS) {
+                rawParsedData[key] = loadedFiles[key] ? await parseTabularFile(loadedFiles[key]) : null;
+            }
+            fileMappings.forEach(({ key, statusId }) => {
+                if (loadedFiles[key]) updateFileStatus(statusId, `✅ Restored: ${loadedFiles[key].name}`, 'success');
+            });
+            document.getElementById('labelModeSelect').value = datasetMapping.mode;
+            renderColumnMapping();
+            renderLabelMapping();
+        },
+        2: async () => {
+            // The rows as Step 2 left them: mapped and split again, without the rows cleanup removed, with the corrections
+            normalizeParsedData(record.datasetRebuild.splitSettings);
+            DATASET_SPLITS.forEach(key => {
+                const rows = record.datasetRebuild.keptRows[key].map(index => normalizedData[key][index]);
+                if (rows.includes(undefined)) throw new Error('the saved dataset files no longer match the session');
+                normalizedData[key] = rows;
+            });
+            datasetRebuild = record.datasetRebuild;
+            record.corrections.forEach(({ split, index, label, source, original }) => {
+                const row = normalizedData[split][index];
+                row.label = label;
+                if (source !== undefined) row.source = source;
+                labelCorrections.set(row, original);
+            });
+            const rowCounts = DATASET_SPLITS.map(key => `${key}: ${normalizedData[key].length}`).join(', ');
+            displayOutput('inspectionMessage', `Restored the inspected rows from the saved session. Rows per set: ${rowCounts}.`);
+            runDataQualityReport();
+            renderStylometricReport();
+            document.getElementById('continueToPreprocessBtn').disabled = false;
+        },
+        3: async () => {
+            const result = await pipeline.run('restore', {
+                rows: { training: normalizedData.training, testing: normalizedData.testing, validation: normalizedData.validation },
+                tokenizerSettings: tokenizer.settings,
+                wordIndex,
+                vocabSize: VOCAB_SIZE,
+                sources: sourceClasses
+            });
+            displayOutput('preprocessOutput', `✅ Vocabulary restored: ${TOKENIZER_TYPES[tokenizer.settings.type]} tokenizer, **${VOCAB_SIZE}** tokens (including PAD/OOV).`);
+            renderVocabularyInspector(result.counts, result.oovRates);
+            document.getElementById('importEmbeddingsBtn').disabled = document.getElementById('embeddingVectorsFile').files.length === 0;
+            updateSearchButtons();
+        },
+        4: async () => {
+            const featureKeys = stylometricConfig ? stylometricConfig.features : null;
+            const { stylometric, shapes } = await pipeline.run('embed', { sequenceLength: MAX_SEQUENCE_LENGTH, windowStride: trainingWindowStride, featureKeys });
+            stylometricConfig = stylometric;
+            embeddedSplits = shapes;
+            displayOutput('embeddingOutput', '');
+            renderSequenceShapes(shapes);
+            displayOutput('embeddingOutput', '✅ Sequences rebuilt from the saved session.', true);
+            updateModelPreview();
+        },
+        5: async () => {
+            // A trained model comes back with its weights in Step 6; an untrained one is simply built again
+            if (record.stepStatus[6] !== 'done') await pipeline.run('createModel', { config: modelConfig });
+            displayOutput('modelSummary', `✅ Restored a ${MODEL_ARCHITECTURES[modelConfig.architecture]} model from the saved session.`);
+        },
+        6: async () => {
+            if (!parts.modelArtifacts) throw new Error('the trained model was not saved with the session');
+            model = await tf.loadLayersModel(tf.io.fromMemory(parts.modelArtifacts));
+            await pipeline.run('loadModel', { artifacts: parts.modelArtifacts, config: modelConfig, wordIndex, vocabSize: VOCAB_SIZE });
+            const { epochs, finalLoss, finalValAccuracy } = detectorMetrics.training;
+            displayOutput('trainingOutput', `✅ Restored the model trained for ${epochs} epochs (Training Loss: ${finalLoss.toFixed(4)}, Validation Accuracy: ${finalValAccuracy.toFixed(4)}).`);
+            document.getElementById('trainBaselinesBtn').disabled = false;
+        },
+        7: async () => {
+            evaluationPredictions = record.evaluationPredictions;
+            const { labels } = evaluationPredictions.testing;
+            displayOutput('evaluationOutput', `✅ Evaluation restored from the saved session. <br><strong>Test Samples:</strong> ${labels.length}`);
+            renderSourceAttributionReport(evaluationPredictions.testing);
+            renderBaselineComparison();
+            document.getElementById('applyThresholdBtn').disabled = false;
+            document.getElementById('runRobustnessBtn').disabled = false;
+            // The saved rule as it was, without tuning it again on the current settings
+            renderDecisionRule();
+        }
+    };
+
+    let failure = null;
+    for (const step of Object.keys(steps).map(Number)) {
+        if (record.stepStatus[step] !== 'done') break;
+        try {
+            await steps[step]();
+        } catch (error) {
+            failure = { step, error };
+            break;
+        }
+        stepStatus[step] = 'done';
+        if (stepStatus[step + 1] === 'locked') stepStatus[step + 1] = 'ready';
+        document.getElementById(PIPELINE_STEPS[step - 1].runButton).disabled = false;
+        document.getElementById(PIPELINE_STEPS[step].runButton).disabled = false;
+    }
 
-    // Clean up
-    inputTensor.dispose();
-    predictionTensor.dispose();
-    document.getElementById('predictBtn').disabled = false;
+    try {
+        if (failure) {
+            // The step that failed and the ones built on it give up their saved state
+            await invalidateStepsAfter(failure.step - 1);
+        } else if (parts.modelArtifacts && record.stepStatus[6] !== 'done') {
+            // A detector loaded in Step 1 opens Step 8 without Steps 3-7
+            model = await tf.loadLayersModel(tf.io.fromMemory(parts.modelArtifacts));
+        }
+    } catch (error) {
+        failure = failure || { step: 8, error };
+    }
+    if (model && record.stepStatus[8] !== 'locked') {
+        enablePredictionStep();
+        if (record.stepStatus[8] === 'done') stepStatus[8] = 'done';
+    }
+    renderFeedbackSet();
+    renderPipelineProgress();
+    // What was restored is what the store holds; after a failure the next save writes everything again
+    sessionStoredParts = failure ? null : { files: { ...loadedFiles }, model };
+
+    const restoredSteps = PIPELINE_STEPS.filter(({ step }) => stepStatus[step] === 'done').map(({ step }) => step);
+    if (failure) {
+        updateGeneralStatus(`⚠️ Restored steps ${restoredSteps.join(', ') || 'none'}. Step ${failure.step} could not be rebuilt (${escapeHtml(failure.error.message)}), so please run it again.`,
+            'bg-red-100', 'text-red-800', true);
+    } else {
+        updateGeneralStatus(`✅ Session restored (steps done: ${restoredSteps.join(', ') || 'none'}).`, 'bg-green-100', 'text-green-800', true);
+    }
 }
 
 
@@ -593,25 +3925,87 @@ document.addEventListener('DOMContentLoaded', () => {
         const inputElement = document.getElementById(mapping.id);
         if (inputElement) {
             inputElement.addEventListener('change', handleFileChange);
-            updateFileStatus(mapping.statusId, `Awaiting file "${mapping.expectedName}"...`, 'info');
+            updateFileStatus(mapping.statusId, mapping.awaitingMessage, 'info');
         }
     });
 
     // 2. Attach click handlers
     document.getElementById('processBtn').addEventListener('click', loadData);
     document.getElementById('inspectBtn').addEventListener('click', inspectData);
+    document.getElementById('columnMappingOutput').addEventListener('change', handleDatasetMappingChange);
+    document.getElementById('labelMappingOutput').addEventListener('change', handleDatasetMappingChange);
+    document.getElementById('labelModeSelect').addEventListener('change', handleLabelModeChange);
+    document.getElementById('includeNearDuplicatesCheckbox').addEventListener('change', updateDataQualityControls);
+    document.getElementById('dedupeBtn').addEventListener('click', () => cleanDataset('dedupe'));
+    document.getElementById('removeLeaksBtn').addEventListener('click', () => cleanDataset('leaks'));
+    document.getElementById('continueToPreprocessBtn').addEventListener('click', () => scrollToStep(3));
+    document.getElementById('stylometricChartSelect').addEventListener('change', renderStylometricChart);
+    document.getElementById('useStylometricCheckbox').addEventListener('change', updateStylometricOptionVisibility);
     document.getElementById('preprocessBtn').addEventListener('click', preprocessData);
     document.getElementById('embeddingBtn').addEventListener('click', createEmbeddings);
+    document.getElementById('runSearchBtn').addEventListener('click', runHyperparameterSearch);
+    document.getElementById('cancelSearchBtn').addEventListener('click', cancelSearch);
+    document.getElementById('promoteBestBtn').addEventListener('click', promoteBestSearchRun);
+    document.getElementById('searchLeaderboardOutput').addEventListener('click', (event) => {
+        const button = event.target.closest('[data-search-run]');
+        if (button) promoteSearchRun(Number(button.dataset.searchRun));
+    });
     document.getElementById('createModelBtn').addEventListener('click', createModel);
     document.getElementById('trainModelBtn').addEventListener('click', trainModel);
+    document.getElementById('pauseTrainingBtn').addEventListener('click', togglePauseTraining);
+    document.getElementById('cancelTrainingBtn').addEventListener('click', cancelTraining);
     document.getElementById('evaluateBtn').addEventListener('click', evaluateModel);
+    document.getElementById('applyThresholdBtn').addEventListener('click', applyDecisionThreshold);
+    document.getElementById('runRobustnessBtn').addEventListener('click', runRobustnessSuite);
+    ['errorSplitFilter', 'errorKindFilter', 'errorLabelFilter', 'errorConfidenceFilter', 'errorLengthFilter']
+        .forEach(id => document.getElementById(id).addEventListener('change', renderErrorAnalysis));
+    document.getElementById('errorAnalysisOutput').addEventListener('change', handleErrorRelabel);
+    document.getElementById('trainBaselinesBtn').addEventListener('click', trainBaselines);
     document.getElementById('predictBtn').addEventListener('click', makePrediction);
+    document.getElementById('tokenizerType').addEventListener('change', updateTokenizerOptionVisibility);
+    document.getElementById('stopwordList').addEventListener('change', updateTokenizerOptionVisibility);
+    ['architectureSelect', 'embeddingDimInput', 'unitsInput', 'numHeadsInput', 'dropoutInput', 'l2Input', 'optimizerSelect', 'learningRateInput']
+        .forEach(id => document.getElementById(id).addEventListener('input', updateModelPreview));
+    document.getElementById('trainEmbeddingsCheckbox').addEventListener('change', updateModelPreview);
+    document.getElementById('embeddingVectorsFile').addEventListener('change', (event) => {
+        document.getElementById('importEmbeddingsBtn').disabled = event.target.files.length === 0 || VOCAB_SIZE === 0;
+    });
+    document.getElementById('importEmbeddingsBtn').addEventListener('click', importPretrainedEmbeddings);
+    document.getElementById('clearEmbeddingsBtn').addEventListener('click', clearPretrainedEmbeddings);
+    document.getElementById('addFeedbackBtn').addEventListener('click', addPredictionToFeedback);
+    document.getElementById('feedbackSetOutput').addEventListener('click', handleFeedbackSetClick);
+    document.getElementById('fineTuneBtn').addEventListener('click', fineTuneOnFeedback);
+    document.getElementById('exportCorrectedCsvBtn').addEventListener('click', exportCorrectedDataset);
+    document.getElementById('clearFeedbackBtn').addEventListener('click', clearFeedbackPredictions);
+    document.getElementById('explainBtn').addEventListener('click', explainPrediction);
+    document.getElementById('batchFiles').addEventListener('change', handleBatchFileChange);
+    document.getElementById('batchPredictBtn').addEventListener('click', predictBatch);
+    document.getElementById('batchResultsOutput').addEventListener('click', handleBatchSortClick);
+    document.getElementById('exportBatchCsvBtn').addEventListener('click', () => exportBatchResults('csv'));
+    document.getElementById('exportBatchJsonBtn').addEventListener('click', () => exportBatchResults('json'));
+    document.getElementById('saveDetectorBtn').addEventListener('click', () => saveDetector('browser'));
+    document.getElementById('downloadDetectorBtn').addEventListener('click', () => saveDetector('download'));
+    document.getElementById('loadStoredDetectorBtn').addEventListener('click', () => loadDetector('browser'));
+    document.getElementById('loadDetectorFilesBtn').addEventListener('click', () => loadDetector('files'));
+    document.getElementById('detectorFiles').addEventListener('change', (event) => {
+        document.getElementById('loadDetectorFilesBtn').disabled = event.target.files.length === 0;
+    });
+    document.getElementById('experimentListOutput').addEventListener('change', handleExperimentListEvent);
+    document.getElementById('experimentListOutput').addEventListener('click', handleExperimentListEvent);
+    document.getElementById('compareExperimentsBtn').addEventListener('click', compareExperiments);
+    document.getElementById('experimentMetricSelect').addEventListener('change', compareExperiments);
+    document.getElementById('exportExperimentsBtn').addEventListener('click', exportExperiments);
+    document.getElementById('clearExperimentsBtn').addEventListener('click', clearExperiments);
+    document.getElementById('experimentImportFile').addEventListener('change', importExperiments);
+    document.getElementById('pipelineProgressSteps').addEventListener('click', handleProgressClick);
+    document.getElementById('resumeSessionBtn').addEventListener('click', resumeSession);
+    document.getElementById('discardSessionBtn').addEventListener('click', discardSession);
     
-    // 3. Set initial state for all subsequent steps (2 through 8)
-    // The HTML is structured to hide these by default, but this ensures JS state consistency
-    for (let i = 2; i <= 8; i++) {
-        const step = document.getElementById(`step-${i}`);
-        if (step) step.style.display = 'none';
-    }
-    showStep('step-1');
+    // 3. Open Step 1 (the later steps open as the ones before them are done) and offer to resume a saved session
+    captureStepPlaceholders();
+    updateTokenizerOptionVisibility();
+    updateStylometricOptionVisibility();
+    renderPipelineProgress();
+    refreshExperimentHistory();
+    offerSessionResume();
 });
@@ -0,0 +1,581 @@
+#!/usr/bin/env node
+/**
+ * AI Text Detection Command Line
+ *
+ * Trains, evaluates and applies detectors without the page, using the same pipeline core (pipeline.js), the same
+ * dataset files (CSV, TSV, JSON, JSONL) and the same bundle files as index.html: a trained `<name>.json` plus
+ * `<name>.weights.bin` can be loaded with "Load from files" in Step 8, and bundles downloaded there work here.
+ * Uses @tensorflow/tfjs-node when it is installed, otherwise the plain CPU backend of @tensorflow/tfjs.
+ *
+ * Install the dependencies once with `npm install` in this directory; npm skips the optional @tensorflow/tfjs-node
+ * when its native build is not available for the platform. `npm run cli -- <command> ...` then runs the commands below,
+ * and `npm link` puts them on the PATH as `ai-text-detector <command> ...`.
+ *
+ *   node cli.js train --train train.csv [--validation val.csv] [--test test.csv] [--out ai-text-detector] [options]
+ *   node cli.js eval --model ai-text-detector.json --data test.csv [--json]
+ *   node cli.js predict --model ai-text-detector.json (--text "..." | --input texts.csv) [--output predictions.csv]
+ *
+ * With `--sources` the label column names the source of each text (human, gpt, claude, ...) and the detector learns
+ * to attribute texts to those sources; its AI/Human verdict is the summed probability of the human sources.
+ *
+ * Run `node cli.js help` for every option.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+try {
+    require('@tensorflow/tfjs-node'); // Registers the native backend when available
+} catch (error) {
+    // Fall back to the pure JavaScript CPU backend
+}
+const tf = require('@tensorflow/tfjs');
+const Papa = require('papaparse');
+const {
+    DATASET_SPLITS, CLASS_NAMES, TOKENIZER_TYPES, DEFAULT_TOKENIZER_SETTINGS, TOKENIZER_STOPWORD_MODES, ENGLISH_STOPWORDS, STYLOMETRIC_FEATURES,
+    DEFAULT_SPLIT_SETTINGS, MODEL_ARCHITECTURES, DEFAULT_MODEL_CONFIG, DEFAULT_TRAINING_SETTINGS, LR_SCHEDULES,
+    getDatasetFileFormat, parseJsonRows, parseJsonlRows, getDatasetColumns, guessDatasetColumns, normalizeDatasetRows,
+    normalizeLabelValue, defaultSourceNames, createSourceClasses, computeSourceMetrics, rankSources,
+    stratifiedSplit, computeBinaryMetrics, PERTURBATIONS, DEFAULT_ROBUSTNESS_SETTINGS, evaluateRobustness, THRESHOLD_METHODS, DEFAULT_DECISION_RULE, createDecisionRule, computeDecisionMetrics,
+    classifyProbability, scoreDocuments, createDetectorMetadata,
+    createDetectorBundleFiles, loadDetectorBundle, restoreDetector, createPipelineSession,
+    summarizeTrainingRun, summarizeEvaluation
+} = require('./pipeline.js');
+
+const DEFAULT_BUNDLE_NAME = 'ai-text-detector';
+
+const COMMAND_OPTIONS = {
+    train: {
+        train: { type: 'string', description: 'Training file (required)' },
+        validation: { type: 'string', description: 'Validation file (default: split from the training file)' },
+        test: { type: 'string', description: 'Test file (default: split from the training file)' },
+        'text-column': { type: 'string', description: 'Text column (default: "text" or the first column)' },
+        'label-column': { type: 'string', description: 'Label column (default: "label" or the second column)' },
+        sources: { type: 'boolean', description: 'Source attribution: every label value of the training file is a source class' },
+        'human-sources': { type: 'string', description: 'Comma list of the sources that count as human (default: human aliases such as "human")' },
+        'validation-split': { type: 'string', description: `Validation percentage when split off (default ${DEFAULT_SPLIT_SETTINGS.validation * 100})` },
+        'test-split': { type: 'string', description: `Test percentage when split off (default ${DEFAULT_SPLIT_SETTINGS.testing * 100})` },
+        seed: { type: 'string', description: `Split seed (default ${DEFAULT_SPLIT_SETTINGS.seed})` },
+        tokenizer: { type: 'string', description: `${Object.keys(TOKENIZER_TYPES).join(' | ')} (default ${DEFAULT_TOKENIZER_SETTINGS.type})` },
+        'case-sensitive': { type: 'boolean', description: 'Do not lowercase the text' },
+        normalize: { type: 'boolean', description: 'Normalize Unicode before tokenizing (NFKC, zero-width characters, Cyrillic/Greek lookalikes)' },
+        'ngram-size': { type: 'string', description: `Character n-gram size (default ${DEFAULT_TOKENIZER_SETTINGS.ngramSize})` },
+        merges: { type: 'string', description: `Subword merges to learn (default ${DEFAULT_TOKENIZER_SETTINGS.numMerges})` },
+        'min-count': { type: 'string', description: 'Minimum token count for the vocabulary (default 1)' },
+        'max-vocab': { type: 'string', description: 'Maximum vocabulary size, 0 = unlimited (default 0)' },
+        stopwords: { type: 'string', description: 'English stopwords: keep | remove | oov (default keep); oov needs simple, word or wordBigram, remove any but charNgram' },
+        'sequence-length': { type: 'string', description: 'Padded sequence length (default 50)' },
+        'window-stride': { type: 'string', description: 'Train on overlapping windows with this stride (0 = half the length)' },
+        stylometric: { type: 'string', description: `Stylometric features: all or a comma list of ${Object.keys(STYLOMETRIC_FEATURES).join(', ')}` },
+        architecture: { type: 'string', description: `${Object.keys(MODEL_ARCHITECTURES).join(' | ')} (default ${DEFAULT_MODEL_CONFIG.architecture})` },
+        'embedding-dim': { type: 'string', description: `Embedding size (default ${DEFAULT_MODEL_CONFIG.embeddingDim})` },
+        embeddings: { type: 'string', description: 'Pretrained word vectors in GloVe / word2vec / fastText text format; sets the embedding size' },
+        'freeze-embeddings': { type: 'boolean', description: 'Keep the pretrained word vectors fixed during training' },
+        units: { type: 'string', description: `Units / filters (default ${DEFAULT_MODEL_CONFIG.units})` },
+        heads: { type: 'string', description: `Transformer attention heads (default ${DEFAULT_MODEL_CONFIG.numHeads})` },
+        dropout: { type: 'string', description: `Dropout rate (default ${DEFAULT_MODEL_CONFIG.dropout})` },
+        l2: { type: 'string', description: `L2 regularization (default ${DEFAULT_MODEL_CONFIG.l2})` },
+        optimizer: { type: 'string', description: `Optimizer (default ${DEFAULT_MODEL_CONFIG.optimizer})` },
+        'learning-rate': { type: 'string', description: `Learning rate (default ${DEFAULT_MODEL_CONFIG.learningRate})` },
+        epochs: { type: 'string', description: `Epochs (default ${DEFAULT_TRAINING_SETTINGS.epochs})` },
+        'batch-size': { type: 'string', description: `Batch size (default ${DEFAULT_TRAINING_SETTINGS.batchSize})` },
+        'early-stopping': { type: 'boolean', description: 'Stop when val_loss stops improving' },
+        patience: { type: 'string', description: `Early stopping patience (default ${DEFAULT_TRAINING_SETTINGS.patience})` },
+        'keep-last-weights': { type: 'boolean', description: 'Keep the last epoch instead of restoring the best weights' },
+        'lr-schedule': { type: 'string', description: `${Object.keys(LR_SCHEDULES).join(' | ')} (default ${DEFAULT_TRAINING_SETTINGS.lrSchedule})` },
+        'lr-decay': { type: 'string', description: `Learning-rate decay factor (default ${DEFAULT_TRAINING_SETTINGS.lrDecayFactor})` },
+        'lr-step-epochs': { type: 'string', description: `Epochs per decay step / plateau wait (default ${DEFAULT_TRAINING_SETTINGS.lrStepEpochs})` },
+        'class-weights': { type: 'boolean', description: 'Weight the loss by inverse class frequency' },
+        'threshold-method': { type: 'string', description: `Decision threshold tuned on the validation set: ${Object.keys(THRESHOLD_METHODS).join(' | ')} (default ${DEFAULT_DECISION_RULE.method})` },
+        'target-fpr': { type: 'string', description: 'Highest false-positive rate (%) of human texts flagged as AI, for --threshold-method targetFpr' },
+        threshold: { type: 'string', description: 'Threshold on P(Human) for --threshold-method manual' },
+        'uncertain-margin': { type: 'string', description: 'Answer Uncertain when P(Human) is this close to the threshold (default 0)' },
+        out: { type: 'string', description: `Bundle path without extension (default ${DEFAULT_BUNDLE_NAME})` }
+    },
+    eval: {
+        model: { type: 'string', description: 'Bundle model JSON (required)' },
+        data: { type: 'string', description: 'Labelled dataset file (required)' },
+        'text-column': { type: 'string', description: 'Text column (default: "text" or the first column)' },
+        'label-column': { type: 'string', description: 'Label column (default: "label" or the second column)' },
+        robustness: { type: 'boolean', description: 'Also score the data under the perturbations of the robustness suite' },
+        perturbations: { type: 'string', description: `Comma list of ${Object.keys(PERTURBATIONS).join(', ')} (default all)` },
+        strength: { type: 'string', description: `Perturbation strength in percent (default ${DEFAULT_ROBUSTNESS_SETTINGS.strength * 100})` },
+        seed: { type: 'string', description: `Perturbation seed (default ${DEFAULT_ROBUSTNESS_SETTINGS.seed})` },
+        json: { type: 'boolean', description: 'Print the metrics as JSON' }
+    },
+    predict: {
+        model: { type: 'string', description: 'Bundle model JSON (required)' },
+        text: { type: 'string', description: 'A single text to score' },
+        input: { type: 'string', description: 'Dataset file with the texts to score' },
+        'text-column': { type: 'string', description: 'Text column of the input file (default: "text" or the first column)' },
+        'long-document': { type: 'boolean', description: 'Score overlapping windows and aggregate them' },
+        stride: { type: 'string', description: 'Window stride (default: half the sequence length)' },
+        aggregation: { type: 'string', description: 'mean | lengthWeighted | maxAi (default mean)' },
+        output: { type: 'string', description: 'Write the predictions to a .csv or .json file instead of stdout' }
+    }
+};
+
+/** Progress and summaries go to stderr so stdout only carries results. */
+function log(message) {
+    process.stderr.write(`${message}\n`);
+}
+
+/** Parses a numeric option, falling back when it is absent; throws for values that are not numbers. */
+function readNumberOption(options, name, fallback, { integer = false, min = -Infinity } = {}) {
+    if (options[name] === undefined) return fallback;
+    const value = Number(options[name]);
+    if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min) {
+        throw new Error(`--${name} must be ${integer ? 'a whole number' : 'a number'}${min > -Infinity ? ` of at least ${min}` : ''}.`);
+    }
+    return value;
+}
+
+/** Reads a CSV, TSV, JSON or JSONL dataset file into row objects, like Step 1 of the page. */
+function readDatasetFile(filePath) {
+    const fileName = path.basename(filePath);
+    const format = getDatasetFileFormat(fileName);
+    if (!format) throw new Error(`${fileName} is not a supported file type.`);
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (format === 'json') return parseJsonRows(content, fileName);
+    if (format === 'jsonl') return parseJsonlRows(content, fileName);
+    return Papa.parse(content, { header: true, delimiter: format === 'tsv' ? '\t' : '', skipEmptyLines: true }).data;
+}
+
+/** Reads a dataset file and picks its text/label columns (the options, else the same guess as Step 2). */
+function readDatasetColumns(filePath, options) {
+    const rawRows = readDatasetFile(filePath);
+    const columns = getDatasetColumns(rawRows);
+    const guessed = guessDatasetColumns(columns);
+    const mapping = { text: options['text-column'] || guessed.text, label: options['label-column'] || guessed.label };
+    ['text', 'label'].forEach(role => {
+        if (!columns.includes(mapping[role])) throw new Error(`${path.basename(filePath)} has no "${mapping[role]}" column.`);
+    });
+    return { filePath, rawRows, mapping };
+}
+
+/**
+ * Source classes with every distinct label value of a dataset as a source. The human sources are the given names,
+ * or the human label aliases found.
+ */
+function discoverSourceClasses({ rawRows, mapping }, humanSources = null) {
+    const values = [...new Set(rawRows.map(row => normalizeLabelValue(row[mapping.label])))].filter(value => value !== '');
+    const defaults = defaultSourceNames(values);
+    const unknown = (humanSources || []).filter(name => !values.includes(name));
+    if (unknown.length > 0) throw new Error(`Unknown human source(s): ${unknown.join(', ')}.`);
+    return createSourceClasses(defaults.sourceNameByValue, humanSources || defaults.humanSources);
+}
+
+/** Source classes of a source-attribution bundle, mapping each label value to the source of the same name. */
+function bundleSourceClasses(sources) {
+    return { sources, labelMap: Object.fromEntries(sources.names.map((name, i) => [name, i])) };
+}
+
+/**
+ * Maps the labels of a dataset read with readDatasetColumns(): with the default aliases, or to source indices with
+ * source classes ({ sources, labelMap }). Rows without text or with an unmapped label are excluded.
+ */
+function labelDatasetRows({ filePath, rawRows, mapping }, sourceClasses = null) {
+    const { rows, invalidRows } = sourceClasses
+        ? normalizeDatasetRows(rawRows, mapping, sourceClasses.labelMap, sourceClasses.sources)
+        : normalizeDatasetRows(rawRows, mapping);
+    if (invalidRows > 0) {
+        log(`⚠️ ${path.basename(filePath)}: ${invalidRows} row(s) without text or with an unrecognized label were excluded.`);
+    }
+    if (rows.length === 0) throw new Error(`${path.basename(filePath)} has no usable rows.`);
+    return rows;
+}
+
+/** Reads a labelled dataset file (see readDatasetColumns and labelDatasetRows). */
+function readLabelledRows(filePath, options, sourceClasses = null) {
+    return labelDatasetRows(readDatasetColumns(filePath, options), sourceClasses);
+}
+
+/** Loads a bundle's model JSON and weight files and returns the validated detector and its metadata. */
+async function readDetectorBundle(modelPath) {
+    const modelJson = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+    const weightPaths = (modelJson.weightsManifest || []).flatMap(group => group.paths)
+        .map(weightPath => path.resolve(path.dirname(modelPath), weightPath));
+    const weightBuffer = Buffer.concat(weightPaths.map(weightPath => fs.readFileSync(weightPath)));
+    const detectorModel = await loadDetectorBundle(modelJson, new Uint8Array(weightBuffer).buffer);
+    try {
+        return restoreDetector(detectorModel);
+    } catch (error) {
+        detectorModel.dispose();
+        throw error;
+    }
+}
+
+/** Formats a confusion matrix and per-class report for the terminal. */
+function formatClassReport(matrix, report, classNames) {
+    const width = Math.max(10, ...classNames.map(name => name.length));
+    return [
+        `Confusion matrix (rows = actual, columns = predicted ${classNames.join(' / ')}):`,
+        ...matrix.map((row, i) => `  ${classNames[i].padEnd(width)} ${row.map(count => String(count).padStart(6)).join(' ')}`),
+        `${'Class'.padEnd(width + 2)}   Precision  Recall     F1   Support`,
+        ...report.map(r => `  ${r.label.padEnd(width)} ${r.precision.toFixed(4).padStart(9)} ${r.recall.toFixed(4).padStart(7)} ${r.f1.toFixed(4).padStart(6)} ${String(r.support).padStart(9)}`)
+    ].join('\n');
+}
+
+/** Formats binary metrics (accuracy, AUCs, confusion matrix, per-class report) for the terminal. */
+function formatMetrics(metrics) {
+    const uncertain = metrics.uncertain > 0 ? ` | Uncertain (not in the matrix): ${metrics.uncertain}` : '';
+    return `Accuracy: ${metrics.accuracy.toFixed(4)} | ROC AUC: ${metrics.roc.auc.toFixed(4)} | PR AUC (AP): ${metrics.pr.auc.toFixed(4)} | Macro F1: ${metrics.macroF1.toFixed(4)}${uncertain}\n` +
+        formatClassReport(metrics.matrix, metrics.report, CLASS_NAMES);
+}
+
+/** Formats source-attribution metrics (see computeSourceMetrics) for the terminal. */
+function formatSourceMetrics(metrics, sourceNames) {
+    return `Source accuracy: ${metrics.accuracy.toFixed(4)} | Top-2 accuracy: ${metrics.topTwoAccuracy.toFixed(4)} | Macro F1: ${metrics.macroF1.toFixed(4)}\n` +
+        formatClassReport(metrics.matrix, metrics.report, sourceNames);
+}
+
+/** Describes a decision rule: how its threshold was chosen, the threshold and the abstain band. */
+function formatDecisionRule(decision) {
+    const target = decision.method === 'targetFpr' ? ` ${(decision.targetFpr * 100).toFixed(1)}%` : '';
+    const band = decision.uncertainMargin > 0 ? `, Uncertain within ±${decision.uncertainMargin}` : '';
+    return `${THRESHOLD_METHODS[decision.method]}${target}, AI when P(Human) <= ${decision.threshold.toFixed(4)}${band}`;
+}
+
+/** Formats the metrics of computeDecisionMetrics on one line. */
+function formatDecisionMetrics(metrics) {
+    return `AI recall ${metrics.tpr.toFixed(4)} | false-positive rate ${metrics.fpr.toFixed(4)} | ` +
+        `precision ${metrics.precision.toFixed(4)} | F1 ${metrics.f1.toFixed(4)} | uncertain ${(metrics.uncertainRate * 100).toFixed(1)}%`;
+}
+
+/** Trains a detector from dataset files (Steps 2-7 of the page) and writes its bundle. */
+async function trainCommand(options) {
+    if (!options.train) throw new Error('--train is required.');
+    const splitSettings = {
+        validation: readNumberOption(options, 'validation-split', DEFAULT_SPLIT_SETTINGS.validation * 100) / 100,
+        testing: readNumberOption(options, 'test-split', DEFAULT_SPLIT_SETTINGS.testing * 100) / 100,
+        seed: readNumberOption(options, 'seed', DEFAULT_SPLIT_SETTINGS.seed, { integer: true })
+    };
+    if (splitSettings.validation <= 0 || splitSettings.testing <= 0 || splitSettings.validation + splitSettings.testing >= 1) {
+        throw new Error('Validation and test percentages must be positive and add up to less than 100.');
+    }
+    const tokenizerSettings = {
+        type: options.tokenizer || DEFAULT_TOKENIZER_SETTINGS.type,
+        lowercase: !options['case-sensitive'],
+        normalize: Boolean(options.normalize),
+        ngramSize: readNumberOption(options, 'ngram-size', DEFAULT_TOKENIZER_SETTINGS.ngramSize, { integer: true, min: 1 }),
+        numMerges: readNumberOption(options, 'merges', DEFAULT_TOKENIZER_SETTINGS.numMerges, { integer: true, min: 1 })
+    };
+    const vocabularySettings = {
+        minCount: readNumberOption(options, 'min-count', 1, { integer: true, min: 1 }),
+        maxSize: readNumberOption(options, 'max-vocab', 0, { integer: true, min: 0 }),
+        stopwordMode: options.stopwords || 'keep',
+        stopwordList: 'english'
+    };
+    if (!['keep', 'remove', 'oov'].includes(vocabularySettings.stopwordMode)) throw new Error('--stopwords must be keep, remove or oov.');
+    if (TOKENIZER_TYPES[tokenizerSettings.type] && !TOKENIZER_STOPWORD_MODES[tokenizerSettings.type].includes(vocabularySettings.stopwordMode)) {
+        throw new Error(`--stopwords ${vocabularySettings.stopwordMode} does not apply to the ${tokenizerSettings.type} tokenizer; use ${TOKENIZER_STOPWORD_MODES[tokenizerSettings.type].join(' or ')}.`);
+    }
+    if (vocabularySettings.stopwordMode === 'remove') tokenizerSettings.stopwords = ENGLISH_STOPWORDS;
+
+    const sequenceLength = readNumberOption(options, 'sequence-length', 50, { integer: true, min: 1 });
+    const windowStride = readNumberOption(options, 'window-stride', null, { integer: true, min: 0 });
+    let featureKeys = null;
+    if (options.stylometric) {
+        featureKeys = options.stylometric === 'all' ? Object.keys(STYLOMETRIC_FEATURES) : options.stylometric.split(',').map(key => key.trim());
+        const unknown = featureKeys.filter(key => !STYLOMETRIC_FEATURES[key]);
+        if (unknown.length > 0) throw new Error(`Unknown stylometric feature(s): ${unknown.join(', ')}.`);
+    }
+    const modelConfig = {
+        architecture: options.architecture || DEFAULT_MODEL_CONFIG.architecture,
+        embeddingDim: readNumberOption(options, 'embedding-dim', DEFAULT_MODEL_CONFIG.embeddingDim, { integer: true }),
+        units: readNumberOption(options, 'units', DEFAULT_MODEL_CONFIG.units, { integer: true }),
+        numHeads: readNumberOption(options, 'heads', DEFAULT_MODEL_CONFIG.numHeads, { integer: true }),
+        dropout: readNumberOption(options, 'dropout', DEFAULT_MODEL_CONFIG.dropout),
+        l2: readNumberOption(options, 'l2', DEFAULT_MODEL_CONFIG.l2),
+        optimizer: options.optimizer || DEFAULT_MODEL_CONFIG.optimizer,
+        learningRate: readNumberOption(options, 'learning-rate', DEFAULT_MODEL_CONFIG.learningRate),
+        pretrainedEmbeddings: options.embeddings ? path.basename(options.embeddings) : null,
+        trainEmbeddings: !options['freeze-embeddings']
+    };
+    if (!options.embeddings && options['freeze-embeddings']) throw new Error('--freeze-embeddings needs --embeddings.');
+    const trainingSettings = {
+        epochs: readNumberOption(options, 'epochs', DEFAULT_TRAINING_SETTINGS.epochs, { integer: true, min: 1 }),
+        batchSize: readNumberOption(options, 'batch-size', DEFAULT_TRAINING_SETTINGS.batchSize, { integer: true, min: 1 }),
+        earlyStopping: Boolean(options['early-stopping']),
+        patience: readNumberOption(options, 'patience', DEFAULT_TRAINING_SETTINGS.patience, { integer: true, min: 1 }),
+        restoreBestWeights: !options['keep-last-weights'],
+        lrSchedule: options['lr-schedule'] || DEFAULT_TRAINING_SETTINGS.lrSchedule,
+        lrDecayFactor: readNumberOption(options, 'lr-decay', DEFAULT_TRAINING_SETTINGS.lrDecayFactor),
+        lrStepEpochs: readNumberOption(options, 'lr-step-epochs', DEFAULT_TRAINING_SETTINGS.lrStepEpochs, { integer: true, min: 1 }),
+        useClassWeights: Boolean(options['class-weights'])
+    };
+    if (!LR_SCHEDULES[trainingSettings.lrSchedule]) throw new Error(`Unknown learning-rate schedule "${trainingSettings.lrSchedule}".`);
+    const decisionSettings = {
+        method: options['threshold-method'] || DEFAULT_DECISION_RULE.method,
+        targetFpr: readNumberOption(options, 'target-fpr', null, { min: 0 }),
+        threshold: readNumberOption(options, 'threshold', null),
+        uncertainMargin: readNumberOption(options, 'uncertain-margin', 0, { min: 0 })
+    };
+    if (!THRESHOLD_METHODS[decisionSettings.method]) throw new Error(`Unknown threshold method "${decisionSettings.method}".`);
+    if (decisionSettings.method === 'targetFpr') {
+        if (decisionSettings.targetFpr === null) throw new Error('--target-fpr is required for --threshold-method targetFpr.');
+        decisionSettings.targetFpr /= 100;
+    }
+    if (decisionSettings.method === 'manual' && decisionSettings.threshold === null) throw new Error('--threshold is required for --threshold-method manual.');
+    createDecisionRule([0, 1], [0, 1], decisionSettings); // checks the ranges now rather than after training
+
+    // 1. Read the files and split off the sets that were not given, as in Step 2
+    // Source attribution learns the sources of the training file; other values in the other files are excluded
+    const trainingFile = readDatasetColumns(options.train, options);
+    const humanSources = options['human-sources'] ? options['human-sources'].split(',').map(name => normalizeLabelValue(name)) : null;
+    const sourceClasses = options.sources ? discoverSourceClasses(trainingFile, humanSources) : null;
+    const sources = sourceClasses && sourceClasses.sources;
+    if (sources) log(`Sources: ${sources.names.map((name, i) => (sources.human.includes(i) ? `${name} (human)` : name)).join(', ')}`);
+    const rows = { training: labelDatasetRows(trainingFile, sourceClasses), validation: null, testing: null };
+    if (options.validation) rows.validation = readLabelledRows(options.validation, options, sourceClasses);
+    if (options.test) rows.testing = readLabelledRows(options.test, options, sourceClasses);
+    const splitKeys = DATASET_SPLITS.filter(key => !rows[key]);
+    if (splitKeys.length > 0) {
+        const fractions = Object.fromEntries(splitKeys.map(key => [key, splitSettings[key]]));
+        Object.assign(rows, stratifiedSplit(rows.training, fractions, splitSettings.seed));
+    }
+    log(`Rows: ${DATASET_SPLITS.map(key => `${key} ${rows[key].length}${splitKeys.includes(key) ? ' (split from training)' : ''}`).join(', ')}`);
+
+    // 2. Run the pipeline stages; Ctrl+C stops training after the current batch and still saves the model
+    const session = createPipelineSession();
+    const preprocessed = await session.run('preprocess', {
+        rows,
+        tokenizerSettings,
+        vocabularySettings,
+        excludedTokens: vocabularySettings.stopwordMode === 'oov' ? ENGLISH_STOPWORDS : [],
+        sources
+    }, progress => log(`Learning subword merges: ${progress.mergeCount} / ${progress.numMerges}`));
+    log(`Tokenizer: ${TOKENIZER_TYPES[tokenizerSettings.type]}, vocabulary size ${preprocessed.vocabSize} (${preprocessed.counts.total.size} unique tokens)`);
+    if (options.embeddings) {
+        const imported = await session.run('importEmbeddings', {
+            source: fs.createReadStream(options.embeddings, 'utf8'),
+            fileName: modelConfig.pretrainedEmbeddings
+        }, progress => log(`Reading word vectors: ${progress.linesRead} lines, ${progress.matchedWords} vocabulary tokens matched`));
+        if (options['embedding-dim'] !== undefined && modelConfig.embeddingDim !== imported.dim) {
+            throw new Error(`--embedding-dim ${modelConfig.embeddingDim} does not match the ${imported.dim} dimensions of ${modelConfig.pretrainedEmbeddings}.`);
+        }
+        modelConfig.embeddingDim = imported.dim;
+        const { coverage } = imported;
+        log(`Word vectors: ${imported.dim} dimensions, ${coverage.coveredWords} / ${coverage.words} vocabulary tokens covered ` +
+            `(${(coverage.wordRate * 100).toFixed(1)}%, ${(coverage.tokenRate * 100).toFixed(1)}% of training tokens), ` +
+            `${modelConfig.trainEmbeddings ? 'fine-tuned' : 'frozen'}`);
+        if (coverage.missingExamples.length > 0) log(`  Most frequent without a vector: ${coverage.missingExamples.map(({ token }) => token).join(', ')}`);
+    }
+
+    const { stylometric, shapes } = await session.run('embed', { sequenceLength, windowStride, featureKeys });
+    log(`Sequences: ${DATASET_SPLITS.map(key => `${key} [${shapes[key].features}]`).join(', ')}`);
+    const { paramCount, trainableParamCount } = await session.run('createModel', { config: modelConfig });
+    const frozen = paramCount > trainableParamCount ? ` (${(paramCount - trainableParamCount).toLocaleString()} frozen)` : '';
+    log(`Model: ${MODEL_ARCHITECTURES[modelConfig.architecture]}${stylometric ? ' + stylometric features' : ''}, ${paramCount.toLocaleString()} parameters${frozen}`);
+
+    const cancel = () => {
+        log('Stopping after the current batch...');
+        session.control('cancel');
+    };
+    process.once('SIGINT', cancel);
+    let trained;
+    try {
+        trained = await session.run('train', { settings: trainingSettings }, ({ epoch, logs }) => {
+            log(`Epoch ${epoch + 1}/${trainingSettings.epochs}: loss ${logs.loss.toFixed(4)}` +
+                (logs.val_loss !== undefined ? `, val_loss ${logs.val_loss.toFixed(4)}, val_acc ${logs.val_acc.toFixed(4)}` : ''));
+        });
+    } finally {
+        process.removeListener('SIGINT', cancel);
+    }
+    if (trained.epochsRun === 0) throw new Error('No epoch completed, so there is no model to save.');
+    if (trained.restoredBest) log(`Restored best weights from epoch ${trained.bestEpoch + 1} (val_loss ${trained.bestValLoss.toFixed(4)}).`);
+
+    // 3. Evaluate on the validation and test sets (Step 7), tune the decision threshold on the validation set and
+    // save the bundle with its metrics and decision rule
+    const evaluated = await session.run('evaluate');
+    const metrics = { training: summarizeTrainingRun(trained, trainingSettings), evaluation: summarizeEvaluation(evaluated, sources) };
+    const decision = createDecisionRule(evaluated.validation.labels, evaluated.validation.probabilities, decisionSettings);
+    log(`Test set:\n${formatMetrics(computeBinaryMetrics(evaluated.testing.labels, evaluated.testing.probabilities, decision))}`);
+    if (sources) {
+        log(formatSourceMetrics(computeSourceMetrics(evaluated.testing.sourceLabels, evaluated.testing.sourceProbabilities, sources.names), sources.names));
+    }
+    log(`Decision rule: ${formatDecisionRule(decision)}\n` +
+        `  Validation: ${formatDecisionMetrics(computeDecisionMetrics(evaluated.validation.labels, evaluated.validation.probabilities, decision))}\n` +
+        `  Test:       ${formatDecisionMetrics(computeDecisionMetrics(evaluated.testing.labels, evaluated.testing.probabilities, decision))}`);
+
+    const detectorModel = await tf.loadLayersModel(tf.io.fromMemory(trained.artifacts));
+    const metadata = createDetectorMetadata({
+        sequenceLength,
+        embeddingDim: modelConfig.embeddingDim,
+        trainingWindowStride: windowStride,
+        stylometric,
+        sources,
+        vocabSize: preprocessed.vocabSize,
+        vocabularySettings,
+        modelConfig,
+        tokenizerSettings: preprocessed.tokenizerSettings,
+        wordIndex: preprocessed.wordIndex,
+        metrics,
+        decision
+    });
+    const out = options.out || DEFAULT_BUNDLE_NAME;
+    const { modelJson, weightData, weightsFileName } = await createDetectorBundleFiles(detectorModel, metadata, path.basename(out));
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    fs.writeFileSync(`${out}.json`, JSON.stringify(modelJson));
+    fs.writeFileSync(path.join(path.dirname(out), weightsFileName), Buffer.from(weightData));
+    detectorModel.dispose();
+    await session.run('reset');
+    log(`✅ Detector saved to ${out}.json and ${path.join(path.dirname(out), weightsFileName)}.`);
+}
+
+/** Formats a robustness report (see evaluateRobustness) as a table for the terminal. */
+function formatRobustnessReport(report) {
+    const width = Math.max(...report.results.map(result => result.name.length));
+    const points = delta => `${delta >= 0 ? '+' : ''}${(delta * 100).toFixed(1)}`.padStart(6);
+    const [clean] = report.results;
+    return [
+        `Robustness (strength ${(report.strength * 100).toFixed(0)}%, seed ${report.seed}):`,
+        `  ${'Perturbation'.padEnd(width)}  Changed  Accuracy   (Δ pts)  AI detected   (Δ pts)  Human flagged  Flipped`,
+        ...report.results.map(result => `  ${result.name.padEnd(width)} ${String(result.changedTexts).padStart(8)}  ` +
+            `${result.accuracy.toFixed(4).padStart(8)}  ${points(result.accuracy - clean.accuracy)}  ` +
+            `${`${(result.aiDetectionRate * 100).toFixed(1)}%`.padStart(11)}  ${points(result.aiDetectionRate - clean.aiDetectionRate)}  ` +
+            `${`${(result.humanFlagRate * 100).toFixed(1)}%`.padStart(13)}  ${String(result.flippedVerdicts).padStart(7)}`)
+    ].join('\n');
+}
+
+/** Scores a labelled dataset file with a saved detector and reports the Step 7 metrics (and, on request, its robustness). */
+async function evalCommand(options) {
+    if (!options.model || !options.data) throw new Error('--model and --data are required.');
+    const robustnessSettings = options.robustness ? {
+        perturbations: options.perturbations ? options.perturbations.split(',').map(key => key.trim()) : DEFAULT_ROBUSTNESS_SETTINGS.perturbations,
+        strength: readNumberOption(options, 'strength', DEFAULT_ROBUSTNESS_SETTINGS.strength * 100) / 100,
+        seed: readNumberOption(options, 'seed', DEFAULT_ROBUSTNESS_SETTINGS.seed, { integer: true })
+    } : null;
+    const { detector, metadata, decision } = await readDetectorBundle(options.model);
+    const { sources } = detector;
+    // Source-attribution bundles read label values as source names; other values are excluded
+    const rows = readLabelledRows(options.data, options, sources && bundleSourceClasses(sources));
+    const scored = await scoreDocuments(detector, rows.map(row => row.text));
+    const labels = rows.map(row => row.label);
+    const probabilities = scored.map(result => result.probability);
+    const metrics = computeBinaryMetrics(labels, probabilities, decision);
+    const decisionMetrics = computeDecisionMetrics(labels, probabilities, decision);
+    const sourceMetrics = sources
+        ? computeSourceMetrics(rows.map(row => row.source), scored.map(result => result.sourceProbabilities), sources.names)
+        : null;
+    let robustness = null;
+    try {
+        if (robustnessSettings) robustness = await evaluateRobustness(detector, rows, { ...robustnessSettings, decision });
+    } finally {
+        detector.model.dispose();
+    }
+
+    if (options.json) {
+        const { matrix, report, roc, pr, accuracy, macroF1, uncertain } = metrics;
+        const output = { rows: rows.length, accuracy, rocAuc: roc.auc, prAuc: pr.auc, macroF1, uncertain, confusionMatrix: matrix, report, decision, decisionMetrics };
+        if (sourceMetrics) {
+            output.sources = {
+                names: sources.names,
+                accuracy: sourceMetrics.accuracy,
+                topTwoAccuracy: sourceMetrics.topTwoAccuracy,
+                macroF1: sourceMetrics.macroF1,
+                confusionMatrix: sourceMetrics.matrix,
+                report: sourceMetrics.report
+            };
+        }
+        if (robustness) output.robustness = robustness;
+        process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+        return;
+    }
+    log(`Detector saved ${metadata.savedAt}, ${rows.length} rows.`);
+    process.stdout.write(`${formatMetrics(metrics)}\nDecision rule: ${formatDecisionRule(decision)}\n  ${formatDecisionMetrics(decisionMetrics)}\n`);
+    if (sourceMetrics) process.stdout.write(`${formatSourceMetrics(sourceMetrics, sources.names)}\n`);
+    if (robustness) process.stdout.write(`${formatRobustnessReport(robustness)}\n`);
+}
+
+/** Scores one text or every text of a file with a saved detector, like Step 8 single and batch prediction. */
+async function predictCommand(options) {
+    if (!options.model || (options.text === undefined) === (options.input === undefined)) {
+        throw new Error('--model and exactly one of --text or --input are required.');
+    }
+    const { detector, decision } = await readDetectorBundle(options.model);
+    let texts = [options.text];
+    if (options.input) {
+        const rawRows = readDatasetFile(options.input);
+        const column = options['text-column'] || guessDatasetColumns(getDatasetColumns(rawRows)).text;
+        texts = rawRows.map(row => (row[column] == null ? '' : String(row[column]).trim())).filter(text => text.length > 0);
+        if (texts.length < rawRows.length) log(`⚠️ ${rawRows.length - texts.length} row(s) had no text in column "${column}" and were skipped.`);
+    }
+    const longDocumentSettings = options['long-document']
+        ? { stride: readNumberOption(options, 'stride', 0, { integer: true, min: 0 }), aggregation: options.aggregation || 'mean' }
+        : null;
+
+    const scored = await scoreDocuments(detector, texts, longDocumentSettings);
+    detector.model.dispose();
+    const results = texts.map((text, i) => {
+        const probability = scored[i].probability;
+        const result = {
+            index: i + 1,
+            text,
+            humanProbability: Number((probability * 100).toFixed(2)),
+            aiProbability: Number(((1 - probability) * 100).toFixed(2)),
+            windows: scored[i].windows.length,
+            label: classifyProbability(probability, decision)
+        };
+        if (detector.sources) {
+            const [likely] = rankSources(scored[i].sourceProbabilities, detector.sources);
+            result.likelySource = likely.name;
+            result.likelySourceProbability = Number((likely.probability * 100).toFixed(2));
+        }
+        return result;
+    });
+
+    if (options.output) {
+        const asJson = options.output.toLowerCase().endsWith('.json');
+        fs.writeFileSync(options.output, asJson ? JSON.stringify(results, null, 2) : Papa.unparse(results));
+        const count = label => results.filter(r => r.label === label).length;
+        log(`✅ Scored ${results.length} texts (${count('AI')} AI, ${count('Human')} Human, ${count('Uncertain')} Uncertain) -> ${options.output}`);
+    } else if (options.text !== undefined) {
+        const [result] = results;
+        process.stdout.write(`${result.label} (Human ${result.humanProbability}%, AI ${result.aiProbability}%)\n`);
+        if (detector.sources) {
+            rankSources(scored[0].sourceProbabilities, detector.sources).forEach((source, rank) => {
+                process.stdout.write(`  ${rank + 1}. ${source.name}${source.human ? ' (human)' : ''} ${(source.probability * 100).toFixed(2)}%\n`);
+            });
+        }
+    } else {
+        process.stdout.write(`${Papa.unparse(results)}\n`);
+    }
+}
+
+/** Prints the commands and their options. */
+function printUsage() {
+    const lines = ['Usage: node cli.js <train | eval | predict> [options]'];
+    Object.entries(COMMAND_OPTIONS).forEach(([command, options]) => {
+        lines.push('', `${command}:`);
+        Object.entries(options).forEach(([name, option]) => {
+            lines.push(`  --${name}${option.type === 'string' ? ' <value>' : ''}`.padEnd(30) + option.description);
+        });
+    });
+    process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+async function main(argv) {
+    const [command, ...args] = argv;
+    const commands = { train: trainCommand, eval: evalCommand, predict: predictCommand };
+    if (!commands[command]) {
+        printUsage();
+        return command === undefined || command === 'help' ? 0 : 1;
+    }
+    const optionTypes = Object.fromEntries(Object.entries(COMMAND_OPTIONS[command]).map(([name, option]) => [name, { type: option.type }]));
+    const { values } = parseArgs({ args, options: optionTypes });
+    await commands[command](values);
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(error => {
+            log(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { main, readDatasetFile, readDatasetColumns, readLabelledRows, readDetectorBundle };
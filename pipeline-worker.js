@@ -0,0 +1,27 @@
+/**
+ * AI Text Detection Pipeline Worker
+ *
+ * Hosts a pipeline session (pipeline.js) off the main thread. Messages:
+ * - page -> worker: { id, type, payload } runs a stage; { type: 'pause' | 'resume' | 'cancel' } steers the running one.
+ * - worker -> page: { id, type: 'progress', progress }, then { id, type: 'result', result } or { id, type: 'error', message }.
+ */
+
+importScripts('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.20.0/dist/tf.min.js', 'pipeline.js');
+
+const session = createPipelineSession();
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+    if (PIPELINE_CONTROL_COMMANDS.includes(type)) {
+        session.control(type);
+        return;
+    }
+    try {
+        const result = await session.run(type, payload, progress => self.postMessage({ id, type: 'progress', progress }));
+        // Trained weights can be large, so hand the buffer over instead of copying it
+        const transfer = result && result.artifacts ? [result.artifacts.weightData] : [];
+        self.postMessage({ id, type: 'result', result }, transfer);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
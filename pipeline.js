@@ -0,0 +1,2782 @@
+/**
+ * AI Text Detection Pipeline Core
+ *
+ * DOM-free pipeline logic shared by the page (app.js), the pipeline worker (pipeline-worker.js), the command line
+ * (cli.js) and Node scripts: dataset rows, tokenizers, vocabulary, sequence padding, stylometric features, tensors,
+ * models, training, metrics, prediction and detector bundles.
+ * Loaded as a classic script it defines globals; required from Node it exports the same functions.
+ */
+
+// In the browser and the worker `tf` is the global loaded from the CDN; Node uses the npm package
+if (typeof module !== 'undefined' && module.exports) {
+    var tf = require('@tensorflow/tfjs');
+}
+
+// --- SHARED CONSTANTS & UTILITIES ---
+
+const DATASET_SPLITS = ['training', 'validation', 'testing'];
+
+const CLASS_NAMES = ['AI (0)', 'Human (1)']; // Display names indexed by label
+
+/** FNV-1a 32-bit string hash. */
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/** Returns a seeded pseudo-random number generator (mulberry32) yielding floats in [0, 1). */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** Shuffles an array in place (Fisher-Yates) using the given random function, and returns it. */
+function shuffleInPlace(array, random = Math.random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+
+// --- SEQUENCES (Tokens -> Padded Index Sequences) ---
+
+/** Maps tokens to a fixed-length sequence of vocabulary indices, truncated and padded with '<PAD>'. */
+function tokensToSequence(tokens, wordIndexMap, maxLength) {
+    // Map tokens to indices, using 1 ('<OOV>') for unknown words
+    let sequence = tokens.map(word => (Object.prototype.hasOwnProperty.call(wordIndexMap, word) ? wordIndexMap[word] : 1)); 
+
+    // Apply truncation (if sequence is longer than max length)
+    if (sequence.length > maxLength) {
+        sequence = sequence.slice(0, maxLength);
+    }
+    // Apply padding (if sequence is shorter than max length)
+    while (sequence.length < maxLength) {
+        sequence.push(0); // 0 is '<PAD>'
+    }
+    return sequence;
+}
+
+/** Converts text into a fixed-length sequence of vocabulary indices, truncated and padded with '<PAD>'. */
+function textToSequence(text, wordIndexMap, maxLength, activeTokenizer) {
+    return tokensToSequence(activeTokenizer.tokenize(text), wordIndexMap, maxLength);
+}
+
+/** Returns the first token of each window so that windows of windowSize, stride apart, cover all tokens. */
+function computeWindowStarts(numTokens, windowSize, stride) {
+    if (numTokens <= windowSize) return [0];
+    const starts = [];
+    for (let start = 0; start + windowSize < numTokens; start += stride) {
+        starts.push(start);
+    }
+    // Always finish with a window aligned to the end of the text so the tail is scored
+    starts.push(numTokens - windowSize);
+    return starts;
+}
+
+/**
+ * Splits text into overlapping token windows. Each window carries its padded sequence, its token
+ * spans and the character range it covers in the original text.
+ */
+function textToWindows(text, stride, wordIndexMap, maxLength, activeTokenizer) {
+    const spans = activeTokenizer.tokenizeWithOffsets(text);
+    const step = Math.max(1, Math.min(stride || Math.ceil(maxLength / 2), maxLength));
+    return computeWindowStarts(spans.length, maxLength, step).map(startToken => {
+        const windowSpans = spans.slice(startToken, startToken + maxLength);
+        return {
+            sequence: tokensToSequence(windowSpans.map(span => span.token), wordIndexMap, maxLength),
+            spans: windowSpans,
+            tokenCount: windowSpans.length,
+            start: windowSpans.length > 0 ? windowSpans[0].start : 0,
+            end: windowSpans.length > 0 ? windowSpans[windowSpans.length - 1].end : text.length
+        };
+    });
+}
+
+/**
+ * Combines the P(Human) scores of a document's windows: 'mean', 'maxAi' (the most AI-like
+ * window decides) or 'lengthWeighted' (windows weighted by their number of real tokens).
+ */
+function aggregateWindowScores(windows, probabilities, method = 'mean') {
+    if (probabilities.length === 1) return probabilities[0];
+    switch (method) {
+        case 'maxAi':
+            return Math.min(...probabilities);
+        case 'lengthWeighted': {
+            const totalTokens = windows.reduce((sum, w) => sum + w.tokenCount, 0);
+            if (totalTokens === 0) return probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length;
+            return windows.reduce((sum, w, i) => sum + probabilities[i] * w.tokenCount, 0) / totalTokens;
+        }
+        case 'mean':
+        default:
+            return probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length;
+    }
+}
+
+/**
+ * Combines the per-source probabilities of a document's windows the same way aggregateWindowScores combines their
+ * P(Human): averaged, weighted by real tokens, or taken from the most AI-like window for 'maxAi'.
+ */
+function aggregateWindowSourceScores(windows, sourceRows, probabilities, method = 'mean') {
+    if (sourceRows.length === 1) return sourceRows[0];
+    let weights = windows.map(() => 1);
+    if (method === 'maxAi') {
+        const mostAi = probabilities.indexOf(Math.min(...probabilities));
+        weights = windows.map((w, i) => (i === mostAi ? 1 : 0));
+    } else if (method === 'lengthWeighted' && windows.some(w => w.tokenCount > 0)) {
+        weights = windows.map(w => w.tokenCount);
+    }
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    return sourceRows[0].map((_, c) => sourceRows.reduce((sum, row, i) => sum + row[c] * weights[i], 0) / totalWeight);
+}
+
+
+// --- TOKENIZERS ---
+
+// Every tokenizer is described by plain, serializable settings ({ type, lowercase, ... } plus any
+// learned state) so the exact same tokenization can be rebuilt from a saved detector bundle.
+const TOKENIZER_TYPES = {
+    simple: 'Simple words (punctuation stripped)',
+    word: 'Words + punctuation',
+    wordBigram: 'Words + word bigrams',
+    charNgram: 'Character n-grams',
+    bpe: 'Subword BPE (trained on train.csv)',
+    wordpiece: 'Subword WordPiece (trained on train.csv)'
+};
+const DEFAULT_TOKENIZER_SETTINGS = { type: 'simple', lowercase: true, ngramSize: 3, numMerges: 1000, normalize: false };
+// Stopword handling per tokenizer type: removal drops words before they are encoded, so subword tokenizers support it,
+// but exclusion from the vocabulary needs tokens that are whole words. Character n-grams support neither.
+const TOKENIZER_STOPWORD_MODES = {
+    simple: ['keep', 'remove', 'oov'],
+    word: ['keep', 'remove', 'oov'],
+    wordBigram: ['keep', 'remove', 'oov'],
+    charNgram: ['keep'],
+    bpe: ['keep', 'remove'],
+    wordpiece: ['keep', 'remove']
+};
+
+// Characters removed by simpleTokenizer().
+const TOKENIZER_STRIP_REGEX = /[.,\/#!$%\^&\*;:{}=\-_`~()]/g;
+// A word (letters/digits, keeping contractions like "don't" or "don’t") or a single punctuation/symbol character.
+const WORD_TOKEN_REGEX = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*|[^\s\p{L}\p{N}]/gu;
+const BPE_END_OF_WORD = '</w>';
+const WORDPIECE_PREFIX = '##';
+const WORDPIECE_UNKNOWN = '[UNK]';
+
+// Latin letters and the Cyrillic / Greek letters that look the same, used to fake homoglyph evasion (see
+// perturbText) and to undo it when tokenizer settings ask for normalization
+const HOMOGLYPHS = {
+    a: '\u0430', c: '\u0441', e: '\u0435', i: '\u0456', j: '\u0458', o: '\u043E', p: '\u0440', s: '\u0455', x: '\u0445', y: '\u0443',
+    A: '\u0410', B: '\u0412', C: '\u0421', E: '\u0415', H: '\u041D', I: '\u0406', K: '\u041A', M: '\u041C', N: '\u039D', O: '\u041E',
+    P: '\u0420', S: '\u0405', T: '\u0422', X: '\u0425', Y: '\u03A5', Z: '\u0396'
+};
+const HOMOGLYPH_TO_LATIN = new Map([
+    ...Object.entries(HOMOGLYPHS).map(([latin, lookalike]) => [lookalike, latin]),
+    ['\u03BF', 'o'], ['\u03BD', 'v'], ['\u04BB', 'h'], ['\u0501', 'd'], ['\u0261', 'g'], ['\u0391', 'A'], ['\u0392', 'B'],
+    ['\u0395', 'E'], ['\u0397', 'H'], ['\u0399', 'I'], ['\u039A', 'K'], ['\u039C', 'M'], ['\u039F', 'O'], ['\u03A1', 'P'],
+    ['\u03A4', 'T'], ['\u03A7', 'X']
+]);
+// Invisible formatting characters (zero-width space / joiners, word joiner, BOM, soft hyphen, ...)
+const FORMAT_CHARACTER_REGEX = /\p{Cf}/u;
+
+/**
+ * Undoes common evasion tricks: drops invisible formatting characters, applies NFKC (full-width letters, ligatures,
+ * non-breaking spaces) and maps Cyrillic / Greek lookalikes to Latin in words that have no other non-Latin letters,
+ * so genuine Cyrillic or Greek words are kept. Returns the normalized text with, per UTF-16 unit, the start and end
+ * of the original characters it came from (null for unchanged ASCII text).
+ */
+function normalizeTextWithOffsets(text) {
+    if (/^[\x00-\x7F]*$/.test(text)) return { text, starts: null, ends: null };
+    let normalized = '';
+    const starts = [];
+    const ends = [];
+    for (let i = 0; i < text.length;) {
+        const char = String.fromCodePoint(text.codePointAt(i));
+        if (!FORMAT_CHARACTER_REGEX.test(char)) {
+            const replacement = char.normalize('NFKC');
+            normalized += replacement;
+            for (let k = 0; k < replacement.length; k++) {
+                starts.push(i);
+                ends.push(i + char.length);
+            }
+        }
+        i += char.length;
+    }
+    normalized = normalized.replace(/[\p{L}\p{M}]+/gu, word => {
+        const chars = [...word];
+        const lookalikeOnly = chars.every(char => HOMOGLYPH_TO_LATIN.has(char) || /[\p{Script=Latin}\p{M}]/u.test(char));
+        return lookalikeOnly ? chars.map(char => HOMOGLYPH_TO_LATIN.get(char) || char).join('') : word;
+    });
+    return { text: normalized, starts, ends };
+}
+
+/** The normalized text of normalizeTextWithOffsets(). */
+function normalizeText(text) {
+    return normalizeTextWithOffsets(text).text;
+}
+
+// Tokenizers produce spans ({ token, start, end }) pointing back into the original text, so
+// explanations can highlight exactly the characters each token came from.
+
+/** Spans for the simple tokenizer: whitespace-separated chunks, lowercased, with TOKENIZER_STRIP_REGEX removed. */
+function simpleTokenSpans(text) {
+    if (!text || typeof text !== 'string') return [];
+    const spans = [];
+    for (const match of text.matchAll(/\S+/g)) {
+        const token = match[0].toLowerCase().replace(TOKENIZER_STRIP_REGEX, '');
+        if (token.length > 0) spans.push({ token, start: match.index, end: match.index + match[0].length });
+    }
+    return spans;
+}
+
+/** Simple tokenizer: converts text to lowercase and splits by non-word characters. */
+function simpleTokenizer(text) {
+    return simpleTokenSpans(text).map(span => span.token);
+}
+
+/** Spans for words and individual punctuation marks, keeping unicode quotes and contractions. */
+function wordTokenSpans(text, lowercase = true) {
+    if (!text || typeof text !== 'string') return [];
+    const spans = [];
+    for (const match of text.matchAll(WORD_TOKEN_REGEX)) {
+        spans.push({ token: lowercase ? match[0].toLowerCase() : match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return spans;
+}
+
+/** Splits text into words and individual punctuation marks, keeping unicode quotes and contractions. */
+function wordTokenizer(text, lowercase = true) {
+    return wordTokenSpans(text, lowercase).map(span => span.token);
+}
+
+/** Interleaves word bigrams with the words ("a", "b", "a b", "c", "b c", ...) so local order survives truncation. */
+function addWordBigramSpans(wordSpans) {
+    const spans = [];
+    wordSpans.forEach((span, i) => {
+        spans.push(span);
+        if (i > 0) {
+            const previous = wordSpans[i - 1];
+            spans.push({ token: `${previous.token} ${span.token}`, start: previous.start, end: span.end });
+        }
+    });
+    return spans;
+}
+
+/** Overlapping character n-gram spans over the text with whitespace runs collapsed to one space. */
+function charNgramSpans(text, lowercase = true, ngramSize = 3) {
+    if (!text || typeof text !== 'string') return [];
+    const chars = []; // { char, start, end } of the normalized text
+    let pendingSpace = -1;
+    let offset = 0;
+    for (const char of text) {
+        if (/\s/.test(char)) {
+            if (chars.length > 0 && pendingSpace === -1) pendingSpace = offset;
+        } else {
+            if (pendingSpace !== -1) {
+                chars.push({ char: ' ', start: pendingSpace, end: pendingSpace + 1 });
+                pendingSpace = -1;
+            }
+            chars.push({ char: lowercase ? char.toLowerCase() : char, start: offset, end: offset + char.length });
+        }
+        offset += char.length;
+    }
+    if (chars.length === 0) return [];
+
+    const size = Math.min(ngramSize, chars.length);
+    const spans = [];
+    for (let i = 0; i + size <= chars.length; i++) {
+        const gram = chars.slice(i, i + size);
+        spans.push({ token: gram.map(c => c.char).join(''), start: gram[0].start, end: gram[gram.length - 1].end });
+    }
+    return spans;
+}
+
+/** Produces overlapping character n-grams over the whitespace-normalized text. */
+function charNgramTokenizer(text, lowercase = true, ngramSize = 3) {
+    return charNgramSpans(text, lowercase, ngramSize).map(span => span.token);
+}
+
+/** Splits a word span into subword spans; pieces share the word span if their lengths cannot be mapped back. */
+function subwordSpans(wordSpan, pieces) {
+    const surfaces = pieces.map(piece => piece.replace(BPE_END_OF_WORD, '').replace(new RegExp(`^${WORDPIECE_PREFIX}`), ''));
+    const mappable = !pieces.includes(WORDPIECE_UNKNOWN) &&
+        surfaces.join('').length === wordSpan.end - wordSpan.start;
+    let offset = wordSpan.start;
+    return pieces.map((piece, i) => {
+        if (!mappable) return { token: piece, start: wordSpan.start, end: wordSpan.end };
+        const span = { token: piece, start: offset, end: offset + surfaces[i].length };
+        offset = span.end;
+        return span;
+    });
+}
+
+/** Splits a word into the initial subword symbols: characters, marked for BPE or WordPiece. */
+function splitIntoSubwordSymbols(word, mode) {
+    const chars = Array.from(word);
+    if (mode === 'bpe') {
+        chars[chars.length - 1] += BPE_END_OF_WORD;
+        return chars;
+    }
+    return chars.map((c, i) => (i === 0 ? c : WORDPIECE_PREFIX + c));
+}
+
+/** Joins two adjacent subword symbols into one. */
+function joinSubwordSymbols(a, b, mode) {
+    return mode === 'bpe' ? a + b : a + b.slice(WORDPIECE_PREFIX.length);
+}
+
+/** Replaces every adjacent (a, b) pair in a symbol list with the merged symbol. */
+function applySubwordMerge(symbols, a, b, merged) {
+    const result = [];
+    for (let i = 0; i < symbols.length; i++) {
+        if (i < symbols.length - 1 && symbols[i] === a && symbols[i + 1] === b) {
+            result.push(merged);
+            i++;
+        } else {
+            result.push(symbols[i]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Learns subword merges from word frequencies. BPE picks the most frequent pair; WordPiece picks
+ * the pair with the highest count(ab) / (count(a) * count(b)). Pair counts are updated
+ * incrementally so only the words containing the merged pair are recounted.
+ */
+async function learnSubwordMerges(wordCounts, mode, numMerges, onProgress) {
+    const words = [];
+    wordCounts.forEach((count, word) => words.push({ symbols: splitIntoSubwordSymbols(word, mode), count }));
+
+    const pairCounts = new Map();   // "a b" -> weighted count
+    const pairWords = new Map();    // "a b" -> Set of word indexes containing the pair
+    const symbolCounts = new Map(); // symbol -> weighted count
+    const initialSymbols = new Set();
+    const countWord = (word, wordIdx, sign) => {
+        word.symbols.forEach((symbol, i) => {
+            symbolCounts.set(symbol, (symbolCounts.get(symbol) || 0) + sign * word.count);
+            if (i === 0) return;
+            const key = `${word.symbols[i - 1]} ${symbol}`;
+            pairCounts.set(key, (pairCounts.get(key) || 0) + sign * word.count);
+            if (sign > 0) {
+                if (!pairWords.has(key)) pairWords.set(key, new Set());
+                pairWords.get(key).add(wordIdx);
+            }
+        });
+    };
+    words.forEach((word, idx) => {
+        word.symbols.forEach(symbol => initialSymbols.add(symbol));
+        countWord(word, idx, 1);
+    });
+
+    const merges = [];
+    while (merges.length < numMerges) {
+        let bestKey = null;
+        let bestScore = 0;
+        pairCounts.forEach((count, key) => {
+            if (count < 2) return; // A pair seen once is not worth a vocabulary entry
+            let score = count;
+            if (mode === 'wordpiece') {
+                const [a, b] = key.split(' ');
+                score = count / (symbolCounts.get(a) * symbolCounts.get(b));
+            }
+            if (score > bestScore) {
+                bestScore = score;
+                bestKey = key;
+            }
+        });
+        if (!bestKey) break;
+
+        const [a, b] = bestKey.split(' ');
+        const merged = joinSubwordSymbols(a, b, mode);
+        pairWords.get(bestKey).forEach(idx => {
+            const word = words[idx];
+            countWord(word, idx, -1);
+            word.symbols = applySubwordMerge(word.symbols, a, b, merged);
+            countWord(word, idx, 1);
+        });
+        merges.push([a, b]);
+
+        if (onProgress && merges.length % 100 === 0) await onProgress(merges.length);
+    }
+    return { merges, initialSymbols: [...initialSymbols] };
+}
+
+/** Applies learned BPE merges to one word, lowest-ranked (earliest learned) pair first. */
+function encodeBpeWord(word, mergeRanks) {
+    let symbols = splitIntoSubwordSymbols(word, 'bpe');
+    while (symbols.length > 1) {
+        let bestRank = Infinity;
+        let bestIdx = -1;
+        for (let i = 1; i < symbols.length; i++) {
+            const rank = mergeRanks.get(`${symbols[i - 1]} ${symbols[i]}`);
+            if (rank !== undefined && rank < bestRank) {
+                bestRank = rank;
+                bestIdx = i;
+            }
+        }
+        if (bestIdx === -1) break;
+        const a = symbols[bestIdx - 1];
+        const b = symbols[bestIdx];
+        symbols = applySubwordMerge(symbols, a, b, a + b);
+    }
+    return symbols;
+}
+
+/** Splits one word into WordPiece tokens by greedy longest-match against the learned vocabulary. */
+function encodeWordPieceWord(word, vocabulary) {
+    const chars = Array.from(word);
+    const tokens = [];
+    let start = 0;
+    while (start < chars.length) {
+        let end = chars.length;
+        let piece = null;
+        while (end > start) {
+            const candidate = (start > 0 ? WORDPIECE_PREFIX : '') + chars.slice(start, end).join('');
+            if (vocabulary.has(candidate)) {
+                piece = candidate;
+                break;
+            }
+            end--;
+        }
+        if (!piece) return [WORDPIECE_UNKNOWN];
+        tokens.push(piece);
+        start = end;
+    }
+    return tokens;
+}
+
+/** Returns a predicate that keeps words not listed in settings.stopwords (compared case-insensitively). */
+function createStopwordFilter(settings) {
+    const stopwords = new Set(settings.stopwords || []);
+    return word => !stopwords.has(word.toLowerCase());
+}
+
+/**
+ * Returns a predicate that is true for the tokens of the given tokenizer that are one of excludedWords. Each word is
+ * put through the tokenizer first (so Unicode normalization and stripped punctuation apply to it as well), and tokens
+ * are compared case-insensitively like removed stopwords, so case-sensitive tokenizers exclude every spelling.
+ */
+function createTokenExclusion(settings, excludedWords = []) {
+    if (excludedWords.length === 0) return () => false;
+    if (!TOKENIZER_STOPWORD_MODES[settings.type].includes('oov')) {
+        throw new Error(`The ${TOKENIZER_TYPES[settings.type]} tokenizer does not produce whole-word tokens, so words cannot be excluded from its vocabulary.`);
+    }
+    const wordForms = createTokenizer({ ...settings, type: settings.type === 'wordBigram' ? 'word' : settings.type, stopwords: [] });
+    const excluded = new Set(excludedWords
+        .map(word => wordForms.tokenize(word))
+        .filter(tokens => tokens.length === 1)
+        .map(([token]) => token.toLowerCase()));
+    return token => excluded.has(token.toLowerCase());
+}
+
+/** Returns true if the tokenizer type has to be trained on the training texts before use. */
+function isTrainableTokenizer(type) {
+    return type === 'bpe' || type === 'wordpiece';
+}
+
+/**
+ * Learns the state of a subword tokenizer from the training texts and returns the full settings.
+ * Non-trainable tokenizers are returned unchanged.
+ */
+async function trainTokenizer(settings, texts, onProgress) {
+    if (!isTrainableTokenizer(settings.type)) return { ...settings };
+
+    const keepWord = createStopwordFilter(settings);
+    const wordCounts = new Map();
+    texts.forEach(text => {
+        wordTokenizer(settings.normalize ? normalizeText(text) : text, settings.lowercase).filter(keepWord).forEach(word => wordCounts.set(word, (wordCounts.get(word) || 0) + 1));
+    });
+    const { merges, initialSymbols } = await learnSubwordMerges(wordCounts, settings.type, settings.numMerges, onProgress);
+
+    if (settings.type === 'bpe') {
+        return { ...settings, merges };
+    }
+    const vocabulary = new Set(initialSymbols);
+    merges.forEach(([a, b]) => vocabulary.add(joinSubwordSymbols(a, b, 'wordpiece')));
+    return { ...settings, vocabulary: [...vocabulary] };
+}
+
+/**
+ * Builds a tokenizer ({ settings, tokenize(text), tokenizeWithOffsets(text) }) from serializable settings.
+ * Stopwords in settings.stopwords are dropped at the word level; character n-grams ignore them.
+ * With settings.normalize the text is normalized first (normalizeTextWithOffsets), and spans still point into the
+ * original text.
+ */
+function createTokenizer(settings) {
+    const lowercase = settings.lowercase !== false;
+    const keepWord = createStopwordFilter(settings);
+    const keepSpan = span => keepWord(span.token);
+    let tokenizeWithOffsets;
+    switch (settings.type) {
+        case 'simple':
+            tokenizeWithOffsets = text => simpleTokenSpans(text).filter(keepSpan);
+            break;
+        case 'word':
+            tokenizeWithOffsets = text => wordTokenSpans(text, lowercase).filter(keepSpan);
+            break;
+        case 'wordBigram':
+            tokenizeWithOffsets = text => addWordBigramSpans(wordTokenSpans(text, lowercase).filter(keepSpan));
+            break;
+        case 'charNgram':
+            tokenizeWithOffsets = text => charNgramSpans(text, lowercase, settings.ngramSize);
+            break;
+        case 'bpe':
+        case 'wordpiece': {
+            if (!settings.merges && !settings.vocabulary) {
+                throw new Error(`The ${TOKENIZER_TYPES[settings.type]} tokenizer has not been trained.`);
+            }
+            // Subword encoding is deterministic per word, so cache it
+            const cache = new Map();
+            const encodeWord = settings.type === 'bpe'
+                ? (() => {
+                    const mergeRanks = new Map(settings.merges.map(([a, b], rank) => [`${a} ${b}`, rank]));
+                    return word => encodeBpeWord(word, mergeRanks);
+                })()
+                : (() => {
+                    const vocabulary = new Set(settings.vocabulary);
+                    return word => encodeWordPieceWord(word, vocabulary);
+                })();
+            tokenizeWithOffsets = text => wordTokenSpans(text, lowercase).filter(keepSpan).flatMap(span => {
+                if (!cache.has(span.token)) cache.set(span.token, encodeWord(span.token));
+                return subwordSpans(span, cache.get(span.token));
+            });
+            break;
+        }
+        default:
+            throw new Error(`Unknown tokenizer type "${settings.type}".`);
+    }
+    if (settings.normalize) {
+        const tokenizeNormalized = tokenizeWithOffsets;
+        tokenizeWithOffsets = text => {
+            if (!text || typeof text !== 'string') return [];
+            const { text: normalized, starts, ends } = normalizeTextWithOffsets(text);
+            if (!starts) return tokenizeNormalized(normalized);
+            return tokenizeNormalized(normalized).map(span => ({ ...span, start: starts[span.start], end: ends[span.end - 1] }));
+        };
+    }
+    return {
+        settings,
+        tokenizeWithOffsets,
+        tokenize: text => tokenizeWithOffsets(text).map(span => span.token)
+    };
+}
+
+
+// --- STYLOMETRIC FEATURES ---
+
+const FUNCTION_WORDS = [
+    'the', 'of', 'and', 'to', 'a', 'in', 'that', 'is', 'it', 'for', 'as', 'with', 'this',
+    'but', 'on', 'not', 'be', 'are', 'or', 'which', 'however', 'also', 'i', 'you', 'we'
+];
+const FUNCTION_WORD_SET = new Set(FUNCTION_WORDS);
+const STYLOMETRIC_WORD_REGEX = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+/** Returns a / b, or 0 when b is 0 (empty texts). */
+function safeRatio(a, b) {
+    return b > 0 ? a / b : 0;
+}
+
+/** Splits a text into the word, sentence and character statistics the stylometric features are computed from. */
+function analyzeTextStyle(text) {
+    const words = (text.match(STYLOMETRIC_WORD_REGEX) || []).map(word => word.toLowerCase());
+    const wordCounts = new Map();
+    words.forEach(word => wordCounts.set(word, (wordCounts.get(word) || 0) + 1));
+    const sentenceLengths = text.split(/(?<=[.!?])\s+|\n+/)
+        .map(sentence => (sentence.match(STYLOMETRIC_WORD_REGEX) || []).length)
+        .filter(length => length > 0);
+    return { text, words, wordCounts, sentenceLengths, countChars: pattern => (text.match(pattern) || []).length };
+}
+
+// Each feature computes one value from analyzeTextStyle() output, or a vector when it lists `dimensions`
+const STYLOMETRIC_FEATURES = {
+    typeTokenRatio: { label: 'Type-token ratio', compute: s => safeRatio(s.wordCounts.size, s.words.length) },
+    hapaxRatio: {
+        label: 'Hapax legomena ratio',
+        compute: s => safeRatio([...s.wordCounts.values()].filter(count => count === 1).length, s.words.length)
+    },
+    meanWordLength: { label: 'Mean word length', compute: s => safeRatio(s.words.reduce((sum, w) => sum + w.length, 0), s.words.length) },
+    meanSentenceLength: {
+        label: 'Mean sentence length',
+        compute: s => safeRatio(s.sentenceLengths.reduce((sum, n) => sum + n, 0), s.sentenceLengths.length)
+    },
+    burstiness: {
+        label: 'Burstiness (sentence-length CV)',
+        compute: s => {
+            const n = s.sentenceLengths.length;
+            const mean = safeRatio(s.sentenceLengths.reduce((sum, len) => sum + len, 0), n);
+            const variance = safeRatio(s.sentenceLengths.reduce((sum, len) => sum + (len - mean) ** 2, 0), n);
+            return safeRatio(Math.sqrt(variance), mean);
+        }
+    },
+    punctuationRate: { label: 'Punctuation per word', compute: s => safeRatio(s.countChars(/[^\s\p{L}\p{N}]/gu), s.words.length) },
+    commaRate: { label: 'Commas per word', compute: s => safeRatio(s.countChars(/,/g), s.words.length) },
+    semicolonColonRate: { label: 'Semicolons/colons per word', compute: s => safeRatio(s.countChars(/[;:]/g), s.words.length) },
+    exclamationQuestionRate: { label: '!/? per word', compute: s => safeRatio(s.countChars(/[!?]/g), s.words.length) },
+    dashRate: { label: 'Dashes per word', compute: s => safeRatio(s.countChars(/[-–—]/g), s.words.length) },
+    quoteRate: { label: 'Quotes per word', compute: s => safeRatio(s.countChars(/["“”]/g), s.words.length) },
+    uppercaseRate: { label: 'Uppercase letter share', compute: s => safeRatio(s.countChars(/\p{Lu}/gu), s.countChars(/\p{L}/gu)) },
+    functionWordRate: {
+        label: 'Function-word share',
+        compute: s => safeRatio(s.words.filter(word => FUNCTION_WORD_SET.has(word)).length, s.words.length)
+    },
+    functionWords: {
+        label: 'Function-word frequencies',
+        dimensions: FUNCTION_WORDS.map(word => `"${word}" frequency`),
+        compute: s => FUNCTION_WORDS.map(word => safeRatio(s.wordCounts.get(word) || 0, s.words.length))
+    },
+    repetitionRate: {
+        label: 'Repeated word-bigram share',
+        compute: s => {
+            const bigrams = s.words.slice(1).map((word, i) => `${s.words[i]} ${word}`);
+            return safeRatio(bigrams.length - new Set(bigrams).size, bigrams.length);
+        }
+    }
+};
+
+/** Names of the feature dimensions produced for the given feature keys, in vector order. */
+function getStylometricFeatureNames(featureKeys) {
+    return featureKeys.flatMap(key => STYLOMETRIC_FEATURES[key].dimensions || [STYLOMETRIC_FEATURES[key].label]);
+}
+
+/** Computes the raw (unscaled) feature vector of a text for the given feature keys. */
+function computeStylometricFeatures(text, featureKeys) {
+    const stats = analyzeTextStyle(text);
+    return featureKeys.flatMap(key => [].concat(STYLOMETRIC_FEATURES[key].compute(stats)));
+}
+
+/** Fits per-dimension standardization (mean/std) on raw feature vectors. */
+function fitFeatureScaler(rows) {
+    const dims = rows.length > 0 ? rows[0].length : 0;
+    const mean = new Array(dims).fill(0);
+    const std = new Array(dims).fill(0);
+    rows.forEach(row => row.forEach((value, d) => mean[d] += value / rows.length));
+    rows.forEach(row => row.forEach((value, d) => std[d] += (value - mean[d]) ** 2 / rows.length));
+    // Constant features keep a unit scale instead of dividing by zero
+    return { mean, std: std.map(variance => Math.sqrt(variance) || 1) };
+}
+
+/** Standardizes a raw feature vector with a fitted scaler. */
+function scaleFeatures(row, scaler) {
+    return row.map((value, d) => (value - scaler.mean[d]) / scaler.std[d]);
+}
+
+/** Computes scaled feature vectors for texts using a stylometric config ({ features, scaler }). */
+function computeScaledFeatureRows(texts, config) {
+    return texts.map(text => scaleFeatures(computeStylometricFeatures(text, config.features), config.scaler));
+}
+
+
+// --- DATASETS (Columns, Labels and Splits) ---
+
+// Raw label values (lowercased) recognised without manual mapping
+const AI_LABEL_ALIASES = ['0', 'ai', 'gpt', 'chatgpt', 'llm', 'machine', 'generated', 'ai-generated', 'synthetic'];
+
+const HUMAN_LABEL_ALIASES = ['1', 'human', 'human-written', 'person', 'real', 'original'];
+
+const DEFAULT_SPLIT_SETTINGS = { validation: 0.15, testing: 0.15, seed: 42 };
+
+// Labelling modes: binary rows are { text, label: 0 | 1 }; source-attribution rows also carry the index of their
+// source class ({ text, label, source }), with label still 0 (AI) / 1 (Human) from the source's human flag
+const LABEL_MODES = {
+    binary: 'Binary (AI vs. Human)',
+    sources: 'Source attribution (multi-class)'
+};
+const SUPPORTED_DATASET_EXTENSIONS = ['.csv', '.tsv', '.json', '.jsonl'];
+
+/** Returns the dataset format implied by a file name's extension, or null if unsupported. */
+function getDatasetFileFormat(fileName) {
+    const extension = SUPPORTED_DATASET_EXTENSIONS.find(ext => fileName.toLowerCase().endsWith(ext));
+    return extension ? extension.slice(1) : null;
+}
+
+/** Parses JSON Lines content into an array of row objects, rejecting malformed lines. */
+function parseJsonlRows(content, fileName) {
+    const rows = [];
+    content.split(/\r?\n/).forEach((line, i) => {
+        if (line.trim().length === 0) return;
+        let row;
+        try {
+            row = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`${fileName} line ${i + 1} is not valid JSON.`);
+        }
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            throw new Error(`${fileName} line ${i + 1} is not a JSON object.`);
+        }
+        rows.push(row);
+    });
+    return rows;
+}
+
+/** Parses JSON content holding an array of row objects (or an object with such an array under "data"). */
+function parseJsonRows(content, fileName) {
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`${fileName} is not valid JSON.`);
+    }
+    const rows = Array.isArray(parsed) ? parsed : parsed && parsed.data;
+    if (!Array.isArray(rows)) {
+        throw new Error(`${fileName} must contain an array of objects (or an object with a "data" array).`);
+    }
+    rows.forEach((row, i) => {
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            throw new Error(`${fileName} item ${i + 1} is not a JSON object.`);
+        }
+    });
+    return rows;
+}
+
+/** Lists every column that appears in any row. */
+function getDatasetColumns(rows) {
+    const columns = new Set();
+    rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+    return [...columns].filter(key => String(key).trim().length > 0);
+}
+
+/** Guesses the text and label columns (case-insensitive and robust to extra spaces/quotes), falling back to the first two. */
+function guessDatasetColumns(columns) {
+    const findColumn = name => columns.find(k => String(k).toLowerCase().trim().replace(/['"]/g, '') === name);
+    return {
+        text: findColumn('text') || columns[0],
+        label: findColumn('label') || columns[1] || columns[0]
+    };
+}
+
+/** Normalizes a raw label cell to the string key used in the label map. */
+function normalizeLabelValue(value) {
+    return value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+}
+
+/** Default mapping for a raw label value: 0 (AI), 1 (Human) or null (excluded). */
+function defaultLabelFor(value) {
+    if (AI_LABEL_ALIASES.includes(value)) return 0;
+    if (HUMAN_LABEL_ALIASES.includes(value)) return 1;
+    return null;
+}
+
+/**
+ * Maps raw rows to { text, label } using the given text/label columns and label map ({ value: 0 | 1 | null },
+ * or null for the default aliases). With source classes (see createSourceClasses) the label map holds source
+ * indices and rows become { text, label, source }. Rows without text or with an excluded label are dropped and counted.
+ */
+function normalizeDatasetRows(rawRows, { text: textKey, label: labelKey }, labelMap = null, sources = null) {
+    let invalidRows = 0;
+    const rows = rawRows.map(row => {
+        const text = row[textKey];
+        const value = normalizeLabelValue(row[labelKey]);
+        const label = labelMap
+            ? (Object.prototype.hasOwnProperty.call(labelMap, value) ? labelMap[value] : null)
+            : defaultLabelFor(value);
+
+        // Validate: check if text is present and the label maps to 0 or 1 (or to a source)
+        if (typeof text !== 'string' || text.trim().length === 0 || label === null) {
+            invalidRows++;
+            return null; // Exclude invalid rows
+        }
+        if (sources) return { text: text.trim(), label: sources.human.includes(label) ? 1 : 0, source: label };
+        return { text: text.trim(), label: label };
+    }).filter(row => row !== null);
+    return { rows, invalidRows };
+}
+
+/** Default source name for each raw label value: the value itself, flagged human when it is a human alias. */
+function defaultSourceNames(values) {
+    return {
+        sourceNameByValue: Object.fromEntries(values.map(value => [value, value])),
+        humanSources: values.filter(value => HUMAN_LABEL_ALIASES.includes(value))
+    };
+}
+
+/**
+ * Builds the classes of a source-attribution dataset from raw label values mapped to source names ({ value: name },
+ * blank = excluded). Several values can share a name, e.g. "gpt-4" and "gpt-3.5" as "gpt". Sources listed in
+ * humanSources count as human for the collapsed human-vs-AI score. Returns { sources: { names, human }, labelMap }.
+ */
+function createSourceClasses(sourceNameByValue, humanSources) {
+    const names = [];
+    const labelMap = {};
+    Object.entries(sourceNameByValue).forEach(([value, rawName]) => {
+        const name = rawName == null ? '' : String(rawName).trim();
+        if (name && !names.includes(name)) names.push(name);
+        labelMap[value] = name ? names.indexOf(name) : null;
+    });
+    if (names.length < 2) throw new Error('Source attribution needs at least two sources.');
+    const human = names.map((name, i) => i).filter(i => humanSources.includes(names[i]));
+    return { sources: { names, human }, labelMap };
+}
+
+/** Groups rows by class for stratification: by source in source-attribution datasets, else by label. */
+function groupRowsByClass(rows) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = row.source ?? row.label;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+    return [...groups.keys()].sort((a, b) => a - b).map(key => groups.get(key));
+}
+
+/**
+ * Splits rows into named parts with a seeded shuffle, stratified by class so each part keeps the class ratio.
+ * `fractions` maps part names to the share of rows they get; the remaining rows are returned as `training`.
+ */
+function stratifiedSplit(rows, fractions, seed) {
+    const random = createSeededRandom(seed);
+    const parts = { training: [] };
+    Object.keys(fractions).forEach(name => parts[name] = []);
+
+    groupRowsByClass(rows).forEach(group => {
+        const classRows = shuffleInPlace(group, random);
+        let offset = 0;
+        Object.entries(fractions).forEach(([name, fraction]) => {
+            const count = Math.round(classRows.length * fraction);
+            parts[name].push(...classRows.slice(offset, offset + count));
+            offset += count;
+        });
+        parts.training.push(...classRows.slice(offset));
+    });
+    // Shuffle again so the classes are interleaved
+    Object.values(parts).forEach(part => shuffleInPlace(part, random));
+    return parts;
+}
+
+/**
+ * Splits rows into k stratified folds: each class is shuffled with the seed and dealt round-robin across the folds.
+ * Returns k { training, validation } pairs where each fold serves as the validation part once.
+ */
+function stratifiedKFold(rows, k, seed) {
+    const random = createSeededRandom(seed);
+    const folds = Array.from({ length: k }, () => []);
+    groupRowsByClass(rows).forEach(group => {
+        shuffleInPlace(group, random).forEach((row, i) => folds[i % k].push(row));
+    });
+    return folds.map((validation, i) => ({
+        training: shuffleInPlace(folds.filter((_, j) => j !== i).flat(), random),
+        validation: shuffleInPlace(validation.slice(), random)
+    }));
+}
+
+
+// --- VOCABULARY ---
+
+// Bundled English stopword list (function words). Kept by default because function-word
+// habits are themselves a useful signal for AI detection.
+const ENGLISH_STOPWORDS = [
+    'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could',
+    'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has',
+    'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', 'if',
+    'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself', 'no', 'nor',
+    'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out',
+    'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their',
+    'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to',
+    'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+    'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves'
+];
+
+/** Counts token frequencies over the given rows, overall and per class label. */
+function countTokens(rows, tokenize) {
+    const total = new Map();
+    const byClass = [new Map(), new Map()];
+    rows.forEach(row => {
+        tokenize(row.text).forEach(token => {
+            total.set(token, (total.get(token) || 0) + 1);
+            byClass[row.label].set(token, (byClass[row.label].get(token) || 0) + 1);
+        });
+    });
+    return { total, byClass };
+}
+
+/**
+ * Builds the word-to-index map from token counts: excluded tokens (see createTokenExclusion) and tokens seen fewer
+ * than minCount times are dropped, then the maxSize most frequent are kept (0 = no limit).
+ * Indexes are assigned by frequency rank after the reserved '<PAD>' (0) and '<OOV>' (1).
+ */
+function buildVocabulary(tokenCounts, { minCount = 1, maxSize = 0, isExcluded = () => false } = {}) {
+    let ranked = [...tokenCounts.entries()]
+        .filter(([token, count]) => count >= minCount && !isExcluded(token))
+        .sort((a, b) => b[1] - a[1]);
+    if (maxSize > 0) ranked = ranked.slice(0, maxSize);
+
+    const vocabulary = { '<PAD>': 0, '<OOV>': 1 }; // OOV (Out-Of-Vocabulary) placeholder at index 1
+    let index = 2;
+    ranked.forEach(([token]) => {
+        if (!Object.prototype.hasOwnProperty.call(vocabulary, token)) {
+            vocabulary[token] = index++;
+        }
+    });
+    return { wordIndex: vocabulary, vocabSize: index };
+}
+
+/**
+ * Appends the tokens of new rows to an existing vocabulary without moving any index it already has, so sequences
+ * encoded with it and the embedding rows learned for them stay valid. New tokens follow the buildVocabulary() rules
+ * and are indexed by frequency after the existing ones; maxSize counts the tokens already in the vocabulary.
+ */
+function extendVocabulary(wordIndexMap, rows, tokenize, { minCount = 1, maxSize = 0, isExcluded = () => false } = {}) {
+    const wordIndex = { ...wordIndexMap };
+    let vocabSize = Object.values(wordIndex).reduce((max, index) => Math.max(max, index + 1), 0);
+    const room = maxSize > 0 ? Math.max(maxSize + 2 - vocabSize, 0) : Infinity;
+    const addedTokens = [...countTokens(rows, tokenize).total.entries()]
+        .filter(([token, count]) => count >= minCount && !isExcluded(token) && !Object.prototype.hasOwnProperty.call(wordIndex, token))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, room)
+        .map(([token]) => token);
+    addedTokens.forEach(token => {
+        wordIndex[token] = vocabSize++;
+    });
+    return { wordIndex, vocabSize, addedTokens };
+}
+
+/** Returns the share of tokens in the given rows that are missing from the vocabulary. */
+function computeOovRate(rows, tokenize, vocabulary) {
+    let totalTokens = 0;
+    let oovTokens = 0;
+    rows.forEach(row => {
+        tokenize(row.text).forEach(token => {
+            totalTokens++;
+            if (!Object.prototype.hasOwnProperty.call(vocabulary, token)) oovTokens++;
+        });
+    });
+    return { totalTokens, oovTokens, rate: totalTokens > 0 ? oovTokens / totalTokens : 0 };
+}
+
+
+// --- DATASET TENSORS ---
+
+/**
+ * Converts text rows per split into model tensors: padded sequences, labels and, with feature keys, standardized
+ * stylometric features. Training rows can be split into windows (validation/test stay one sequence per text so their
+ * metrics remain per document). The feature scaler is fitted on the training split, which must be listed first.
+ * With source classes the labels are one-hot source vectors instead of a 0/1 column.
+ * Returns { tensors: { split: { features, labels, stylometric? } }, stylometric: { features, scaler } | null }.
+ */
+function buildDatasetTensors(rowsBySplit, { sequenceLength, windowStride = null, featureKeys = null, wordIndexMap, activeTokenizer, sources = null }) {
+    const tensors = {};
+    let stylometric = null;
+    try {
+        Object.entries(rowsBySplit).forEach(([key, data]) => {
+            // Long training texts can be split into windows that each inherit the text's label
+            const rows = key === 'training' && windowStride !== null
+                ? data.flatMap(row => textToWindows(row.text, windowStride, wordIndexMap, sequenceLength, activeTokenizer)
+                    .map(w => ({ sequence: w.sequence, text: row.text.slice(w.start, w.end), label: row.label, source: row.source })))
+                : data.map(row => ({ sequence: textToSequence(row.text, wordIndexMap, sequenceLength, activeTokenizer), text: row.text, label: row.label, source: row.source }));
+
+            tensors[key] = {
+                features: tf.tensor2d(rows.map(row => row.sequence), [rows.length, sequenceLength], 'int32'),
+                labels: createLabelTensor(rows, sources)
+            };
+
+            if (featureKeys) {
+                const rawFeatures = rows.map(row => computeStylometricFeatures(row.text, featureKeys));
+                if (key === 'training') stylometric = { features: featureKeys, scaler: fitFeatureScaler(rawFeatures) };
+                tensors[key].stylometric = tf.tensor2d(rawFeatures.map(row => scaleFeatures(row, stylometric.scaler)),
+                    [rows.length, stylometric.scaler.mean.length]);
+            }
+        });
+    } catch (error) {
+        disposeDatasetTensors(tensors);
+        throw error;
+    }
+    return { tensors, stylometric };
+}
+
+/** Label tensor of rows: [n, 1] binary labels, or one-hot source classes for source attribution. */
+function createLabelTensor(rows, sources = null) {
+    return sources
+        ? tf.tidy(() => tf.oneHot(tf.tensor1d(rows.map(row => row.source), 'int32'), sources.names.length).toFloat())
+        : tf.tensor2d(rows.map(row => row.label), [rows.length, 1], 'int32');
+}
+
+/**
+ * Reads a split's label tensor back as { labels } (0 = AI, 1 = Human) and, for one-hot source labels,
+ * { sourceLabels } with the source indices; labels are then collapsed with the sources' human flags.
+ */
+async function readSplitLabels(labelTensor, sources = null) {
+    if (!sources) return { labels: Array.from(await labelTensor.data()) };
+    const indexTensor = labelTensor.argMax(-1);
+    const sourceLabels = Array.from(await indexTensor.data());
+    indexTensor.dispose();
+    return { labels: sourceLabels.map(source => (sources.human.includes(source) ? 1 : 0)), sourceLabels };
+}
+
+/** Disposes every tensor of processed splits created by buildDatasetTensors(). */
+function disposeDatasetTensors(tensors) {
+    Object.values(tensors).forEach(split => tf.dispose([split.features, split.labels, split.stylometric].filter(Boolean)));
+}
+
+
+// --- MODELS ---
+
+const MODEL_ARCHITECTURES = {
+    dense: 'Flatten + Dense (original)',
+    pooling: 'Global Average Pooling',
+    cnn: '1D CNN',
+    bilstm: 'Bidirectional LSTM',
+    bigru: 'Bidirectional GRU',
+    transformer: 'Transformer Encoder'
+};
+
+const OPTIMIZERS = ['adam', 'rmsprop', 'sgd', 'adagrad'];
+
+const CNN_KERNEL_SIZE = 5;
+
+const DEFAULT_MODEL_CONFIG = {
+    architecture: 'dense',
+    embeddingDim: 16,
+    units: 10,        // Dense units / CNN filters / RNN units / transformer feed-forward size
+    numHeads: 2,      // Transformer only
+    dropout: 0,
+    l2: 0,
+    optimizer: 'adam',
+    learningRate: 0.005,
+    pretrainedEmbeddings: null, // File name of imported word vectors; their dimension sets embeddingDim
+    trainEmbeddings: true       // false freezes the embedding layer (pretrained vectors only)
+};
+
+/** Adds a learned position vector to every timestep of the embedded sequence. */
+class PositionEmbedding extends tf.layers.Layer {
+    static get className() {
+        return 'PositionEmbedding';
+    }
+
+    build(inputShape) {
+        this.positions = this.addWeight('positions', [inputShape[1], inputShape[2]], 'float32',
+            tf.initializers.randomUniform({ minval: -0.05, maxval: 0.05 }));
+        this.built = true;
+    }
+
+    computeOutputShape(inputShape) {
+        return inputShape;
+    }
+
+    call(inputs) {
+        return tf.tidy(() => {
+            const x = Array.isArray(inputs) ? inputs[0] : inputs;
+            return x.add(this.positions.read());
+        });
+    }
+}
+
+/** A single post-norm transformer encoder block: multi-head self-attention followed by a feed-forward network. */
+class TransformerEncoderBlock extends tf.layers.Layer {
+    static get className() {
+        return 'TransformerEncoderBlock';
+    }
+
+    constructor(config) {
+        super(config);
+        this.numHeads = config.numHeads;
+        this.ffDim = config.ffDim;
+    }
+
+    build(inputShape) {
+        const dim = inputShape[2];
+        const glorot = () => tf.initializers.glorotUniform({});
+        this.queryKernel = this.addWeight('query_kernel', [dim, dim], 'float32', glorot());
+        this.keyKernel = this.addWeight('key_kernel', [dim, dim], 'float32', glorot());
+        this.valueKernel = this.addWeight('value_kernel', [dim, dim], 'float32', glorot());
+        this.outputKernel = this.addWeight('output_kernel', [dim, dim], 'float32', glorot());
+        this.ffKernel1 = this.addWeight('ff_kernel_1', [dim, this.ffDim], 'float32', glorot());
+        this.ffBias1 = this.addWeight('ff_bias_1', [this.ffDim], 'float32', tf.initializers.zeros());
+        this.ffKernel2 = this.addWeight('ff_kernel_2', [this.ffDim, dim], 'float32', glorot());
+        this.ffBias2 = this.addWeight('ff_bias_2', [dim], 'float32', tf.initializers.zeros());
+        this.norm1Gamma = this.addWeight('norm_1_gamma', [dim], 'float32', tf.initializers.ones());
+        this.norm1Beta = this.addWeight('norm_1_beta', [dim], 'float32', tf.initializers.zeros());
+        this.norm2Gamma = this.addWeight('norm_2_gamma', [dim], 'float32', tf.initializers.ones());
+        this.norm2Beta = this.addWeight('norm_2_beta', [dim], 'float32', tf.initializers.zeros());
+        this.built = true;
+    }
+
+    computeOutputShape(inputShape) {
+        return inputShape;
+    }
+
+    call(inputs) {
+        return tf.tidy(() => {
+            const x = Array.isArray(inputs) ? inputs[0] : inputs;
+            const [, length, dim] = x.shape;
+            const headDim = dim / this.numHeads;
+            const layerNorm = (t, gamma, beta) => {
+                const { mean, variance } = tf.moments(t, -1, true);
+                return t.sub(mean).div(variance.add(1e-6).sqrt()).mul(gamma.read()).add(beta.read());
+            };
+            // [batch * length, dim] -> [batch, heads, length, headDim]
+            const splitHeads = t => t.reshape([-1, length, this.numHeads, headDim]).transpose([0, 2, 1, 3]);
+
+            const flat = x.reshape([-1, dim]);
+            const query = splitHeads(tf.matMul(flat, this.queryKernel.read()));
+            const key = splitHeads(tf.matMul(flat, this.keyKernel.read()));
+            const value = splitHeads(tf.matMul(flat, this.valueKernel.read()));
+
+            const scores = tf.matMul(query, key, false, true).div(Math.sqrt(headDim));
+            const attended = tf.matMul(tf.softmax(scores), value).transpose([0, 2, 1, 3]).reshape([-1, dim]);
+            const attentionOut = layerNorm(flat.add(tf.matMul(attended, this.outputKernel.read())), this.norm1Gamma, this.norm1Beta);
+
+            const hidden = tf.relu(tf.matMul(attentionOut, this.ffKernel1.read()).add(this.ffBias1.read()));
+            const ffOut = tf.matMul(hidden, this.ffKernel2.read()).add(this.ffBias2.read());
+            return layerNorm(attentionOut.add(ffOut), this.norm2Gamma, this.norm2Beta).reshape([-1, length, dim]);
+        });
+    }
+
+    getConfig() {
+        return { ...super.getConfig(), numHeads: this.numHeads, ffDim: this.ffDim };
+    }
+}
+
+// Registered so saved detector bundles using these layers can be loaded again
+tf.serialization.registerClass(PositionEmbedding);
+tf.serialization.registerClass(TransformerEncoderBlock);
+
+/** Throws a descriptive error if the config cannot produce a valid model. */
+function validateModelConfig(config, sequenceLength) {
+    if (!MODEL_ARCHITECTURES[config.architecture]) throw new Error(`Unknown architecture "${config.architecture}".`);
+    if (!OPTIMIZERS.includes(config.optimizer)) throw new Error(`Unknown optimizer "${config.optimizer}".`);
+    if (config.embeddingDim < 1 || config.units < 1) throw new Error('Embedding dim and units must be at least 1.');
+    if (config.dropout < 0 || config.dropout >= 1) throw new Error('Dropout must be in [0, 1).');
+    if (config.l2 < 0) throw new Error('L2 regularization must not be negative.');
+    if (config.learningRate <= 0) throw new Error('Learning rate must be positive.');
+    if (config.trainEmbeddings === false && !config.pretrainedEmbeddings) throw new Error('Only pretrained embeddings can be frozen.');
+    if (config.architecture === 'transformer' && (config.numHeads < 1 || config.embeddingDim % config.numHeads !== 0)) {
+        throw new Error(`Embedding dim (${config.embeddingDim}) must be divisible by the number of attention heads (${config.numHeads}).`);
+    }
+    if (config.architecture === 'cnn' && sequenceLength < CNN_KERNEL_SIZE) {
+        throw new Error(`The 1D CNN needs a sequence length of at least ${CNN_KERNEL_SIZE}.`);
+    }
+}
+
+/** Adds the embedding and the selected sequence encoder (ending in a single feature vector) to a Sequential model. */
+function addSequenceEncoderLayers(target, config, vocabSize, sequenceLength, kernelRegularizer) {
+    const addDropout = (model) => {
+        if (config.dropout > 0) model.add(tf.layers.dropout({ rate: config.dropout }));
+    };
+
+    // 1. Embedding Layer: Turns word indices into dense vectors
+    target.add(tf.layers.embedding({
+        inputDim: vocabSize,
+        outputDim: config.embeddingDim,
+        inputLength: sequenceLength,
+        trainable: config.trainEmbeddings !== false
+    }));
+
+    // 2. Sequence encoder: reduces [sequenceLength, embeddingDim] to a single feature vector
+    switch (config.architecture) {
+        case 'dense':
+            // Flatten the embedded sequences (e.g. from [50, 16] to [800])
+            target.add(tf.layers.flatten());
+            target.add(tf.layers.dense({ units: config.units, activation: 'relu', kernelRegularizer }));
+            break;
+        case 'pooling':
+            target.add(tf.layers.globalAveragePooling1d());
+            break;
+        case 'cnn':
+            target.add(tf.layers.conv1d({ filters: config.units, kernelSize: CNN_KERNEL_SIZE, activation: 'relu', kernelRegularizer }));
+            target.add(tf.layers.globalMaxPooling1d());
+            break;
+        case 'bilstm':
+        case 'bigru': {
+            const rnnLayer = config.architecture === 'bilstm' ? tf.layers.lstm : tf.layers.gru;
+            target.add(tf.layers.bidirectional({
+                layer: rnnLayer({ units: config.units, kernelRegularizer }),
+                mergeMode: 'concat'
+            }));
+            break;
+        }
+        case 'transformer':
+            target.add(new PositionEmbedding({}));
+            target.add(new TransformerEncoderBlock({ numHeads: config.numHeads, ffDim: config.units }));
+            target.add(tf.layers.globalAveragePooling1d());
+            break;
+    }
+    addDropout(target);
+}
+
+/**
+ * Builds (but does not compile) the classifier described by the config. With a feature dimension the model
+ * takes [token sequences, stylometric features] as inputs; otherwise it is a Sequential over sequences.
+ */
+function buildModel(config, vocabSize, sequenceLength, featureDim = 0, sources = null) {
+    validateModelConfig(config, sequenceLength);
+    const kernelRegularizer = config.l2 > 0 ? tf.regularizers.l2({ l2: config.l2 }) : undefined;
+    const addDropout = (target) => {
+        if (config.dropout > 0) target.add(tf.layers.dropout({ rate: config.dropout }));
+    };
+
+    if (featureDim === 0) {
+        const newModel = tf.sequential();
+        addSequenceEncoderLayers(newModel, config, vocabSize, sequenceLength, kernelRegularizer);
+
+        // 3. Dense classification head and output layer (Binary Classification: 1 or 0, or one unit per source)
+        newModel.add(tf.layers.dense({ units: config.units, activation: 'relu', kernelRegularizer }));
+        addDropout(newModel);
+        newModel.add(createOutputLayer(sources));
+        return newModel;
+    }
+
+    // Hybrid model: the sequence encoder is a nested Sequential (so explanations can reach its embedding),
+    // merged with a dense branch over the stylometric features before the classification head
+    const encoder = tf.sequential({ name: 'sequence_encoder' });
+    addSequenceEncoderLayers(encoder, config, vocabSize, sequenceLength, kernelRegularizer);
+    const tokensInput = tf.input({ shape: [sequenceLength], name: 'tokens' });
+    const featuresInput = tf.input({ shape: [featureDim], name: 'stylometric_features' });
+    const featureBranch = tf.layers.dense({ units: config.units, activation: 'relu', kernelRegularizer, name: 'stylometric_dense' })
+        .apply(featuresInput);
+
+    let output = tf.layers.concatenate({ name: 'hybrid_concat' }).apply([encoder.apply(tokensInput), featureBranch]);
+    output = tf.layers.dense({ units: config.units, activation: 'relu', kernelRegularizer }).apply(output);
+    if (config.dropout > 0) output = tf.layers.dropout({ rate: config.dropout }).apply(output);
+    output = createOutputLayer(sources).apply(output);
+    return tf.model({ inputs: [tokensInput, featuresInput], outputs: output });
+}
+
+/** Output layer: one sigmoid unit (P(Human)) for binary detectors, a softmax over the sources for source attribution. */
+function createOutputLayer(sources) {
+    return sources
+        ? tf.layers.dense({ units: sources.names.length, activation: 'softmax' })
+        : tf.layers.dense({ units: 1, activation: 'sigmoid' });
+}
+
+/** Loss matching createOutputLayer(): binary or categorical cross-entropy. */
+function getModelLoss(sources) {
+    return sources ? 'categoricalCrossentropy' : 'binaryCrossentropy';
+}
+
+/** Number of weights the optimizer updates (countParams() also counts frozen layers). */
+function countTrainableParams(targetModel) {
+    return targetModel.trainableWeights.reduce((sum, weight) => sum + weight.shape.reduce((a, b) => a * b, 1), 0);
+}
+
+/** Creates the optimizer named in the config with its learning rate. */
+function createOptimizer(config) {
+    return tf.train[config.optimizer](config.learningRate);
+}
+
+/** Disposes a model and the optimizer it was compiled with, whose slots model.dispose() leaves behind. */
+function disposeModel(targetModel) {
+    if (targetModel.optimizer) targetModel.optimizer.dispose();
+    targetModel.dispose();
+}
+
+/** Serializes a model (topology, weights and training config) in memory; load it with tf.io.fromMemory(). */
+async function exportModelArtifacts(targetModel) {
+    let artifacts = null;
+    await targetModel.save(tf.io.withSaveHandler(async (modelArtifacts) => {
+        artifacts = modelArtifacts;
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    return artifacts;
+}
+
+
+// --- PRETRAINED EMBEDDINGS ---
+
+// Word vectors in the text format shared by GloVe, word2vec and fastText: one "word v1 v2 ... vN" line per word,
+// after a "<word count> <dimension>" header line in word2vec and fastText files
+const EMBEDDING_PROGRESS_LINES = 50000; // Vector lines read between progress reports
+
+/** Yields the text of a string, a Blob/File (decoded in chunks) or an async iterable of strings such as a Node read stream. */
+async function* readTextChunks(source) {
+    if (typeof source === 'string') {
+        yield source;
+        return;
+    }
+    if (typeof source.stream === 'function') {
+        const reader = source.stream().getReader();
+        const decoder = new TextDecoder();
+        for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+            yield decoder.decode(chunk.value, { stream: true });
+        }
+        yield decoder.decode();
+        return;
+    }
+    yield* source;
+}
+
+/** The spelling a vocabulary token is looked up under when the file has no exact entry: subword markers removed, lowercased. */
+function foldEmbeddingToken(token) {
+    let word = token;
+    if (word.endsWith(BPE_END_OF_WORD)) word = word.slice(0, -BPE_END_OF_WORD.length);
+    if (word.startsWith(WORDPIECE_PREFIX)) word = word.slice(WORDPIECE_PREFIX.length);
+    return word.toLowerCase();
+}
+
+/**
+ * Reads the vectors of the vocabulary tokens from a word-vector file (see readTextChunks for the sources), keeping
+ * only those, so large files fit in memory. A token takes the vector of its exact spelling; tokens without one take
+ * the first vector whose folded spelling matches theirs, which is the most frequent casing in frequency-sorted files.
+ * The dimension comes from the header line, or else from the first vector.
+ * Returns { dim, vectors: Map(index -> Float32Array), exactMatches, foldedMatches, linesRead, skippedLines }.
+ */
+async function readEmbeddingVectors(source, wordIndexMap, onProgress = async () => {}) {
+    const exactIndexes = new Map();
+    const foldedIndexes = new Map();
+    Object.entries(wordIndexMap).forEach(([token, index]) => {
+        if (index < 2) return; // '<PAD>' and '<OOV>' are not words
+        exactIndexes.set(token, index);
+        const folded = foldEmbeddingToken(token);
+        if (!foldedIndexes.has(folded)) foldedIndexes.set(folded, []);
+        foldedIndexes.get(folded).push(index);
+    });
+
+    const vectors = new Map();
+    const exactlyMatched = new Set();
+    let dim = null;
+    let linesRead = 0;
+    let skippedLines = 0;
+    const parseLine = (line) => {
+        const parts = line.trimEnd().split(' ');
+        if (parts.length === 1 && parts[0] === '') return;
+        linesRead++;
+        if (dim === null) {
+            if (linesRead === 1 && parts.length === 2 && /^\d+$/.test(parts[0]) && /^\d+$/.test(parts[1])) {
+                dim = Number(parts[1]);
+                return;
+            }
+            dim = parts.length - 1;
+            if (dim < 1) throw new Error('The first line is not a word vector ("word v1 v2 ...").');
+        }
+        if (parts.length <= dim) {
+            skippedLines++;
+            return;
+        }
+        // GloVe's larger files have a few words that contain spaces, so the word is everything before the vector
+        const word = parts.slice(0, parts.length - dim).join(' ');
+        const exact = exactIndexes.get(word);
+        const targets = (foldedIndexes.get(foldEmbeddingToken(word)) || []).filter(index => !vectors.has(index));
+        if (exact !== undefined && !exactlyMatched.has(exact) && !targets.includes(exact)) targets.push(exact);
+        if (targets.length === 0) return;
+
+        const vector = new Float32Array(dim);
+        for (let d = 0; d < dim; d++) {
+            vector[d] = Number(parts[parts.length - dim + d]);
+            if (!Number.isFinite(vector[d])) {
+                skippedLines++;
+                return;
+            }
+        }
+        targets.forEach(index => vectors.set(index, vector));
+        if (exact !== undefined && targets.includes(exact)) exactlyMatched.add(exact);
+    };
+
+    let pending = '';
+    let nextReport = EMBEDDING_PROGRESS_LINES;
+    for await (const chunk of readTextChunks(source)) {
+        if (linesRead === 0 && chunk.includes('\u0000')) {
+            throw new Error('This looks like a binary word2vec file. Only the text format (.txt / .vec) is supported.');
+        }
+        const lines = (pending + chunk).split('\n');
+        pending = lines.pop();
+        lines.forEach(parseLine);
+        if (linesRead >= nextReport) {
+            nextReport = linesRead + EMBEDDING_PROGRESS_LINES;
+            await onProgress({ linesRead, matchedWords: vectors.size });
+        }
+    }
+    parseLine(pending);
+
+    if (dim === null) throw new Error('The file has no word vectors.');
+    if (vectors.size === 0) {
+        throw new Error(`None of the ${exactIndexes.size} vocabulary tokens has a vector in this file. Word-level tokenizers match best.`);
+    }
+    return { dim, vectors, exactMatches: exactlyMatched.size, foldedMatches: vectors.size - exactlyMatched.size, linesRead, skippedLines };
+}
+
+/**
+ * Builds the [vocabSize, dim] initial weights of the embedding layer from readEmbeddingVectors(). '<PAD>' stays zero
+ * and tokens with a vector use it. The other tokens, including '<OOV>', are drawn from a seeded normal distribution
+ * with the per-dimension mean and standard deviation of the found vectors, so they start on the same scale.
+ */
+function buildEmbeddingMatrix({ dim, vectors }, vocabSize, seed = DEFAULT_SPLIT_SETTINGS.seed) {
+    const mean = new Float64Array(dim);
+    const meanSquare = new Float64Array(dim);
+    vectors.forEach(vector => {
+        for (let d = 0; d < dim; d++) {
+            mean[d] += vector[d] / vectors.size;
+            meanSquare[d] += vector[d] * vector[d] / vectors.size;
+        }
+    });
+    const std = mean.map((m, d) => Math.sqrt(Math.max(meanSquare[d] - m * m, 0)));
+
+    const random = createSeededRandom(seed);
+    const normal = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random()); // Box-Muller
+    const matrix = new Float32Array(vocabSize * dim);
+    for (let index = 1; index < vocabSize; index++) {
+        const vector = vectors.get(index);
+        for (let d = 0; d < dim; d++) matrix[index * dim + d] = vector ? vector[d] : mean[d] + std[d] * normal();
+    }
+    return matrix;
+}
+
+/**
+ * Share of the vocabulary (without '<PAD>' and '<OOV>') that has a pretrained vector, by distinct token and weighted
+ * by the training token counts, with the most frequent tokens that have none.
+ */
+function computeEmbeddingCoverage(wordIndexMap, vectors, tokenCounts, numMissingExamples = 20) {
+    const missing = [];
+    let words = 0;
+    let tokens = 0;
+    let coveredTokens = 0;
+    Object.entries(wordIndexMap).forEach(([token, index]) => {
+        if (index < 2) return;
+        const count = tokenCounts.get(token) || 0;
+        words++;
+        tokens += count;
+        if (vectors.has(index)) coveredTokens += count;
+        else missing.push({ token, count });
+    });
+    return {
+        words,
+        coveredWords: words - missing.length,
+        wordRate: words > 0 ? (words - missing.length) / words : 0,
+        tokens,
+        coveredTokens,
+        tokenRate: tokens > 0 ? coveredTokens / tokens : 0,
+        missingExamples: missing.sort((a, b) => b.count - a.count).slice(0, numMissingExamples)
+    };
+}
+
+/** The embedding layer of a model from buildModel() (inside the sequence encoder of hybrid models). */
+function getEmbeddingLayer(targetModel) {
+    const encoder = targetModel.layers.find(layer => layer.name === 'sequence_encoder') || targetModel;
+    return encoder.layers[0];
+}
+
+/**
+ * Loads imported word vectors ({ fileName, dim, matrix }) into a model built for a config with pretrainedEmbeddings;
+ * models with random embeddings are left as they are.
+ */
+function initializePretrainedEmbeddings(targetModel, config, embeddings) {
+    if (!config.pretrainedEmbeddings) return;
+    if (!embeddings) throw new Error(`Import the pretrained word vectors (${config.pretrainedEmbeddings}) first.`);
+    const [vocabSize, dim] = getEmbeddingLayer(targetModel).weights[0].shape;
+    if (dim !== embeddings.dim) {
+        throw new Error(`Embedding dim (${dim}) must match the ${embeddings.dim} dimensions of the pretrained word vectors.`);
+    }
+    tf.tidy(() => getEmbeddingLayer(targetModel).setWeights([tf.tensor2d(embeddings.matrix, [vocabSize, dim])]));
+}
+
+
+// --- TRAINING ---
+
+// Fallbacks for the Step 6 controls (and the defaults of the command line)
+const DEFAULT_TRAINING_SETTINGS = {
+    epochs: 10,
+    batchSize: 32,
+    earlyStopping: false,
+    patience: 3,
+    restoreBestWeights: true,
+    lrSchedule: 'constant',
+    lrDecayFactor: 0.5,
+    lrStepEpochs: 3,
+    useClassWeights: false
+};
+const LR_SCHEDULES = {
+    constant: 'Constant',
+    step: 'Step decay (every N epochs)',
+    exponential: 'Exponential decay (per epoch)',
+    plateau: 'Reduce on val_loss plateau (after N epochs)'
+};
+
+/** Computes balanced class weights (total / (numClasses * classCount)) so every class contributes equally to the loss. */
+function computeClassWeights(labels, numClasses = 2) {
+    const counts = new Array(numClasses).fill(0);
+    labels.forEach(label => counts[label]++);
+    const weights = {};
+    counts.forEach((count, cls) => {
+        weights[cls] = count > 0 ? labels.length / (numClasses * count) : 1;
+    });
+    return weights;
+}
+
+/** Sets the learning rate of a TF.js optimizer (SGD caches it and needs setLearningRate()). */
+function setOptimizerLearningRate(optimizer, learningRate) {
+    if (typeof optimizer.setLearningRate === 'function') {
+        optimizer.setLearningRate(learningRate);
+    } else {
+        optimizer.learningRate = learningRate;
+    }
+}
+
+/**
+ * Creates fit callbacks implementing the learning-rate schedule, early stopping on val_loss,
+ * best-weight snapshots and pause/resume/cancel. Pausing and cancelling follow the shared control object
+ * ({ paused, cancelRequested, resumeWaiter }). The returned state is filled in during training.
+ */
+function createTrainingControlCallbacks(targetModel, settings, baseLearningRate, control) {
+    const state = {
+        bestValLoss: Infinity,
+        bestEpoch: -1,
+        bestWeights: null,
+        stoppedEarly: false,
+        learningRates: []
+    };
+    let currentLearningRate = baseLearningRate;
+    let epochsSinceImprovement = 0;
+    let plateauWait = 0;
+
+    const callbacks = {
+        onEpochBegin: async (epoch) => {
+            if (settings.lrSchedule === 'step') {
+                currentLearningRate = baseLearningRate * Math.pow(settings.lrDecayFactor, Math.floor(epoch / settings.lrStepEpochs));
+            } else if (settings.lrSchedule === 'exponential') {
+                currentLearningRate = baseLearningRate * Math.pow(settings.lrDecayFactor, epoch);
+            }
+            setOptimizerLearningRate(targetModel.optimizer, currentLearningRate);
+            state.learningRates.push(currentLearningRate);
+        },
+        onEpochEnd: async (epoch, logs) => {
+            if (logs.val_loss === undefined) return; // Epoch interrupted by Cancel
+            if (logs.val_loss < state.bestValLoss) {
+                state.bestValLoss = logs.val_loss;
+                state.bestEpoch = epoch;
+                epochsSinceImprovement = 0;
+                plateauWait = 0;
+                if (settings.restoreBestWeights) {
+                    if (state.bestWeights) state.bestWeights.forEach(w => w.dispose());
+                    state.bestWeights = targetModel.getWeights().map(w => w.clone());
+                }
+            } else {
+                epochsSinceImprovement++;
+                plateauWait++;
+            }
+
+            if (settings.lrSchedule === 'plateau' && plateauWait >= settings.lrStepEpochs) {
+                currentLearningRate *= settings.lrDecayFactor;
+                plateauWait = 0;
+            }
+            if (settings.earlyStopping && epochsSinceImprovement >= settings.patience) {
+                state.stoppedEarly = true;
+                targetModel.stopTraining = true;
+            }
+        },
+        onBatchEnd: async () => {
+            // Hold the training loop here while paused; tfjs awaits async callbacks
+            while (control.paused && !control.cancelRequested) {
+                await new Promise(resolve => { control.resumeWaiter = resolve; });
+            }
+            if (control.cancelRequested) {
+                targetModel.stopTraining = true;
+            }
+        }
+    };
+    return { callbacks, state };
+}
+
+
+// --- METRICS ---
+
+// AI-generated text (label 0) is treated as the positive class for ROC/PR curves,
+// since "flagged as AI" is the decision the detector is actually used for.
+const CALIBRATION_BINS = 10;
+
+/** Builds a confusion matrix (2x2 by default). Rows are true labels, columns are predicted labels. */
+function computeConfusionMatrix(labels, predictedLabels, numClasses = 2) {
+    const matrix = Array.from({ length: numClasses }, () => new Array(numClasses).fill(0));
+    labels.forEach((label, i) => {
+        matrix[label][predictedLabels[i]]++;
+    });
+    return matrix;
+}
+
+/** Computes precision, recall, F1 and support for each class from a confusion matrix. */
+function computeClassificationReport(matrix, classNames = CLASS_NAMES) {
+    return matrix.map((row, cls) => {
+        const truePositives = matrix[cls][cls];
+        const predictedCount = matrix.reduce((sum, r) => sum + r[cls], 0);
+        const support = row.reduce((sum, count) => sum + count, 0);
+        const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+        const recall = support > 0 ? truePositives / support : 0;
+        const f1 = (precision + recall) > 0 ? 2 * precision * recall / (precision + recall) : 0;
+        return { label: classNames[cls], precision, recall, f1, support };
+    });
+}
+
+/**
+ * Sweeps every distinct score as a threshold (highest first) and returns the
+ * cumulative true/false positive counts at each step. Tied scores are grouped.
+ */
+function sweepThresholds(isPositive, scores) {
+    const order = scores.map((s, i) => i).sort((a, b) => scores[b] - scores[a]);
+    const steps = [];
+    let tp = 0;
+    let fp = 0;
+    for (let i = 0; i < order.length; i++) {
+        if (isPositive[order[i]]) tp++; else fp++;
+        const nextIdx = order[i + 1];
+        if (nextIdx === undefined || scores[nextIdx] !== scores[order[i]]) {
+            steps.push({ threshold: scores[order[i]], tp, fp });
+        }
+    }
+    return steps;
+}
+
+/** Computes the ROC curve and its area (trapezoidal rule). */
+function computeRocCurve(isPositive, scores) {
+    const totalPos = isPositive.filter(Boolean).length;
+    const totalNeg = isPositive.length - totalPos;
+    if (totalPos === 0 || totalNeg === 0) return { points: [], auc: NaN };
+
+    const points = [{ x: 0, y: 0 }];
+    sweepThresholds(isPositive, scores).forEach(({ tp, fp }) => {
+        points.push({ x: fp / totalNeg, y: tp / totalPos });
+    });
+
+    let auc = 0;
+    for (let i = 1; i < points.length; i++) {
+        auc += (points[i].x - points[i - 1].x) * (points[i].y + points[i - 1].y) / 2;
+    }
+    return { points, auc };
+}
+
+/** Computes the precision-recall curve and its area as average precision. */
+function computePrCurve(isPositive, scores) {
+    const totalPos = isPositive.filter(Boolean).length;
+    if (totalPos === 0) return { points: [], auc: NaN };
+
+    const points = [];
+    let auc = 0;
+    let prevRecall = 0;
+    sweepThresholds(isPositive, scores).forEach(({ tp, fp }) => {
+        const precision = tp / (tp + fp);
+        const recall = tp / totalPos;
+        auc += (recall - prevRecall) * precision;
+        prevRecall = recall;
+        points.push({ x: recall, y: precision });
+    });
+    return { points, auc };
+}
+
+/** Groups predictions into equal-width probability bins and compares them with the observed rate. */
+function computeCalibrationBins(labels, probabilities, numBins = CALIBRATION_BINS) {
+    const bins = Array.from({ length: numBins }, () => ({ count: 0, probSum: 0, positives: 0 }));
+    probabilities.forEach((p, i) => {
+        const bin = bins[Math.min(numBins - 1, Math.floor(p * numBins))];
+        bin.count++;
+        bin.probSum += p;
+        bin.positives += labels[i];
+    });
+    return bins
+        .filter(bin => bin.count > 0)
+        .map(bin => ({ meanPredicted: bin.probSum / bin.count, observed: bin.positives / bin.count, count: bin.count }));
+}
+
+/**
+ * Computes the confusion matrix, per-class report, accuracy and macro F1 of the verdicts of a decision rule (0.5 by
+ * default), plus the threshold-free ROC/PR curves. Texts the rule leaves Uncertain are counted in `uncertain`
+ * instead of the matrix.
+ */
+function computeBinaryMetrics(labels, probabilities, decision = DEFAULT_DECISION_RULE) {
+    const verdicts = probabilities.map(p => classifyProbability(p, decision));
+    const decided = verdicts.map((verdict, i) => i).filter(i => verdicts[i] !== 'Uncertain');
+    const matrix = computeConfusionMatrix(decided.map(i => labels[i]), decided.map(i => (verdicts[i] === 'Human' ? 1 : 0)));
+    const report = computeClassificationReport(matrix);
+    const isAi = labels.map(label => label === 0);
+    const aiScores = probabilities.map(p => 1 - p);
+    return {
+        matrix,
+        report,
+        roc: computeRocCurve(isAi, aiScores),
+        pr: computePrCurve(isAi, aiScores),
+        accuracy: safeRatio(matrix[0][0] + matrix[1][1], decided.length),
+        macroF1: (report[0].f1 + report[1].f1) / 2,
+        uncertain: labels.length - decided.length
+    };
+}
+
+/**
+ * Source-attribution metrics: the confusion matrix and per-source report of the most likely source,
+ * accuracy, macro F1 and top-2 accuracy (the true source among the two most likely).
+ */
+function computeSourceMetrics(sourceLabels, sourceProbabilities, sourceNames) {
+    const ranked = sourceProbabilities.map(row => row.map((p, i) => i).sort((a, b) => row[b] - row[a]));
+    const matrix = computeConfusionMatrix(sourceLabels, ranked.map(order => order[0]), sourceNames.length);
+    const report = computeClassificationReport(matrix, sourceNames);
+    return {
+        matrix,
+        report,
+        accuracy: safeRatio(sourceLabels.filter((label, i) => ranked[i][0] === label).length, sourceLabels.length),
+        topTwoAccuracy: safeRatio(sourceLabels.filter((label, i) => ranked[i].slice(0, 2).includes(label)).length, sourceLabels.length),
+        macroF1: safeRatio(report.reduce((sum, r) => sum + r.f1, 0), report.length)
+    };
+}
+
+/** Mean and (population) standard deviation of a list of numbers. */
+function computeMeanStd(values) {
+    const mean = safeRatio(values.reduce((sum, v) => sum + v, 0), values.length);
+    const variance = safeRatio(values.reduce((sum, v) => sum + (v - mean) ** 2, 0), values.length);
+    return { mean, std: Math.sqrt(variance) };
+}
+
+/** Mean binary cross-entropy of sigmoid outputs, matching the val_loss Keras reports. */
+function computeLogLoss(labels, probabilities) {
+    const epsilon = 1e-7;
+    const total = labels.reduce((sum, label, i) => {
+        const p = Math.min(Math.max(probabilities[i], epsilon), 1 - epsilon);
+        return sum - (label === 1 ? Math.log(p) : Math.log(1 - p));
+    }, 0);
+    return safeRatio(total, labels.length);
+}
+
+/** Mean categorical cross-entropy of softmax outputs, matching the val_loss Keras reports for source attribution. */
+function computeCategoricalLogLoss(labels, probabilityRows) {
+    const epsilon = 1e-7;
+    const total = labels.reduce((sum, label, i) => sum - Math.log(Math.min(Math.max(probabilityRows[i][label], epsilon), 1 - epsilon)), 0);
+    return safeRatio(total, labels.length);
+}
+
+
+// --- DECISION THRESHOLDS ---
+
+// A decision rule flags a text as AI when P(Human) <= threshold and abstains ("Uncertain") when P(Human) is within
+// uncertainMargin of the threshold. A false positive is a human text flagged as AI, the costly mistake.
+const THRESHOLD_METHODS = {
+    default: 'Default (0.5)',
+    targetFpr: 'Target false-positive rate',
+    maxF1: 'Maximum F1 (AI class)',
+    youden: "Youden's J (TPR - FPR)",
+    manual: 'Manual threshold'
+};
+const DEFAULT_DECISION_RULE = { method: 'default', threshold: 0.5, uncertainMargin: 0, targetFpr: null };
+
+/** Counts the leading entries of an ascending array for which the (monotone) predicate holds. */
+function countLeadingMatches(sorted, predicate) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (predicate(sorted[mid])) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+/**
+ * Chooses the threshold on P(Human) from labelled (validation) predictions, scoring each candidate with the uncertain
+ * band applied: an abstained AI text is not flagged (it counts as missed) and an abstained human text is neither
+ * flagged nor cleared. A text changes verdict where the threshold crosses P(Human) +/- uncertainMargin, so the
+ * candidates are the midpoints between adjacent crossings (and 0 and 1), which never sit on an observed score.
+ * 'targetFpr' flags as many AI texts as possible while at most targetFpr of the human texts are flagged, 'maxF1'
+ * maximizes the AI-class F1 and 'youden' maximizes TPR + TNR - 1 (TPR - FPR without a band). Of equally good
+ * candidates the middle one is taken, leaving the widest margin to both sides.
+ */
+function selectDecisionThreshold(labels, probabilities, { method, targetFpr = null, uncertainMargin = 0 }) {
+    if (method === 'default') return DEFAULT_DECISION_RULE.threshold;
+    const aiScores = probabilities.filter((_, i) => labels[i] === 0).sort((a, b) => a - b);
+    const humanScores = probabilities.filter((_, i) => labels[i] !== 0).sort((a, b) => a - b);
+    if (aiScores.length === 0 || humanScores.length === 0) {
+        throw new Error('Threshold tuning needs both AI and Human texts in the validation set.');
+    }
+    if (method === 'targetFpr' && !(targetFpr >= 0 && targetFpr < 1)) {
+        throw new Error('The target false-positive rate must be at least 0% and below 100%.');
+    }
+    const score = {
+        targetFpr: candidate => (candidate.fpr <= targetFpr ? candidate.tpr : -1),
+        maxF1: candidate => candidate.f1,
+        youden: candidate => candidate.tpr + candidate.tnr - 1
+    }[method];
+    if (!score) throw new Error(`Unknown threshold method "${method}".`);
+
+    const crossings = [...new Set([0, 1, ...probabilities.flatMap(p => [p - uncertainMargin, p + uncertainMargin])])]
+        .filter(x => x >= 0 && x <= 1)
+        .sort((a, b) => a - b);
+    const candidates = crossings.slice(1).map((x, i) => {
+        const threshold = (crossings[i] + x) / 2;
+        // Flagged as AI exactly when classifyProbability() says so: at or below the threshold and outside the band
+        const isFlagged = p => p <= threshold && threshold - p >= uncertainMargin;
+        const isCleared = p => p > threshold && p - threshold >= uncertainMargin;
+        const tp = countLeadingMatches(aiScores, isFlagged);
+        const fp = countLeadingMatches(humanScores, isFlagged);
+        const tn = humanScores.length - countLeadingMatches(humanScores, p => !isCleared(p));
+        const candidate = {
+            tpr: tp / aiScores.length,
+            fpr: fp / humanScores.length,
+            tnr: tn / humanScores.length,
+            f1: 2 * tp / (tp + fp + aiScores.length)
+        };
+        // The target-FPR rule prefers the fewest false positives among the candidates that flag the most AI texts
+        return { threshold, value: score(candidate), tieBreak: method === 'targetFpr' ? -candidate.fpr : 0 };
+    });
+    const best = candidates.reduce((top, c) => (c.value > top.value || (c.value === top.value && c.tieBreak > top.tieBreak) ? c : top));
+    const tied = candidates.filter(c => c.value === best.value && c.tieBreak === best.tieBreak);
+    return tied[Math.floor((tied.length - 1) / 2)].threshold;
+}
+
+/**
+ * Scores labelled predictions under a decision rule. Abstained texts are left out of the confusion counts;
+ * tpr is the share of AI texts flagged and fpr the share of human texts flagged, both among decided texts.
+ */
+function computeDecisionMetrics(labels, probabilities, decision) {
+    const counts = { tp: 0, fp: 0, tn: 0, fn: 0, uncertain: 0 };
+    probabilities.forEach((p, i) => {
+        const verdict = classifyProbability(p, decision);
+        if (verdict === 'Uncertain') counts.uncertain++;
+        else if (verdict === 'AI') counts[labels[i] === 0 ? 'tp' : 'fp']++;
+        else counts[labels[i] === 0 ? 'fn' : 'tn']++;
+    });
+    const { tp, fp, tn, fn, uncertain } = counts;
+    const precision = safeRatio(tp, tp + fp);
+    const recall = safeRatio(tp, tp + fn);
+    return {
+        ...counts,
+        tpr: recall,
+        fpr: safeRatio(fp, fp + tn),
+        precision,
+        f1: safeRatio(2 * precision * recall, precision + recall),
+        accuracy: safeRatio(tp + tn, labels.length - uncertain),
+        uncertainRate: safeRatio(uncertain, labels.length)
+    };
+}
+
+/** Builds a decision rule, tuning its threshold on labelled predictions unless the method is 'manual'. */
+function createDecisionRule(labels, probabilities, { method, targetFpr = null, threshold = null, uncertainMargin = 0 }) {
+    if (!THRESHOLD_METHODS[method]) throw new Error(`Unknown threshold method "${method}".`);
+    if (!(uncertainMargin >= 0 && uncertainMargin < 0.5)) throw new Error('The uncertain margin must be at least 0 and below 0.5.');
+    if (method === 'manual' && !(threshold >= 0 && threshold <= 1)) throw new Error('The manual threshold must be between 0 and 1.');
+    return {
+        method,
+        threshold: method === 'manual' ? threshold : selectDecisionThreshold(labels, probabilities, { method, targetFpr, uncertainMargin }),
+        uncertainMargin,
+        targetFpr: method === 'targetFpr' ? targetFpr : null
+    };
+}
+
+
+/**
+ * How far P(Human) lies from the decision threshold, as a share of the way to 0 (AI) or 1 (Human): 0 on the
+ * threshold, 1 for a certain score on either side.
+ */
+function computeVerdictConfidence(probability, decision = DEFAULT_DECISION_RULE) {
+    const { threshold } = decision;
+    if (probability > threshold) return threshold < 1 ? (probability - threshold) / (1 - threshold) : 0;
+    return threshold > 0 ? (threshold - probability) / threshold : 0;
+}
+
+
+// --- PREDICTION ---
+
+// A detector is { model, tokenizer, wordIndex, sequenceLength, stylometric, sources }: a trained model plus everything
+// needed to turn raw text into its inputs exactly as during training. Source-attribution detectors (sources set)
+// output one probability per source; P(Human) is then the summed probability of the human sources.
+const BATCH_PREDICTION_SIZE = 256; // Sequences scored per model.predict call
+/**
+ * Maps a model output (probability of class 1) to the predicted class name under a decision rule
+ * (see DECISION THRESHOLDS): 'AI', 'Human', or 'Uncertain' inside the abstain band.
+ */
+function classifyProbability(probability, decision = DEFAULT_DECISION_RULE) {
+    if (Math.abs(probability - decision.threshold) < decision.uncertainMargin) return 'Uncertain';
+    return probability > decision.threshold ? 'Human' : 'AI';
+}
+
+/** Scaled stylometric feature rows for texts when the detector has a feature input, else null. */
+function computeModelFeatureRows(detector, texts) {
+    return detector.stylometric ? computeScaledFeatureRows(texts, detector.stylometric) : null;
+}
+
+/** Creates the model input tensor(s) for padded sequences and, for hybrid models, their feature rows. */
+function createModelInputTensors(detector, sequences, featureRows) {
+    const sequenceTensor = tf.tensor2d(sequences, [sequences.length, detector.sequenceLength], 'int32');
+    if (!detector.stylometric) return sequenceTensor;
+    return [sequenceTensor, tf.tensor2d(featureRows, [featureRows.length, detector.stylometric.scaler.mean.length])];
+}
+
+/** Collapses model outputs to P(Human) per row: a sigmoid output already is, softmax outputs are summed over the human sources. */
+function toHumanProbabilities(outputs, sources = null) {
+    if (!sources) return outputs.reshape([-1]);
+    return outputs.mul(tf.tensor1d(sources.names.map((name, i) => (sources.human.includes(i) ? 1 : 0)))).sum(-1);
+}
+
+/** Reads model outputs as { probabilities } (P(Human)) plus { sourceProbabilities } rows for source attribution. */
+async function readModelOutputs(outputs, sources = null) {
+    const humanTensor = tf.tidy(() => toHumanProbabilities(outputs, sources));
+    const result = { probabilities: Array.from(await humanTensor.data()) };
+    humanTensor.dispose();
+    if (sources) result.sourceProbabilities = await outputs.array();
+    return result;
+}
+
+/**
+ * Scores padded sequences (with matching feature rows for hybrid models) in batches. Returns { probabilities } with
+ * P(Human) for each and, for source-attribution detectors, { sourceProbabilities } with one row per sequence.
+ */
+async function predictSequences(detector, sequences, featureRows = null, onProgress) {
+    const probabilities = [];
+    const sourceProbabilities = [];
+    for (let start = 0; start < sequences.length; start += BATCH_PREDICTION_SIZE) {
+        const end = start + BATCH_PREDICTION_SIZE;
+        const inputs = createModelInputTensors(detector, sequences.slice(start, end), featureRows && featureRows.slice(start, end));
+        const predictionTensor = detector.model.predict(inputs);
+        const outputs = await readModelOutputs(predictionTensor, detector.sources);
+        probabilities.push(...outputs.probabilities);
+        if (detector.sources) sourceProbabilities.push(...outputs.sourceProbabilities);
+        tf.dispose(inputs);
+        predictionTensor.dispose();
+        if (onProgress) await onProgress(probabilities.length, sequences.length);
+    }
+    return detector.sources ? { probabilities, sourceProbabilities } : { probabilities };
+}
+
+/** Ranks the sources of a source-attribution prediction, most likely first: [{ name, probability, human }]. */
+function rankSources(sourceProbabilities, sources) {
+    return sources.names
+        .map((name, i) => ({ name, probability: sourceProbabilities[i], human: sources.human.includes(i) }))
+        .sort((a, b) => b.probability - a.probability);
+}
+
+/**
+ * Scores documents. Without long-document settings ({ stride, aggregation }) each text is truncated to one
+ * sequence; with them every text is split into overlapping windows whose scores are aggregated.
+ * Returns { probability, windows, windowProbabilities } per text, plus the aggregated sourceProbabilities
+ * for source-attribution detectors.
+ */
+async function scoreDocuments(detector, texts, longDocumentSettings = null, onProgress) {
+    const { tokenizer, wordIndex, sequenceLength } = detector;
+    const windowsPerText = texts.map(text => (longDocumentSettings
+        ? textToWindows(text, longDocumentSettings.stride, wordIndex, sequenceLength, tokenizer)
+        : [{ sequence: textToSequence(text, wordIndex, sequenceLength, tokenizer), spans: [], tokenCount: sequenceLength, start: 0, end: text.length }]));
+    // Hybrid models also get the stylometric features of each window's text
+    const windowTexts = windowsPerText.flatMap((windows, i) => windows.map(w => texts[i].slice(w.start, w.end)));
+    const { probabilities, sourceProbabilities } = await predictSequences(
+        detector,
+        windowsPerText.flat().map(w => w.sequence),
+        computeModelFeatureRows(detector, windowTexts),
+        onProgress
+    );
+
+    const aggregation = longDocumentSettings && longDocumentSettings.aggregation;
+    let offset = 0;
+    return windowsPerText.map(windows => {
+        const windowProbabilities = probabilities.slice(offset, offset + windows.length);
+        const result = {
+            probability: aggregateWindowScores(windows, windowProbabilities, aggregation),
+            windows,
+            windowProbabilities
+        };
+        if (sourceProbabilities) {
+            result.sourceProbabilities = aggregateWindowSourceScores(windows, sourceProbabilities.slice(offset, offset + windows.length), windowProbabilities, aggregation);
+        }
+        offset += windows.length;
+        return result;
+    });
+}
+
+
+// --- ROBUSTNESS ---
+
+// Perturbations of the robustness suite. The strength is the share of words changed (synonyms, typos), of letters
+// swapped for lookalikes and words given a zero-width character (homoglyphs), or of the text cut off (truncation);
+// punctuation stripping and sentence shuffling always apply in full.
+const PERTURBATIONS = {
+    synonyms: 'Synonym swaps',
+    typos: 'Typo injection',
+    homoglyphs: 'Homoglyphs + zero-width characters',
+    punctuation: 'Punctuation stripping',
+    shuffle: 'Sentence shuffling',
+    truncation: 'Truncation'
+};
+
+const DEFAULT_ROBUSTNESS_SETTINGS = { perturbations: Object.keys(PERTURBATIONS), strength: 0.2, seed: 42 };
+
+// Bundled synonym groups for the synonym swaps, weighted towards words that are typical of generated text
+const SYNONYM_GROUPS = [
+    ['delve', 'dig', 'explore'], ['moreover', 'furthermore', 'additionally', 'also', 'besides'], ['however', 'but', 'yet', 'still'],
+    ['crucial', 'vital', 'essential', 'key', 'important'], ['comprehensive', 'thorough', 'complete', 'extensive'],
+    ['tapestry', 'fabric', 'mosaic', 'web'], ['notably', 'especially', 'particularly'], ['utilize', 'use', 'employ'],
+    ['leverage', 'harness', 'exploit'], ['enhance', 'improve', 'boost'], ['significant', 'major', 'considerable', 'substantial'],
+    ['various', 'several', 'many', 'numerous'], ['ensure', 'make sure', 'guarantee'], ['facilitate', 'help', 'ease', 'enable'],
+    ['demonstrate', 'show', 'reveal'], ['therefore', 'thus', 'so', 'hence'], ['overall', 'altogether', 'generally'],
+    ['robust', 'strong', 'sturdy', 'solid'], ['innovative', 'new', 'novel', 'creative'], ['landscape', 'field', 'scene', 'area'],
+    ['realm', 'domain', 'sphere', 'world'], ['intricate', 'complex', 'complicated', 'elaborate'], ['pivotal', 'central', 'decisive'],
+    ['seamless', 'smooth', 'effortless'], ['foster', 'encourage', 'promote', 'nurture'], ['navigate', 'handle', 'manage'],
+    ['underscore', 'highlight', 'emphasize', 'stress'], ['ultimately', 'finally', 'in the end', 'eventually'],
+    ['big', 'large', 'huge', 'great'], ['small', 'little', 'tiny', 'minor'], ['good', 'fine', 'nice', 'decent'],
+    ['bad', 'poor', 'awful', 'terrible'], ['begin', 'start', 'commence'], ['end', 'finish', 'conclude'], ['fast', 'quick', 'rapid'],
+    ['often', 'frequently', 'regularly'], ['maybe', 'perhaps', 'possibly'], ['very', 'really', 'extremely', 'highly'],
+    ['think', 'believe', 'feel', 'reckon'], ['buy', 'purchase', 'get'], ['happy', 'glad', 'pleased', 'cheerful'],
+    ['people', 'folks', 'individuals', 'persons'], ['idea', 'notion', 'concept', 'thought'], ['problem', 'issue', 'challenge', 'difficulty'],
+    ['result', 'outcome', 'consequence'], ['aspect', 'facet', 'side', 'feature'], ['provide', 'offer', 'give', 'supply'],
+    ['showcase', 'display', 'exhibit', 'present'], ['journey', 'path', 'trip', 'process']
+];
+const SYNONYM_INDEX = new Map(SYNONYM_GROUPS.flatMap(group => group.map(word => [word, group])));
+
+const ZERO_WIDTH_CHARACTERS = ['\u200B', '\u200C', '\u200D', '\u2060', '\uFEFF'];
+
+/** Gives a replacement word the capitalization of the word it replaces. */
+function matchWordCase(original, replacement) {
+    if (original.length > 1 && original === original.toUpperCase()) return replacement.toUpperCase();
+    if (original[0] !== original[0].toLowerCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+    return replacement;
+}
+
+/** Applies one perturbation (a PERTURBATIONS key) to a text at the given strength, drawing from random(). */
+function perturbText(text, type, strength, random) {
+    const pick = items => items[Math.floor(random() * items.length)];
+    switch (type) {
+        case 'synonyms':
+            return text.replace(/\p{L}+/gu, word => {
+                const group = SYNONYM_INDEX.get(word.toLowerCase());
+                if (!group || random() >= strength) return word;
+                return matchWordCase(word, pick(group.filter(option => option !== word.toLowerCase())));
+            });
+        case 'typos':
+            return text.replace(/\p{L}{4,}/gu, word => {
+                if (random() >= strength) return word;
+                const i = 1 + Math.floor(random() * (word.length - 3)); // Keeps the first and last letter
+                switch (Math.floor(random() * 3)) {
+                    case 0: return word.slice(0, i) + word[i + 1] + word[i] + word.slice(i + 2); // Swap neighbours
+                    case 1: return word.slice(0, i) + word.slice(i + 1); // Drop a letter
+                    default: return word.slice(0, i) + word[i] + word.slice(i); // Double a letter
+                }
+            });
+        case 'homoglyphs': {
+            const swapped = [...text].map(char => (HOMOGLYPHS[char] && random() < strength ? HOMOGLYPHS[char] : char)).join('');
+            return swapped.replace(/\S{2,}/g, word => {
+                if (random() >= strength) return word;
+                const i = 1 + Math.floor(random() * (word.length - 1));
+                return word.slice(0, i) + pick(ZERO_WIDTH_CHARACTERS) + word.slice(i);
+            });
+        }
+        case 'punctuation':
+            return text.replace(/\p{P}/gu, '').replace(/[ \t]{2,}/g, ' ').trim();
+        case 'shuffle': {
+            const sentences = (text.match(/[^.!?]+(?:[.!?]+|$)/g) || []).map(sentence => sentence.trim()).filter(Boolean);
+            return sentences.length < 2 ? text : shuffleInPlace(sentences, random).join(' ');
+        }
+        case 'truncation': {
+            const words = [...text.matchAll(/\S+/g)];
+            if (words.length === 0) return text;
+            const last = words[Math.max(1, Math.round(words.length * (1 - strength))) - 1];
+            return text.slice(0, last.index + last[0].length);
+        }
+        default:
+            throw new Error(`Unknown perturbation "${type}".`);
+    }
+}
+
+/** Perturbs every text, seeded per text so a suite run can be repeated exactly. */
+function perturbTexts(texts, type, { strength, seed }) {
+    return texts.map(text => perturbText(text, type, strength, createSeededRandom(hashString(`${seed}:${type}:${text}`))));
+}
+
+/**
+ * Scores labelled rows ({ text, label }) clean and under each perturbation and reports how the detector holds up
+ * with its decision rule: accuracy (of the decided texts), ROC AUC, the shares of AI texts flagged and of human texts
+ * flagged, and how many verdicts flip and how far P(Human) moves compared with the clean texts.
+ */
+async function evaluateRobustness(detector, rows, { perturbations, strength, seed, decision = DEFAULT_DECISION_RULE }, onProgress = async () => {}) {
+    if (!(strength > 0 && strength <= 1)) throw new Error('The perturbation strength must be in (0, 1].');
+    const unknown = perturbations.filter(key => !PERTURBATIONS[key]);
+    if (unknown.length > 0) throw new Error(`Unknown perturbation(s): ${unknown.join(', ')}.`);
+    const labels = rows.map(row => row.label);
+    const numAi = labels.filter(label => label === 0).length;
+    const numHuman = labels.length - numAi;
+
+    const summarize = async (key, texts, clean = null) => {
+        const probabilities = (await scoreDocuments(detector, texts)).map(result => result.probability);
+        const verdicts = probabilities.map(p => classifyProbability(p, decision));
+        const metrics = computeDecisionMetrics(labels, probabilities, decision);
+        return {
+            key,
+            name: key === 'clean' ? 'Clean' : PERTURBATIONS[key],
+            changedTexts: texts.filter((text, i) => text !== rows[i].text).length,
+            accuracy: metrics.accuracy,
+            rocAuc: numAi > 0 && numHuman > 0 ? computeBinaryMetrics(labels, probabilities).roc.auc : null,
+            aiDetectionRate: safeRatio(metrics.tp, numAi),
+            humanFlagRate: safeRatio(metrics.fp, numHuman),
+            uncertainRate: metrics.uncertainRate,
+            flippedVerdicts: clean ? verdicts.filter((verdict, i) => verdict !== clean.verdicts[i]).length : 0,
+            meanShift: clean ? probabilities.reduce((sum, p, i) => sum + p - clean.probabilities[i], 0) / probabilities.length : 0,
+            verdicts,
+            probabilities
+        };
+    };
+
+    const clean = await summarize('clean', rows.map(row => row.text));
+    const results = [clean];
+    for (const key of perturbations) {
+        await onProgress({ perturbation: key, completed: results.length - 1, total: perturbations.length });
+        results.push(await summarize(key, perturbTexts(rows.map(row => row.text), key, { strength, seed }), clean));
+    }
+    // Per-text verdicts and probabilities were only needed for the comparisons
+    return {
+        strength,
+        seed,
+        decision,
+        numTexts: rows.length,
+        results: results.map(({ verdicts, probabilities, ...result }) => result)
+    };
+}
+
+
+// --- INCREMENTAL FINE-TUNING ---
+
+// Reviewed examples (corrected labels, verdicts on predictions) continue the training of an existing detector.
+// Their new tokens are appended to its vocabulary, which grows the embedding layer without moving the learned rows.
+
+/**
+ * Grows the flat [vocabSize, dim] values of an embedding matrix to newVocabSize rows. Learned rows are kept and new
+ * ones are drawn from the distribution of the learned rows, as buildEmbeddingMatrix() does for tokens without a vector.
+ */
+function extendEmbeddingMatrix(values, [vocabSize, dim], newVocabSize, seed = DEFAULT_SPLIT_SETTINGS.seed) {
+    const vectors = new Map();
+    for (let index = 1; index < vocabSize; index++) vectors.set(index, values.subarray(index * dim, (index + 1) * dim));
+    const matrix = buildEmbeddingMatrix({ dim, vectors }, newVocabSize, seed);
+    matrix.set(values.subarray(0, dim)); // '<PAD>' keeps its learned row too
+    return matrix;
+}
+
+/**
+ * Copies the weights of a model into one built from the same config for a larger vocabulary. Both list their
+ * weights in the order buildModel() adds the layers, so only the embedding matrix differs in shape.
+ */
+function copyWeightsToLargerVocabulary(sourceModel, targetModel, seed) {
+    const embeddingIndex = sourceModel.weights.indexOf(getEmbeddingLayer(sourceModel).weights[0]);
+    const [newVocabSize] = getEmbeddingLayer(targetModel).weights[0].shape;
+    if (embeddingIndex === -1 || sourceModel.weights.length !== targetModel.weights.length) {
+        throw new Error('The model does not match its saved config, so its weights cannot be carried over.');
+    }
+    tf.tidy(() => {
+        const weights = sourceModel.getWeights();
+        const [vocabSize, dim] = weights[embeddingIndex].shape;
+        weights[embeddingIndex] = tf.tensor2d(
+            extendEmbeddingMatrix(weights[embeddingIndex].dataSync(), [vocabSize, dim], newVocabSize, seed), [newVocabSize, dim]);
+        targetModel.setWeights(weights);
+    });
+}
+
+/**
+ * Continues training a detector on reviewed rows ({ text, label }, plus source for source attribution). Tokens
+ * missing from its vocabulary are added first (see extendVocabulary), then a copy built from modelConfig for the
+ * larger vocabulary starts from the detector's weights. The detector itself is left as it is; resolves with the
+ * fine-tuned { detector, vocabSize, addedTokens, history }, whose model (compiled with its optimizer) the caller
+ * releases with disposeModel().
+ */
+async function fineTuneDetector(detector, rows, { modelConfig, epochs, batchSize, learningRate, vocabulary = {}, seed = DEFAULT_SPLIT_SETTINGS.seed }, onProgress = async () => {}) {
+    if (!modelConfig) throw new Error('The detector has no saved model config, so it cannot be rebuilt for fine-tuning.');
+    if (rows.length === 0) throw new Error('There are no reviewed examples to fine-tune on.');
+    const { excludedTokens = [], ...vocabularyLimits } = vocabulary;
+    const extended = extendVocabulary(detector.wordIndex, rows, detector.tokenizer.tokenize, {
+        ...vocabularyLimits,
+        isExcluded: createTokenExclusion(detector.tokenizer.settings, excludedTokens)
+    });
+    const featureDim = detector.stylometric ? detector.stylometric.scaler.mean.length : 0;
+    const tunedModel = buildModel(modelConfig, extended.vocabSize, detector.sequenceLength, featureDim, detector.sources);
+    const tunedDetector = { ...detector, model: tunedModel, wordIndex: extended.wordIndex };
+    const optimizer = createOptimizer({ ...modelConfig, learningRate });
+    const texts = rows.map(row => row.text);
+    let inputs = null;
+    let labels = null;
+    try {
+        copyWeightsToLargerVocabulary(detector.model, tunedModel, seed);
+        const sequences = texts.map(text => textToSequence(text, extended.wordIndex, detector.sequenceLength, detector.tokenizer));
+        inputs = createModelInputTensors(tunedDetector, sequences, computeModelFeatureRows(tunedDetector, texts));
+        labels = createLabelTensor(rows, detector.sources);
+        tunedModel.compile({ optimizer, loss: getModelLoss(detector.sources), metrics: ['accuracy'] });
+        const history = await tunedModel.fit(inputs, labels, {
+            epochs,
+            batchSize,
+            shuffle: true,
+            callbacks: { onEpochEnd: async (epoch, logs) => onProgress({ epoch, logs }) }
+        });
+        return { detector: tunedDetector, vocabSize: extended.vocabSize, addedTokens: extended.addedTokens, history: history.history };
+    } catch (error) {
+        tunedModel.dispose();
+        optimizer.dispose();
+        throw error;
+    } finally {
+        tf.dispose([inputs, labels]);
+    }
+}
+
+
+// --- DETECTOR BUNDLES ---
+
+// A bundle is a regular TF.js model (model.json + weights) whose userDefinedMetadata carries
+// the vocabulary, sequence config, tokenizer settings and metrics needed to reuse it.
+const DETECTOR_BUNDLE_VERSION = 1;
+
+/** Collects everything besides the weights that is needed to reproduce predictions. */
+function createDetectorMetadata({ sequenceLength, embeddingDim, trainingWindowStride, stylometric, sources = null, vocabSize, vocabularySettings, modelConfig, tokenizerSettings, wordIndex, metrics, decision = DEFAULT_DECISION_RULE }) {
+    return {
+        formatVersion: DETECTOR_BUNDLE_VERSION,
+        savedAt: new Date().toISOString(),
+        config: {
+            maxSequenceLength: sequenceLength,
+            embeddingDim: embeddingDim,
+            trainingWindowStride: trainingWindowStride,
+            stylometric: stylometric,
+            sources: sources,
+            vocabSize: vocabSize,
+            vocabulary: vocabularySettings,
+            model: modelConfig
+        },
+        tokenizer: tokenizerSettings,
+        wordIndex: wordIndex,
+        metrics: metrics,
+        decision: decision
+    };
+}
+
+/**
+ * Validates a loaded bundle model and its metadata. Returns the detector
+ * ({ model, tokenizer, wordIndex, sequenceLength, stylometric, sources }) together with the metadata and decision rule
+ * (bundles saved before threshold tuning use the default rule).
+ */
+function restoreDetector(detectorModel) {
+    const metadata = detectorModel.getUserDefinedMetadata();
+    if (!metadata || !metadata.wordIndex || !metadata.config) {
+        throw new Error('The model does not contain detector metadata (vocabulary and config). Was it saved from this page?');
+    }
+    if (metadata.formatVersion !== DETECTOR_BUNDLE_VERSION) {
+        throw new Error(`Unsupported bundle format version ${metadata.formatVersion} (expected ${DETECTOR_BUNDLE_VERSION}).`);
+    }
+    if (!metadata.tokenizer) {
+        throw new Error('The bundle does not record which tokenizer was used.');
+    }
+    const inputCount = detectorModel.inputs.length;
+    const expectedInputs = metadata.config.stylometric ? 2 : 1;
+    if (inputCount !== expectedInputs) {
+        throw new Error(`The model has ${inputCount} input(s) but its metadata describes ${expectedInputs}.`);
+    }
+    const sources = metadata.config.sources || null;
+    const outputUnits = detectorModel.outputs[0].shape[1];
+    const expectedUnits = sources ? sources.names.length : 1;
+    if (outputUnits !== expectedUnits) {
+        throw new Error(`The model has ${outputUnits} output(s) but its metadata describes ${expectedUnits}.`);
+    }
+    return {
+        detector: {
+            model: detectorModel,
+            tokenizer: createTokenizer(metadata.tokenizer), // Throws for unknown or untrained tokenizers
+            wordIndex: metadata.wordIndex,
+            sequenceLength: metadata.config.maxSequenceLength,
+            stylometric: metadata.config.stylometric || null,
+            sources
+        },
+        metadata,
+        decision: metadata.decision || DEFAULT_DECISION_RULE
+    };
+}
+
+/**
+ * Serializes a model with its detector metadata into the two files the page downloads (and loads back):
+ * `<name>.json` (topology, weights manifest and metadata) and `<name>.weights.bin`.
+ */
+async function createDetectorBundleFiles(detectorModel, metadata, name) {
+    detectorModel.setUserDefinedMetadata(metadata);
+    const artifacts = await exportModelArtifacts(detectorModel);
+    const weightsFileName = `${name}.weights.bin`;
+    const modelJson = {
+        modelTopology: artifacts.modelTopology,
+        format: artifacts.format,
+        generatedBy: artifacts.generatedBy,
+        convertedBy: artifacts.convertedBy,
+        trainingConfig: artifacts.trainingConfig,
+        userDefinedMetadata: artifacts.userDefinedMetadata,
+        weightsManifest: [{ paths: [`./${weightsFileName}`], weights: artifacts.weightSpecs }]
+    };
+    return { modelJson, weightData: artifacts.weightData, weightsFileName };
+}
+
+/** Loads a bundle's model from its parsed `<name>.json` and the contents of its weights file. */
+async function loadDetectorBundle(modelJson, weightData) {
+    if (!modelJson || !modelJson.modelTopology || !Array.isArray(modelJson.weightsManifest)) {
+        throw new Error('The bundle JSON is not a TF.js model (missing modelTopology or weightsManifest).');
+    }
+    const weightSpecs = modelJson.weightsManifest.flatMap(group => group.weights);
+    return tf.loadLayersModel(tf.io.fromMemory(tf.io.getModelArtifactsForJSONSync(modelJson, weightSpecs, weightData)));
+}
+
+
+// --- HYPERPARAMETER SEARCH ---
+
+/**
+ * Trains a fresh model for one parameter set on one fold and scores it on the fold's validation rows.
+ * The fold's tensors, the model and its optimizer are always disposed, so memory stays flat across runs.
+ * The context carries the vocabulary, tokenizer, imported word vectors and the control object whose cancelRequested
+ * stops training.
+ */
+async function evaluateSearchFold(params, config, fold, settings, { vocabSize, wordIndexMap, activeTokenizer, sources, embeddings, control }) {
+    const { tensors, stylometric } = buildDatasetTensors(
+        { training: fold.training, validation: fold.validation },
+        { sequenceLength: params.sequenceLength, windowStride: settings.windowStride, featureKeys: settings.featureKeys, wordIndexMap, activeTokenizer, sources }
+    );
+    const inputsFor = split => (stylometric ? [split.features, split.stylometric] : split.features);
+    let trialModel = null;
+    let optimizer = null;
+    try {
+        trialModel = buildModel(config, vocabSize, params.sequenceLength, stylometric ? stylometric.scaler.mean.length : 0, sources);
+        initializePretrainedEmbeddings(trialModel, config, embeddings);
+        optimizer = createOptimizer(config);
+        trialModel.compile({ optimizer, loss: getModelLoss(sources), metrics: ['accuracy'] });
+        await trialModel.fit(inputsFor(tensors.training), tensors.training.labels, {
+            batchSize: params.batchSize,
+            epochs: settings.epochs,
+            callbacks: {
+                onEpochEnd: async () => {
+                    if (control.cancelRequested) trialModel.stopTraining = true;
+                    await tf.nextFrame(); // Let control messages through between epochs
+                }
+            }
+        });
+
+        // Runs are ranked on the human-vs-AI ROC AUC; source attribution reports its source accuracy and loss
+        const predictions = trialModel.predict(inputsFor(tensors.validation));
+        const { probabilities, sourceProbabilities } = await readModelOutputs(predictions, sources);
+        predictions.dispose();
+        const { labels, sourceLabels } = await readSplitLabels(tensors.validation.labels, sources);
+        const metrics = computeBinaryMetrics(labels, probabilities);
+        if (sources) {
+            return {
+                rocAuc: metrics.roc.auc,
+                accuracy: computeSourceMetrics(sourceLabels, sourceProbabilities, sources.names).accuracy,
+                loss: computeCategoricalLogLoss(sourceLabels, sourceProbabilities)
+            };
+        }
+        return { rocAuc: metrics.roc.auc, accuracy: metrics.accuracy, loss: computeLogLoss(labels, probabilities) };
+    } finally {
+        if (trialModel) trialModel.dispose();
+        if (optimizer) optimizer.dispose();
+        disposeDatasetTensors(tensors);
+    }
+}
+
+/** Mean and standard deviation of each metric across a run's folds. */
+function summarizeSearchFolds(foldMetrics) {
+    const summary = {};
+    ['rocAuc', 'accuracy', 'loss'].forEach(metric => summary[metric] = computeMeanStd(foldMetrics.map(fold => fold[metric])));
+    return summary;
+}
+
+
+// --- PIPELINE SESSION ---
+
+const PIPELINE_CONTROL_COMMANDS = ['pause', 'resume', 'cancel'];
+
+/**
+ * Creates a pipeline session holding the rows, tokenizer, vocabulary, tensors and model of one pipeline run.
+ * Stages are requested with run(type, payload, onProgress), which resolves with a plain (structured-cloneable)
+ * result; control('pause' | 'resume' | 'cancel') steers the running stage. pipeline-worker.js exposes a session
+ * to the page through messages, and scripts or tests can drive one directly. Only one stage runs at a time.
+ */
+function createPipelineSession() {
+    const state = {
+        rows: null,
+        tokenizer: null,
+        wordIndex: null,
+        vocabSize: 0,
+        sequenceLength: null,
+        stylometric: null,
+        sources: null,
+        tokenCounts: null,
+        embeddings: null,
+        tensors: null,
+        model: null,
+        modelConfig: null
+    };
+    const runControl = { paused: false, cancelRequested: false, resumeWaiter: null };
+    let activeStage = null;
+
+    const releaseTensors = () => {
+        if (state.tensors) disposeDatasetTensors(state.tensors);
+        state.tensors = null;
+    };
+    const releaseModel = () => {
+        if (state.model) disposeModel(state.model);
+        state.model = null;
+        state.modelConfig = null;
+    };
+    const requireState = (ready, message) => {
+        if (!ready) throw new Error(message);
+    };
+    const inputsFor = split => (state.stylometric ? [split.features, split.stylometric] : split.features);
+    const predictProbabilities = async (split) => {
+        const predictions = state.model.predict(inputsFor(split));
+        const outputs = await readModelOutputs(predictions, state.sources);
+        predictions.dispose();
+        return { ...(await readSplitLabels(split.labels, state.sources)), ...outputs };
+    };
+
+    const stages = {
+        /**
+         * Trains the tokenizer on the training rows, then counts tokens and builds the vocabulary. Source-attribution
+         * rows come with their source classes, which the later stages train and evaluate on.
+         */
+        async preprocess({ rows, tokenizerSettings, vocabularySettings, excludedTokens = [], sources = null }, onProgress) {
+            releaseTensors();
+            releaseModel();
+            state.rows = rows;
+            state.sources = sources;
+            const trainedSettings = await trainTokenizer(tokenizerSettings, rows.training.map(row => row.text), async (mergeCount) => {
+                onProgress({ stage: 'tokenizer', mergeCount, numMerges: tokenizerSettings.numMerges });
+                await tf.nextFrame();
+            });
+            state.tokenizer = createTokenizer(trainedSettings);
+
+            const counts = countTokens(rows.training, state.tokenizer.tokenize);
+            const vocabulary = buildVocabulary(counts.total, {
+                minCount: vocabularySettings.minCount,
+                maxSize: vocabularySettings.maxSize,
+                isExcluded: createTokenExclusion(trainedSettings, excludedTokens)
+            });
+            state.wordIndex = vocabulary.wordIndex;
+            state.vocabSize = vocabulary.vocabSize;
+            state.tokenCounts = counts.total;
+            state.embeddings = null; // Imported vectors are aligned to the previous vocabulary
+            return {
+                tokenizerSettings: trainedSettings,
+                wordIndex: state.wordIndex,
+                vocabSize: state.vocabSize,
+                counts,
+                oovRates: Object.fromEntries(DATASET_SPLITS.map(key => [key, computeOovRate(rows[key], state.tokenizer.tokenize, state.wordIndex)])),
+                sampleTokens: state.tokenizer.tokenize(rows.training[0].text).slice(0, 20)
+            };
+        },
+
+        /**
+         * Takes over the rows, trained tokenizer and vocabulary of a saved page session instead of training them again
+         * (the vocabulary may have grown through fine-tuning). Returns the token counts and OOV rates like preprocess.
+         */
+        async restore({ rows, tokenizerSettings, wordIndex, vocabSize, sources = null }) {
+            releaseTensors();
+            releaseModel();
+            Object.assign(state, { rows, sources, tokenizer: createTokenizer(tokenizerSettings), wordIndex, vocabSize, embeddings: null });
+            const counts = countTokens(rows.training, state.tokenizer.tokenize);
+            state.tokenCounts = counts.total;
+            return {
+                counts,
+                oovRates: Object.fromEntries(DATASET_SPLITS.map(key => [key, computeOovRate(rows[key], state.tokenizer.tokenize, state.wordIndex)]))
+            };
+        },
+
+        /** Converts every split to padded sequence (and optional stylometric feature) tensors kept in the session. */
+        async embed({ sequenceLength, windowStride = null, featureKeys = null }) {
+            requireState(state.wordIndex, 'Build the vocabulary first.');
+            releaseTensors();
+            releaseModel(); // The model's input shapes depend on these tensors
+            const { tensors, stylometric } = buildDatasetTensors(
+                { training: state.rows.training, testing: state.rows.testing, validation: state.rows.validation },
+                { sequenceLength, windowStride, featureKeys, wordIndexMap: state.wordIndex, activeTokenizer: state.tokenizer, sources: state.sources }
+            );
+            Object.assign(state, { tensors, stylometric, sequenceLength });
+            return {
+                stylometric,
+                shapes: Object.fromEntries(Object.entries(tensors).map(([key, split]) => [key, {
+                    features: split.features.shape,
+                    stylometric: split.stylometric ? split.stylometric.shape : null
+                }]))
+            };
+        },
+
+        /**
+         * Reads pretrained word vectors for the vocabulary (see readEmbeddingVectors) and keeps their embedding matrix
+         * for models created with config.pretrainedEmbeddings. Returns the dimension, match counts and coverage.
+         */
+        async importEmbeddings({ source, fileName }, onProgress) {
+            requireState(state.wordIndex, 'Build the vocabulary first.');
+            state.embeddings = null;
+            const read = await readEmbeddingVectors(source, state.wordIndex, async (progress) => {
+                onProgress({ stage: 'embeddings', ...progress });
+                await tf.nextFrame();
+            });
+            state.embeddings = { fileName, dim: read.dim, matrix: buildEmbeddingMatrix(read, state.vocabSize) };
+            return {
+                fileName,
+                dim: read.dim,
+                linesRead: read.linesRead,
+                skippedLines: read.skippedLines,
+                exactMatches: read.exactMatches,
+                foldedMatches: read.foldedMatches,
+                coverage: computeEmbeddingCoverage(state.wordIndex, read.vectors, state.tokenCounts)
+            };
+        },
+
+        /** Forgets the imported word vectors, so new models start from random embeddings again. */
+        async clearEmbeddings() {
+            state.embeddings = null;
+        },
+
+        /** Builds and compiles a fresh model for the session tensors and returns its summary lines. */
+        async createModel({ config }) {
+            requireState(state.tensors, 'Create the sequence tensors first.');
+            const featureDim = state.stylometric ? state.stylometric.scaler.mean.length : 0;
+            const newModel = buildModel(config, state.vocabSize, state.sequenceLength, featureDim, state.sources);
+            try {
+                initializePretrainedEmbeddings(newModel, config, state.embeddings);
+            } catch (error) {
+                newModel.dispose();
+                throw error;
+            }
+            newModel.compile({ optimizer: createOptimizer(config), loss: getModelLoss(state.sources), metrics: ['accuracy'] });
+            releaseModel();
+            state.model = newModel;
+            state.modelConfig = config;
+
+            const summary = [];
+            newModel.summary(undefined, undefined, line => summary.push(line));
+            return { summary, paramCount: newModel.countParams(), trainableParamCount: countTrainableParams(newModel) };
+        },
+
+        /**
+         * Fits the session model (continuing from its current weights) and reports every epoch's logs as progress.
+         * Resolves with the history and outcome plus the model artifacts, so the caller can load the trained model.
+         */
+        async train({ settings }, onProgress) {
+            requireState(state.model, 'Create the model first.');
+            const { training, validation } = state.tensors;
+            let classWeight;
+            if (settings.useClassWeights) {
+                const { labels, sourceLabels } = await readSplitLabels(training.labels, state.sources);
+                classWeight = state.sources ? computeClassWeights(sourceLabels, state.sources.names.length) : computeClassWeights(labels);
+            }
+            const trainingCallbacks = createTrainingControlCallbacks(state.model, settings, state.modelConfig.learningRate, runControl);
+            const outcome = trainingCallbacks.state;
+
+            let history;
+            let epochsRun = 0;
+            let reportEpoch = -1;
+            let restoredBest = false;
+            try {
+                history = await state.model.fit(inputsFor(training), training.labels, {
+                    batchSize: settings.batchSize,
+                    epochs: settings.epochs,
+                    validationData: [inputsFor(validation), validation.labels],
+                    classWeight: classWeight,
+                    callbacks: [trainingCallbacks.callbacks, {
+                        onEpochEnd: async (epoch, logs) => onProgress({ stage: 'epoch', epoch, logs })
+                    }]
+                });
+                // An epoch cut short by Cancel logs its loss but no validation metrics, so it does not count
+                epochsRun = (history.history.val_loss || []).length;
+                reportEpoch = epochsRun - 1;
+                if (outcome.bestWeights && outcome.bestEpoch !== reportEpoch) {
+                    state.model.setWeights(outcome.bestWeights);
+                    reportEpoch = outcome.bestEpoch;
+                    restoredBest = true;
+                }
+            } finally {
+                if (outcome.bestWeights) outcome.bestWeights.forEach(w => w.dispose());
+            }
+
+            return {
+                history: history.history,
+                epochsRun,
+                reportEpoch,
+                restoredBest,
+                bestEpoch: outcome.bestEpoch,
+                bestValLoss: outcome.bestValLoss,
+                stoppedEarly: outcome.stoppedEarly,
+                cancelled: runControl.cancelRequested,
+                learningRates: outcome.learningRates,
+                classWeight: classWeight || null,
+                artifacts: epochsRun > 0 ? await exportModelArtifacts(state.model) : null
+            };
+        },
+
+        /**
+         * Replaces the session model with one trained outside the session (fineTuneDetector() on the page) and adopts
+         * its extended vocabulary. The session tensors stay valid, since extending a vocabulary only appends indexes.
+         */
+        async loadModel({ artifacts, config, wordIndex, vocabSize }) {
+            requireState(state.tensors, 'Create the sequence tensors first.');
+            const loaded = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+            loaded.compile({ optimizer: createOptimizer(config), loss: getModelLoss(state.sources), metrics: ['accuracy'] });
+            releaseModel();
+            Object.assign(state, { model: loaded, modelConfig: config, wordIndex, vocabSize });
+            // Imported word vectors were matched against the smaller vocabulary
+            state.embeddings = null;
+        },
+
+        /**
+         * Evaluates the session model: loss and accuracy on validation, plus labels and P(Human) for both splits
+         * (and the source labels and probabilities for source attribution).
+         */
+        async evaluate() {
+            requireState(state.model, 'Create and train the model first.');
+            const { validation, testing } = state.tensors;
+            const evalResult = state.model.evaluate(inputsFor(validation), validation.labels);
+            const [loss, accuracy] = await Promise.all(evalResult.map(t => t.data()));
+            evalResult.forEach(t => t.dispose());
+            return {
+                validation: { loss: loss[0], accuracy: accuracy[0], ...(await predictProbabilities(validation)) },
+                testing: await predictProbabilities(testing)
+            };
+        },
+
+        /** Returns the padded sequences and labels (0 = AI, 1 = Human, also for source attribution) of every split as plain arrays. */
+        async splitArrays() {
+            requireState(state.tensors, 'Create the sequence tensors first.');
+            const arrays = {};
+            for (const key of DATASET_SPLITS) {
+                arrays[key] = {
+                    sequences: await state.tensors[key].features.array(),
+                    labels: (await readSplitLabels(state.tensors[key].labels, state.sources)).labels
+                };
+            }
+            return arrays;
+        },
+
+        /**
+         * Trains one model per candidate ({ params, config }) and fold: k stratified folds of the training rows,
+         * or the validation split when settings.folds < 2. Every finished run is also reported as progress.
+         */
+        async search({ settings, candidates }, onProgress) {
+            requireState(state.wordIndex, 'Build the vocabulary first.');
+            const folds = settings.folds > 1
+                ? stratifiedKFold(state.rows.training, settings.folds, settings.seed)
+                : [{ training: state.rows.training, validation: state.rows.validation }];
+            const context = { vocabSize: state.vocabSize, wordIndexMap: state.wordIndex, activeTokenizer: state.tokenizer, sources: state.sources, embeddings: state.embeddings, control: runControl };
+
+            const runs = [];
+            for (let i = 0; i < candidates.length && !runControl.cancelRequested; i++) {
+                const { params, config } = candidates[i];
+                const run = { id: i + 1, params, config, folds: [], summary: null, error: null };
+                const startTime = Date.now();
+                try {
+                    for (let f = 0; f < folds.length && !runControl.cancelRequested; f++) {
+                        onProgress({ stage: 'searchFold', runIndex: i, foldIndex: f, numFolds: folds.length, numTensors: tf.memory().numTensors });
+                        run.folds.push(await evaluateSearchFold(params, config, folds[f], settings, context));
+                    }
+                } catch (error) {
+                    run.error = error.message;
+                }
+                // A run interrupted by Cancel was trained on fewer epochs or folds, so it is not comparable
+                if (runControl.cancelRequested && !run.error) break;
+                run.durationMs = Date.now() - startTime;
+                if (!run.error) run.summary = summarizeSearchFolds(run.folds);
+                runs.push(run);
+                onProgress({ stage: 'searchRun', run });
+            }
+            return { runs, cancelled: runControl.cancelRequested, numTensors: tf.memory().numTensors };
+        },
+
+        /** Disposes all session tensors and the model. */
+        async reset() {
+            releaseTensors();
+            releaseModel();
+            Object.assign(state, {
+                rows: null, tokenizer: null, wordIndex: null, vocabSize: 0, sequenceLength: null, stylometric: null, sources: null,
+                tokenCounts: null, embeddings: null
+            });
+        }
+    };
+
+    return {
+        async run(type, payload = {}, onProgress = () => {}) {
+            if (!Object.prototype.hasOwnProperty.call(stages, type)) throw new Error(`Unknown pipeline stage "${type}".`);
+            if (activeStage) throw new Error(`The pipeline is busy (${activeStage}). Wait for it to finish or cancel it.`);
+            activeStage = type;
+            Object.assign(runControl, { paused: false, cancelRequested: false, resumeWaiter: null });
+            try {
+                return await stages[type](payload, onProgress);
+            } finally {
+                activeStage = null;
+            }
+        },
+        control(command) {
+            if (!PIPELINE_CONTROL_COMMANDS.includes(command)) throw new Error(`Unknown pipeline command "${command}".`);
+            runControl.paused = command === 'pause';
+            if (command === 'cancel') runControl.cancelRequested = true;
+            if (!runControl.paused && runControl.resumeWaiter) {
+                runControl.resumeWaiter();
+                runControl.resumeWaiter = null;
+            }
+        }
+    };
+}
+
+/** The training metrics saved in detector bundles and run records, from a 'train' stage result. */
+function summarizeTrainingRun(result, settings) {
+    return {
+        epochs: result.epochsRun,
+        finalLoss: Number(result.history.loss[result.reportEpoch].toFixed(4)),
+        finalValAccuracy: Number(result.history.val_acc[result.reportEpoch].toFixed(4)),
+        bestEpoch: result.bestEpoch + 1,
+        stoppedEarly: result.stoppedEarly,
+        cancelled: result.cancelled,
+        settings: settings,
+        classWeight: result.classWeight,
+        learningRates: result.learningRates,
+        history: result.history
+    };
+}
+
+/**
+ * The evaluation metrics saved in detector bundles and run records, from an 'evaluate' stage result. Accuracy, AUCs
+ * and the confusion matrix are for human vs. AI; source attribution adds the test source metrics under `sources`.
+ */
+function summarizeEvaluation({ validation, testing }, sources = null) {
+    const { matrix, roc, pr, accuracy, macroF1 } = computeBinaryMetrics(testing.labels, testing.probabilities);
+    const summary = {
+        validationLoss: validation.loss,
+        // The model's own accuracy metric scores sources, so source attribution reports the human-vs-AI accuracy here
+        validationAccuracy: sources ? computeBinaryMetrics(validation.labels, validation.probabilities).accuracy : validation.accuracy,
+        validationRocAuc: computeBinaryMetrics(validation.labels, validation.probabilities).roc.auc,
+        testAccuracy: accuracy,
+        rocAuc: roc.auc,
+        prAuc: pr.auc,
+        macroF1,
+        confusionMatrix: matrix
+    };
+    if (sources) {
+        const sourceMetrics = computeSourceMetrics(testing.sourceLabels, testing.sourceProbabilities, sources.names);
+        summary.sources = {
+            validationAccuracy: validation.accuracy,
+            accuracy: sourceMetrics.accuracy,
+            topTwoAccuracy: sourceMetrics.topTwoAccuracy,
+            macroF1: sourceMetrics.macroF1,
+            confusionMatrix: sourceMetrics.matrix
+        };
+    }
+    return summary;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DATASET_SPLITS, CLASS_NAMES, hashString, createSeededRandom, shuffleInPlace, tokensToSequence,
+        textToSequence, computeWindowStarts, textToWindows, aggregateWindowScores, aggregateWindowSourceScores,
+        TOKENIZER_TYPES, DEFAULT_TOKENIZER_SETTINGS, TOKENIZER_STOPWORD_MODES, TOKENIZER_STRIP_REGEX, WORD_TOKEN_REGEX, BPE_END_OF_WORD,
+        WORDPIECE_PREFIX, WORDPIECE_UNKNOWN, HOMOGLYPHS, HOMOGLYPH_TO_LATIN, FORMAT_CHARACTER_REGEX,
+        normalizeTextWithOffsets, normalizeText, simpleTokenSpans, simpleTokenizer, wordTokenSpans, wordTokenizer,
+        addWordBigramSpans, charNgramSpans, charNgramTokenizer, subwordSpans, splitIntoSubwordSymbols,
+        joinSubwordSymbols, applySubwordMerge, learnSubwordMerges, encodeBpeWord, encodeWordPieceWord,
+        createStopwordFilter, createTokenExclusion, isTrainableTokenizer, trainTokenizer, createTokenizer, FUNCTION_WORDS,
+        FUNCTION_WORD_SET, STYLOMETRIC_WORD_REGEX, safeRatio, analyzeTextStyle, STYLOMETRIC_FEATURES,
+        getStylometricFeatureNames, computeStylometricFeatures, fitFeatureScaler, scaleFeatures,
+        computeScaledFeatureRows, AI_LABEL_ALIASES, HUMAN_LABEL_ALIASES, DEFAULT_SPLIT_SETTINGS, LABEL_MODES,
+        SUPPORTED_DATASET_EXTENSIONS, getDatasetFileFormat, parseJsonlRows, parseJsonRows, getDatasetColumns,
+        guessDatasetColumns, normalizeLabelValue, defaultLabelFor, normalizeDatasetRows, defaultSourceNames,
+        createSourceClasses, groupRowsByClass, stratifiedSplit, stratifiedKFold, ENGLISH_STOPWORDS, countTokens,
+        buildVocabulary, extendVocabulary, computeOovRate, buildDatasetTensors, createLabelTensor, readSplitLabels,
+        disposeDatasetTensors, MODEL_ARCHITECTURES, OPTIMIZERS, CNN_KERNEL_SIZE, DEFAULT_MODEL_CONFIG,
+        PositionEmbedding, TransformerEncoderBlock, validateModelConfig, addSequenceEncoderLayers, buildModel,
+        createOutputLayer, getModelLoss, countTrainableParams, createOptimizer, disposeModel, exportModelArtifacts,
+        EMBEDDING_PROGRESS_LINES, readTextChunks, foldEmbeddingToken, readEmbeddingVectors, buildEmbeddingMatrix,
+        computeEmbeddingCoverage, getEmbeddingLayer, initializePretrainedEmbeddings, DEFAULT_TRAINING_SETTINGS,
+        LR_SCHEDULES, computeClassWeights, setOptimizerLearningRate, createTrainingControlCallbacks,
+        CALIBRATION_BINS, computeConfusionMatrix, computeClassificationReport, sweepThresholds, computeRocCurve,
+        computePrCurve, computeCalibrationBins, computeBinaryMetrics, computeSourceMetrics, computeMeanStd,
+        computeLogLoss, computeCategoricalLogLoss, THRESHOLD_METHODS, DEFAULT_DECISION_RULE,
+        countLeadingMatches, selectDecisionThreshold, computeDecisionMetrics, createDecisionRule, computeVerdictConfidence,
+        BATCH_PREDICTION_SIZE, classifyProbability, computeModelFeatureRows, createModelInputTensors,
+        toHumanProbabilities, readModelOutputs, predictSequences, rankSources, scoreDocuments, PERTURBATIONS,
+        DEFAULT_ROBUSTNESS_SETTINGS, SYNONYM_GROUPS, SYNONYM_INDEX, ZERO_WIDTH_CHARACTERS, matchWordCase,
+        perturbText, perturbTexts, evaluateRobustness, extendEmbeddingMatrix, copyWeightsToLargerVocabulary,
+        fineTuneDetector, DETECTOR_BUNDLE_VERSION, createDetectorMetadata, restoreDetector,
+        createDetectorBundleFiles, loadDetectorBundle, evaluateSearchFold, summarizeSearchFolds,
+        PIPELINE_CONTROL_COMMANDS, createPipelineSession, summarizeTrainingRun, summarizeEvaluation
+    };
+}
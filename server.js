@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * AI Text Detection Prediction Server
+ *
+ * Serves a saved detector bundle (`<name>.json` + `<name>.weights.bin`, from the page or from cli.js) over a local
+ * JSON API. Texts go through the same tokenizer, vocabulary, padding and window scoring as the page (pipeline.js),
+ * and nothing is fetched from the network, so it runs offline and in CI.
+ *
+ *   node server.js --model ai-text-detector.json [--port 8080] [--host 127.0.0.1]
+ *
+ * It needs the dependencies of package.json (`npm install`, see cli.js); `npm run serve -- --model ...` or, after
+ * `npm link`, `ai-text-detector-server --model ...` start it as well. `npm test` serves a tiny trained bundle on a free
+ * port and checks every route (test/server.test.js).
+ *
+ *   POST /predict        { "text": "...", "longDocument": false | true | { "stride": 25, "aggregation": "mean" } }
+ *   POST /predict/batch  { "texts": ["...", "..."], "longDocument": ... }
+ *   GET  /model          vocabulary size, sequence length, tokenizer, architecture, decision rule and the saved metrics
+ *
+ * Labels follow the decision rule saved with the bundle (Step 7 threshold tuning): "AI", "Human", or "Uncertain"
+ * when P(Human) falls inside its abstain band. Source-attribution bundles also return "sources", every source with
+ * its probability, most likely first.
+ */
+
+const http = require('http');
+const { parseArgs } = require('util');
+const {
+    MODEL_ARCHITECTURES, TOKENIZER_TYPES, DEFAULT_DECISION_RULE, scoreDocuments, classifyProbability, rankSources
+} = require('./pipeline.js');
+const { readDetectorBundle } = require('./cli.js');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const MAX_BATCH_TEXTS = 1000;
+const WINDOW_AGGREGATIONS = ['mean', 'lengthWeighted', 'maxAi'];
+
+/** An error answered with its HTTP status and message instead of a 500. */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/** Reads and parses a JSON request body, rejecting bodies over MAX_BODY_BYTES. */
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, `The request body is larger than ${MAX_BODY_BYTES} bytes.`));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new HttpError(400, 'The request body is not valid JSON.'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Resolves the long-document option of a request. Detectors trained on windows default to window scoring with
+ * their training stride, like the page does when such a bundle is loaded.
+ */
+function readLongDocumentSettings(option, metadata) {
+    const trainingStride = metadata.config.trainingWindowStride ?? null;
+    if (option === undefined) option = trainingStride !== null;
+    if (option === false) return null;
+    if (option === true) return { stride: trainingStride || 0, aggregation: 'mean' };
+    if (!option || typeof option !== 'object') throw new HttpError(400, '"longDocument" must be true, false or { stride, aggregation }.');
+
+    const stride = option.stride === undefined ? trainingStride || 0 : option.stride;
+    const aggregation = option.aggregation === undefined ? 'mean' : option.aggregation;
+    if (!Number.isInteger(stride) || stride < 0) throw new HttpError(400, '"longDocument.stride" must be a whole number of at least 0.');
+    if (!WINDOW_AGGREGATIONS.includes(aggregation)) {
+        throw new HttpError(400, `"longDocument.aggregation" must be one of ${WINDOW_AGGREGATIONS.join(', ')}.`);
+    }
+    return { stride, aggregation };
+}
+
+/** Describes the loaded detector for GET /model. */
+function describeModel(metadata) {
+    const { config } = metadata;
+    return {
+        formatVersion: metadata.formatVersion,
+        savedAt: metadata.savedAt,
+        architecture: config.model ? MODEL_ARCHITECTURES[config.model.architecture] : null,
+        model: config.model || null,
+        tokenizer: { type: metadata.tokenizer.type, name: TOKENIZER_TYPES[metadata.tokenizer.type] },
+        vocabSize: config.vocabSize,
+        sequenceLength: config.maxSequenceLength,
+        embeddingDim: config.embeddingDim,
+        trainingWindowStride: config.trainingWindowStride ?? null,
+        stylometricFeatures: config.stylometric ? config.stylometric.features : null,
+        sources: config.sources || null,
+        decision: metadata.decision || DEFAULT_DECISION_RULE,
+        metrics: metadata.metrics || null
+    };
+}
+
+/**
+ * Creates the HTTP server for a restored detector ({ detector, metadata } from readDetectorBundle).
+ * It is not listening yet, so tests can pick their own port.
+ */
+function createPredictionServer({ detector, metadata }) {
+    const decision = metadata.decision || DEFAULT_DECISION_RULE;
+    const { threshold, uncertainMargin } = decision;
+
+    const predict = async (texts, longDocumentOption) => {
+        const scored = await scoreDocuments(detector, texts, readLongDocumentSettings(longDocumentOption, metadata));
+        return scored.map(({ probability, windows, sourceProbabilities }) => {
+            const prediction = {
+                label: classifyProbability(probability, decision),
+                probabilities: { human: probability, ai: 1 - probability },
+                threshold,
+                uncertainMargin,
+                windows: windows.length
+            };
+            if (detector.sources) prediction.sources = rankSources(sourceProbabilities, detector.sources);
+            return prediction;
+        });
+    };
+
+    const routes = {
+        'GET /model': async () => describeModel(metadata),
+        'POST /predict': async (body) => {
+            if (typeof body.text !== 'string' || body.text.trim().length === 0) throw new HttpError(400, '"text" must be a non-empty string.');
+            const [prediction] = await predict([body.text], body.longDocument);
+            return prediction;
+        },
+        'POST /predict/batch': async (body) => {
+            const { texts } = body;
+            if (!Array.isArray(texts) || texts.length === 0) throw new HttpError(400, '"texts" must be a non-empty array of strings.');
+            if (texts.length > MAX_BATCH_TEXTS) throw new HttpError(413, `At most ${MAX_BATCH_TEXTS} texts can be scored per request.`);
+            const invalid = texts.findIndex(text => typeof text !== 'string' || text.trim().length === 0);
+            if (invalid !== -1) throw new HttpError(400, `"texts[${invalid}]" must be a non-empty string.`);
+            return { threshold, uncertainMargin, predictions: await predict(texts, body.longDocument) };
+        }
+    };
+
+    return http.createServer(async (request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        let status = 200;
+        let payload;
+        try {
+            const route = routes[`${request.method} ${pathname}`];
+            if (!route) {
+                const knownPath = Object.keys(routes).some(key => key.endsWith(` ${pathname}`));
+                throw new HttpError(knownPath ? 405 : 404, knownPath ? `${request.method} is not allowed for ${pathname}.` : `No route for ${pathname}.`);
+            }
+            const body = request.method === 'POST' ? await readJsonBody(request) : null;
+            if (request.method === 'POST' && (!body || typeof body !== 'object' || Array.isArray(body))) {
+                throw new HttpError(400, 'The request body must be a JSON object.');
+            }
+            payload = await route(body);
+        } catch (error) {
+            status = error instanceof HttpError ? error.status : 500;
+            payload = { error: error.message };
+        }
+        response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify(payload));
+    });
+}
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: { model: { type: 'string' }, port: { type: 'string' }, host: { type: 'string' } }
+    });
+    if (!values.model) throw new Error('Usage: node server.js --model <bundle.json> [--port 8080] [--host 127.0.0.1]');
+    const port = values.port === undefined ? DEFAULT_PORT : Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error('--port must be a whole number between 0 and 65535.');
+    const host = values.host || DEFAULT_HOST;
+
+    const restored = await readDetectorBundle(values.model);
+    const server = createPredictionServer(restored);
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    process.stderr.write(`✅ Serving ${values.model} on http://${host}:${server.address().port} (POST /predict, POST /predict/batch, GET /model)\n`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        process.stderr.write(`❌ ${error.message}\n`);
+        process.exit(1);
+    });
+}
+
+module.exports = { createPredictionServer, describeModel };
@@ -0,0 +1,141 @@
+/**
+ * Prediction server tests: trains a tiny detector bundle with the CLI, serves it on a free port and checks the
+ * response shapes and JSON error statuses of every route. Runs offline, so CI can run it with `npm test`.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main: runCli, readDetectorBundle } = require('../cli.js');
+const { createPredictionServer } = require('../server.js');
+
+const HUMAN_TEXTS = [
+    'I walked to the shop and forgot my keys again',
+    'my cat sat on the old mat all day lol',
+    'we argued about pizza toppings for an hour',
+    'grandma called, she baked bread this morning'
+];
+const AI_TEXTS = [
+    'In conclusion, it is important to note the significance of these findings',
+    'Furthermore, this comprehensive analysis demonstrates several key insights',
+    'Overall, the results highlight the essential considerations for stakeholders',
+    'Moreover, it is crucial to consider the broader implications of the approach'
+];
+
+let fixtureDir;
+let restored;
+let server;
+let baseUrl;
+
+/** Sends a request to the test server and resolves with { status, body } (the body parsed as JSON). */
+async function request(method, route, body) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+/** Asserts the shape of one prediction returned by /predict and /predict/batch. */
+function assertPrediction(prediction) {
+    assert.ok(['AI', 'Human', 'Uncertain'].includes(prediction.label));
+    assert.ok(prediction.probabilities.human >= 0 && prediction.probabilities.human <= 1);
+    assert.ok(Math.abs(prediction.probabilities.human + prediction.probabilities.ai - 1) < 1e-6);
+    assert.equal(typeof prediction.threshold, 'number');
+    assert.equal(typeof prediction.uncertainMargin, 'number');
+    assert.ok(Number.isInteger(prediction.windows) && prediction.windows >= 1);
+}
+
+before(async () => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-text-detector-server-'));
+    const rows = ['text,label'];
+    for (let i = 0; i < 24; i++) {
+        rows.push(`"${HUMAN_TEXTS[i % HUMAN_TEXTS.length]} ${i}",human`);
+        rows.push(`"${AI_TEXTS[i % AI_TEXTS.length]} ${i}",ai`);
+    }
+    const trainPath = path.join(fixtureDir, 'train.csv');
+    fs.writeFileSync(trainPath, rows.join('\n'));
+    await runCli([
+        'train', '--train', trainPath, '--out', path.join(fixtureDir, 'tiny'),
+        '--sequence-length', '12', '--embedding-dim', '4', '--units', '4', '--epochs', '2'
+    ]);
+
+    restored = await readDetectorBundle(path.join(fixtureDir, 'tiny.json'));
+    server = createPredictionServer(restored);
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    if (restored) restored.detector.model.dispose();
+    if (fixtureDir) fs.rmSync(fixtureDir, { recursive: true, force: true });
+});
+
+test('GET /model describes the loaded bundle', async () => {
+    const { status, body } = await request('GET', '/model');
+    assert.equal(status, 200);
+    assert.equal(body.sequenceLength, 12);
+    assert.equal(body.embeddingDim, 4);
+    assert.ok(Number.isInteger(body.vocabSize) && body.vocabSize > 2);
+    assert.equal(body.tokenizer.type, 'simple');
+    assert.equal(body.model.architecture, 'dense');
+    assert.equal(typeof body.decision.threshold, 'number');
+    assert.equal(body.sources, null);
+    assert.ok(body.metrics);
+});
+
+test('POST /predict scores one text', async () => {
+    const { status, body } = await request('POST', '/predict', { text: HUMAN_TEXTS[0] });
+    assert.equal(status, 200);
+    assertPrediction(body);
+    assert.equal(body.windows, 1);
+    assert.equal(body.sources, undefined);
+});
+
+test('POST /predict scores long documents window by window', async () => {
+    const text = Array.from({ length: 6 }, (_, i) => AI_TEXTS[i % AI_TEXTS.length]).join(' ');
+    const { status, body } = await request('POST', '/predict', { text, longDocument: { stride: 6, aggregation: 'maxAi' } });
+    assert.equal(status, 200);
+    assertPrediction(body);
+    assert.ok(body.windows > 1);
+});
+
+test('POST /predict/batch scores every text in order', async () => {
+    const texts = [HUMAN_TEXTS[1], AI_TEXTS[1], HUMAN_TEXTS[2]];
+    const { status, body } = await request('POST', '/predict/batch', { texts });
+    assert.equal(status, 200);
+    assert.equal(typeof body.threshold, 'number');
+    assert.equal(body.predictions.length, texts.length);
+    body.predictions.forEach(assertPrediction);
+
+    const single = await request('POST', '/predict', { text: texts[1] });
+    assert.ok(Math.abs(body.predictions[1].probabilities.human - single.body.probabilities.human) < 1e-6);
+});
+
+test('invalid requests are answered with JSON errors', async () => {
+    const cases = [
+        ['POST', '/predict', '{ not json', 400],
+        ['POST', '/predict', '["a list"]', 400],
+        ['POST', '/predict', { text: '   ' }, 400],
+        ['POST', '/predict', { text: 'Some text', longDocument: 'yes' }, 400],
+        ['POST', '/predict', { text: 'Some text', longDocument: { aggregation: 'median' } }, 400],
+        ['POST', '/predict/batch', { texts: [] }, 400],
+        ['POST', '/predict/batch', { texts: ['fine', 42] }, 400],
+        ['POST', '/predict/batch', { texts: Array.from({ length: 1001 }, () => 'text') }, 413],
+        ['GET', '/predict', undefined, 405],
+        ['POST', '/model', {}, 405],
+        ['GET', '/unknown', undefined, 404]
+    ];
+    for (const [method, route, body, expectedStatus] of cases) {
+        const { status, body: payload } = await request(method, route, body);
+        assert.equal(status, expectedStatus, `${method} ${route} ${JSON.stringify(body)}`);
+        assert.equal(typeof payload.error, 'string');
+    }
+});